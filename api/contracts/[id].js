@@ -1,8 +1,11 @@
 const { body, param } = require('express-validator');
-const { query } = require('../../lib/db');
+const { query, transaction } = require('../../lib/db');
 const { authenticate } = require('../../lib/auth');
 const { validate } = require('../../lib/validate');
 const { apiHandler } = require('../../lib/middleware');
+const { getContractParties } = require('../../src/services/contracts');
+const { refundContractEscrows } = require('../../src/services/escrow');
+const { publishContractEvent } = require('../../src/services/events');
 
 /**
  * GET /api/contracts/:id
@@ -65,7 +68,7 @@ const getContract = async (req, res) => {
 
   // Get milestones for this contract
   const milestonesResult = await query(
-    'SELECT * FROM milestones WHERE contract_id = ? ORDER BY due_at ASC',
+    'SELECT * FROM milestones WHERE contract_id = ? ORDER BY position ASC NULLS LAST, due_at ASC',
     [id]
   );
 
@@ -80,12 +83,12 @@ const getContract = async (req, res) => {
 
 /**
  * PATCH /api/contracts/:id
- * Update contract (e.g., change status, end date)
+ * Update contract (e.g., change status, end date, weekly hour cap)
  * Protected: Only client or freelancer in the contract can update
  */
 const updateContract = async (req, res) => {
   const { id } = req.query;
-  const { status, end_at } = req.body;
+  const { status, end_at, weekly_hour_cap } = req.body;
 
   // Get the contract with owner info
   const contractResult = await query(
@@ -115,19 +118,49 @@ const updateContract = async (req, res) => {
     });
   }
 
+  // Only the client (or an admin) can cap the freelancer's weekly hours
+  if (weekly_hour_cap !== undefined) {
+    if (!isClient && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the contract client can set the weekly hour cap'
+      });
+    }
+
+    if (contract.contract_type !== 'hourly') {
+      return res.status(400).json({
+        success: false,
+        message: 'Weekly hour caps only apply to hourly contracts'
+      });
+    }
+  }
+
   // Convert ISO datetime to MySQL format (YYYY-MM-DD HH:MM:SS)
   let formattedEndAt = null;
   if (end_at) {
     formattedEndAt = new Date(end_at).toISOString().slice(0, 19).replace('T', ' ');
   }
 
-  const updateResult = await query(
-    `UPDATE contracts
-     SET status = COALESCE(?, status),
-         end_at = COALESCE(?, end_at)
-     WHERE id = ?`,
-    [status ?? null, formattedEndAt, id]
-  );
+  const updateResult = await transaction(async (connection) => {
+    // Cancelling returns every funded escrow to the client in the same transaction
+    if (status === 'cancelled' && contract.status !== 'cancelled') {
+      const locked = await getContractParties(connection, id, { forUpdate: true });
+      await refundContractEscrows(connection, { contract: locked, user: req.user });
+    }
+
+    // Completing stamps end_at (if not given) so the review reveal window has a start
+    const updated = await connection.query(
+      `UPDATE contracts
+       SET status = COALESCE(?, status),
+           end_at = COALESCE(?, end_at, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END),
+           weekly_hour_cap = CASE WHEN ? THEN ? ELSE weekly_hour_cap END
+       WHERE id = ?`,
+      [status ?? null, formattedEndAt, status ?? null, weekly_hour_cap !== undefined, weekly_hour_cap ?? null, id]
+    );
+
+    await publishContractEvent(connection, id);
+    return updated;
+  });
 
   if (updateResult.rowCount === 0) {
     return res.status(404).json({ success: false, message: 'Contract not found' });
@@ -161,7 +194,11 @@ const patchValidations = [
   body('end_at')
     .optional()
     .isISO8601()
-    .withMessage('End date must be a valid ISO 8601 datetime')
+    .withMessage('End date must be a valid ISO 8601 datetime'),
+  body('weekly_hour_cap')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0, max: 168 })
+    .withMessage('Weekly hour cap must be between 0 and 168 hours (or null to remove it)')
 ];
 
 module.exports = apiHandler(handler, {
@@ -0,0 +1,86 @@
+const { body, param } = require('express-validator');
+const db = require('../../../../lib/db');
+const { authenticate } = require('../../../../lib/auth');
+const { validate } = require('../../../../lib/validate');
+const { apiHandler } = require('../../../../lib/middleware');
+const { updateMilestone, deleteMilestone } = require('../../../../src/services/milestones');
+
+/**
+ * PATCH /api/contracts/:id/milestones/:milestoneId
+ * Edit a milestone
+ * Protected: Only the contract's client (or admin), and only while the milestone is pending
+ */
+const patchMilestone = async (req, res) => {
+  const { id, milestoneId } = req.query;
+  const milestone = await updateMilestone(db, id, milestoneId, req.user, req.body);
+
+  res.json({ success: true, data: milestone });
+};
+
+/**
+ * DELETE /api/contracts/:id/milestones/:milestoneId
+ * Delete a milestone
+ * Protected: Only the contract's client (or admin), and only while the milestone is pending
+ */
+const removeMilestone = async (req, res) => {
+  const { id, milestoneId } = req.query;
+  await deleteMilestone(db, id, milestoneId, req.user);
+
+  res.json({ success: true, message: 'Milestone deleted successfully' });
+};
+
+const handler = async (req, res) => {
+  if (req.method === 'PATCH') {
+    return patchMilestone(req, res);
+  } else if (req.method === 'DELETE') {
+    return removeMilestone(req, res);
+  }
+};
+
+const paramValidations = [
+  param('id')
+    .isUUID()
+    .withMessage('Contract ID must be a valid UUID'),
+  param('milestoneId')
+    .isUUID()
+    .withMessage('Milestone ID must be a valid UUID')
+];
+
+// Validation rules for PATCH
+const patchValidations = [
+  ...paramValidations,
+  body('title')
+    .optional()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Title must be at most 255 characters'),
+  body('scope')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Scope must be at most 5000 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('due_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 datetime')
+];
+
+module.exports = apiHandler(handler, {
+  methods: ['PATCH', 'DELETE'],
+  middlewares: [
+    authenticate,
+    (req, res, next) => {
+      // Set req.params for validation
+      req.params = { id: req.query.id, milestoneId: req.query.milestoneId };
+      const validations = req.method === 'PATCH' ? patchValidations : paramValidations;
+      // Apply validations
+      return Promise.all(validations.map(v => v.run(req)))
+        .then(() => validate(req, res, next))
+        .catch(next);
+    }
+  ]
+});
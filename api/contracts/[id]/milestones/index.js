@@ -0,0 +1,79 @@
+const { body, param } = require('express-validator');
+const db = require('../../../../lib/db');
+const { authenticate } = require('../../../../lib/auth');
+const { validate } = require('../../../../lib/validate');
+const { apiHandler } = require('../../../../lib/middleware');
+const { listMilestones, createMilestone } = require('../../../../src/services/milestones');
+
+/**
+ * GET /api/contracts/:id/milestones
+ * List a contract's milestones in order
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+const getMilestones = async (req, res) => {
+  const milestones = await listMilestones(db, req.query.id, req.user);
+
+  res.json({ success: true, data: milestones, count: milestones.length });
+};
+
+/**
+ * POST /api/contracts/:id/milestones
+ * Define a new milestone
+ * Protected: Only the contract's client (or admin)
+ */
+const postMilestone = async (req, res) => {
+  const milestone = await createMilestone(db, req.query.id, req.user, req.body);
+
+  res.status(201).json({ success: true, data: milestone });
+};
+
+const handler = async (req, res) => {
+  if (req.method === 'GET') {
+    return getMilestones(req, res);
+  } else if (req.method === 'POST') {
+    return postMilestone(req, res);
+  }
+};
+
+// Validation rules for POST
+const postValidations = [
+  param('id')
+    .isUUID()
+    .withMessage('Contract ID must be a valid UUID'),
+  body('title')
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 255 })
+    .withMessage('Title must be at most 255 characters'),
+  body('scope')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Scope must be at most 5000 characters'),
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('due_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 datetime')
+];
+
+module.exports = apiHandler(handler, {
+  methods: ['GET', 'POST'],
+  middlewares: [
+    authenticate,
+    (req, res, next) => {
+      if (req.method === 'POST') {
+        // Set req.params for validation
+        req.params = { id: req.query.id };
+        // Apply validations
+        return Promise.all(postValidations.map(v => v.run(req)))
+          .then(() => validate(req, res, next))
+          .catch(next);
+      }
+      next();
+    }
+  ]
+});
@@ -0,0 +1,51 @@
+const { body, param } = require('express-validator');
+const db = require('../../../../lib/db');
+const { authenticate } = require('../../../../lib/auth');
+const { validate } = require('../../../../lib/validate');
+const { apiHandler } = require('../../../../lib/middleware');
+const { reorderMilestones } = require('../../../../src/services/milestones');
+
+/**
+ * PUT /api/contracts/:id/milestones/order
+ * Reorder milestones
+ * Protected: Only the contract's client (or admin)
+ */
+const putOrder = async (req, res) => {
+  const milestones = await reorderMilestones(db, req.query.id, req.user, req.body.milestone_ids);
+
+  res.json({ success: true, data: milestones });
+};
+
+const handler = async (req, res) => {
+  if (req.method === 'PUT') {
+    return putOrder(req, res);
+  }
+};
+
+// Validation rules for PUT
+const putValidations = [
+  param('id')
+    .isUUID()
+    .withMessage('Contract ID must be a valid UUID'),
+  body('milestone_ids')
+    .isArray({ min: 1 })
+    .withMessage('milestone_ids must be a non-empty array'),
+  body('milestone_ids.*')
+    .isUUID()
+    .withMessage('Each milestone ID must be a valid UUID')
+];
+
+module.exports = apiHandler(handler, {
+  methods: ['PUT'],
+  middlewares: [
+    authenticate,
+    (req, res, next) => {
+      // Set req.params for validation
+      req.params = { id: req.query.id };
+      // Apply validations
+      return Promise.all(putValidations.map(v => v.run(req)))
+        .then(() => validate(req, res, next))
+        .catch(next);
+    }
+  ]
+});
@@ -1,19 +1,21 @@
+const { query: queryValidator } = require('express-validator');
 const { query } = require('../../lib/db');
 const { authenticate } = require('../../lib/auth');
+const { validate } = require('../../lib/validate');
 const { apiHandler } = require('../../lib/middleware');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const { createConverter, applyDisplayCurrency } = require('../../src/services/exchangeRates');
+const { parsePageParams, paginate, paginatedResponse } = require('../../src/utils/pagination');
 
 /**
  * GET /api/contracts
  * Get contracts with filters
  * Protected: Requires authentication
+ * Query: project_id, client_id, freelancer_id, status, display_currency,
+ *   limit (default 50, max 100), cursor, include_total
  */
 const getContracts = async (req, res) => {
-  const { project_id, client_id, freelancer_id, status, limit = 50, offset = 0 } = req.query;
+  const { project_id, client_id, freelancer_id, status, display_currency } = req.query;
+  const page = parsePageParams(req.query);
 
   let sql = `
     SELECT c.*,
@@ -74,16 +76,16 @@ const getContracts = async (req, res) => {
     }
   }
 
-  sql += ' ORDER BY c.start_at DESC LIMIT ? OFFSET ?';
-  params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
+  // Contracts not started yet (no start_at) first, as before
+  const result = await paginate({ query }, { sql, params, keys: ["COALESCE(start_at, 'infinity'::timestamp)", 'id'], page });
 
-  const result = await query(sql, params);
+  // Optionally show amounts converted into the viewer's currency
+  if (display_currency) {
+    const converter = await createConverter({ query });
+    applyDisplayCurrency(result.rows, converter, display_currency, ['agreed_amount', 'hourly_rate']);
+  }
 
-  res.json({
-    success: true,
-    data: result.rows,
-    count: result.rowCount
-  });
+  res.json(paginatedResponse(req, page, result));
 };
 
 const handler = async (req, res) => {
@@ -92,7 +94,21 @@ const handler = async (req, res) => {
   }
 };
 
+// Validation rules for GET
+const getValidations = [
+  queryValidator('display_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Display currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+];
+
 module.exports = apiHandler(handler, {
   methods: ['GET'],
-  middlewares: [authenticate]
+  middlewares: [
+    authenticate,
+    (req, res, next) => Promise.all(getValidations.map(v => v.run(req)))
+      .then(() => validate(req, res, next))
+      .catch(next)
+  ]
 });
@@ -1,78 +1,36 @@
 const { randomUUID } = require('crypto');
-const { body } = require('express-validator');
+const { body, query: queryValidator } = require('express-validator');
 const { query, transaction } = require('../../lib/db');
 const { authenticate, authorize, optionalAuth } = require('../../lib/auth');
 const { validate } = require('../../lib/validate');
 const { apiHandler } = require('../../lib/middleware');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const { createConverter, applyDisplayCurrency } = require('../../src/services/exchangeRates');
+const { assertAssignableSkills } = require('../../src/services/skills');
+const { listProjects } = require('../../src/services/projects');
+const { parsePageParams, paginatedResponse } = require('../../src/utils/pagination');
 
 /**
  * GET /api/projects
  * Get all projects with filters
+ * q searches titles, skills and descriptions ("quoted phrases", -excluded words); matches are ranked
+ * and carry search_rank, title_highlight and snippet (HTML with <mark> highlights)
  * Public endpoint but shows different data for authenticated users
+ * Query: q, status, project_type, min_budget, max_budget, display_currency,
+ *   limit (default 50, max 100), cursor, include_total (see utils/pagination)
  */
 const getProjects = async (req, res) => {
-  const { status, project_type, min_budget, max_budget, limit = 50, offset = 0 } = req.query;
-
-  let sql = `
-    SELECT p.*,
-           c.company_name,
-           CONCAT_WS(' ', u.first_name, u.last_name) AS client_name,
-           (SELECT COUNT(*) FROM proposals WHERE project_id = p.id) AS proposal_count
-    FROM projects p
-    JOIN client_profiles c ON p.client_id = c.id
-    JOIN users u ON c.user_id = u.id
-    WHERE 1=1
-  `;
-
-  const params = [];
-
-  if (status) {
-    sql += ' AND p.status = ?';
-    params.push(status);
-  }
-
-  if (project_type) {
-    sql += ' AND p.project_type = ?';
-    params.push(project_type);
-  }
+  const { q, status, project_type, min_budget, max_budget, display_currency } = req.query;
+  const page = parsePageParams(req.query);
 
-  if (min_budget) {
-    sql += ' AND p.budget_min >= ?';
-    params.push(min_budget);
-  }
-
-  if (max_budget) {
-    sql += ' AND p.budget_max <= ?';
-    params.push(max_budget);
-  }
-
-  sql += ' ORDER BY p.posted_at DESC LIMIT ? OFFSET ?';
-  params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
+  const result = await listProjects({ query }, { q, status, project_type, min_budget, max_budget }, page);
 
-  const result = await query(sql, params);
-
-  for (const project of result.rows) {
-    const skillsResult = await query(
-      `SELECT s.id, s.name, s.category
-       FROM skills s
-       JOIN project_skills ps ON s.id = ps.skill_id
-       WHERE ps.project_id = ?`,
-      [project.id]
-    );
-    project.skills = skillsResult.rows;
-    project.proposal_count = Number(project.proposal_count || 0);
+  // Optionally show budgets converted into the viewer's currency
+  if (display_currency) {
+    const converter = await createConverter({ query });
+    applyDisplayCurrency(result.rows, converter, display_currency, ['budget_min', 'budget_max']);
   }
 
-  res.json({
-    success: true,
-    data: result.rows,
-    count: result.rowCount
-  });
+  res.json(paginatedResponse(req, page, result));
 };
 
 /**
@@ -133,6 +91,7 @@ const createProject = async (req, res) => {
       );
 
       if (Array.isArray(skill_ids) && skill_ids.length > 0) {
+        await assertAssignableSkills(connection, skill_ids);
         for (const skillId of skill_ids) {
           await connection.query(
             'INSERT INTO project_skills (project_id, skill_id) VALUES (?, ?)',
@@ -178,7 +137,7 @@ const createProject = async (req, res) => {
       return;
     }
 
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to create project'
     });
@@ -219,8 +178,9 @@ const postValidations = [
     .withMessage('Maximum budget must be a positive number'),
   body('currency')
     .optional()
-    .isLength({ max: 3 })
-    .withMessage('Currency must be a 3-letter code'),
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 currency code')
+    .toUpperCase(),
   body('due_at')
     .optional()
     .isISO8601()
@@ -231,6 +191,20 @@ const postValidations = [
     .withMessage('Skill IDs must be an array')
 ];
 
+// Validation rules for GET
+const getValidations = [
+  queryValidator('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters'),
+  queryValidator('display_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Display currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+];
+
 module.exports = apiHandler(handler, {
   methods: ['GET', 'POST'],
   middlewares: [
@@ -240,6 +214,14 @@ module.exports = apiHandler(handler, {
       }
       next();
     },
+    (req, res, next) => {
+      if (req.method === 'GET') {
+        return Promise.all(getValidations.map(v => v.run(req)))
+          .then(() => validate(req, res, next))
+          .catch(next);
+      }
+      next();
+    },
     (req, res, next) => {
       if (req.method === 'POST') {
         return authenticate(req, res, next);
@@ -3,6 +3,8 @@ const { query } = require('../../lib/db');
 const { authenticate } = require('../../lib/auth');
 const { validate } = require('../../lib/validate');
 const { apiHandler } = require('../../lib/middleware');
+const { publishProposalStatus } = require('../../src/services/events');
+const { attachmentsJson, withDownloadUrls } = require('../../src/services/attachments');
 
 /**
  * GET /api/proposals/:id
@@ -21,9 +23,13 @@ const getProposal = async (req, res) => {
             fp.bio AS freelancer_bio,
             fp.rating_avg AS freelancer_rating,
             fp.rating_count AS freelancer_rating_count,
-            fp.experience_years AS freelancer_experience
+            fp.experience_years AS freelancer_experience,
+            fp.user_id AS freelancer_user_id,
+            cp.user_id AS client_user_id,
+            ${attachmentsJson('proposal', 'p.id')} AS attachments
      FROM proposals p
      JOIN projects proj ON p.project_id = proj.id
+     JOIN client_profiles cp ON proj.client_id = cp.id
      JOIN freelancer_profiles fp ON p.freelancer_id = fp.id
      JOIN users u ON fp.user_id = u.id
      WHERE p.id = ?`,
@@ -34,7 +40,18 @@ const getProposal = async (req, res) => {
     return res.status(404).json({ success: false, message: 'Proposal not found' });
   }
 
-  res.json({ success: true, data: result.rows[0] });
+  const [proposal] = result.rows;
+
+  // Attachments are only visible to the proposal's freelancer, the project's client and admins
+  if (
+    req.user.role !== 'admin'
+    && proposal.freelancer_user_id !== req.user.userId
+    && proposal.client_user_id !== req.user.userId
+  ) {
+    proposal.attachments = [];
+  }
+
+  res.json({ success: true, data: withDownloadUrls([proposal])[0] });
 };
 
 /**
@@ -116,6 +133,10 @@ const updateProposal = async (req, res) => {
     return res.status(404).json({ success: false, message: 'Proposal not found' });
   }
 
+  if (updateFields.status && updateFields.status !== proposal.status) {
+    await publishProposalStatus({ query }, [id]);
+  }
+
   const result = await query(
     'SELECT * FROM proposals WHERE id = ?',
     [id]
@@ -2,6 +2,7 @@ const { randomUUID } = require('crypto');
 const { query, transaction } = require('../../../lib/db');
 const { authenticate } = require('../../../lib/auth');
 const { apiHandler } = require('../../../lib/middleware');
+const { publishProposalStatus, publishContractEvent } = require('../../../src/services/events');
 
 /**
  * POST /api/proposals/:id/accept
@@ -80,12 +81,13 @@ const acceptProposal = async (req, res) => {
       );
 
       // 2. Reject all other proposals for this project
-      await connection.query(
+      const rejectedResult = await connection.query(
         `UPDATE proposals
          SET status = 'rejected'
          WHERE project_id = ?
          AND id != ?
-         AND status IN ('submitted', 'shortlisted')`,
+         AND status IN ('submitted', 'shortlisted')
+         RETURNING id`,
         [proposal.project_id, id]
       );
 
@@ -124,6 +126,10 @@ const acceptProposal = async (req, res) => {
           project.currency
         ]
       );
+
+      // 5. Notify the affected freelancers and both contract parties once committed
+      await publishProposalStatus(connection, [id, ...rejectedResult.rows.map((row) => row.id)]);
+      await publishContractEvent(connection, contractId, 'contract.created');
     });
 
     // Fetch updated proposal
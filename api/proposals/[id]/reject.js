@@ -1,6 +1,7 @@
 const { query } = require('../../../lib/db');
 const { authenticate } = require('../../../lib/auth');
 const { apiHandler } = require('../../../lib/middleware');
+const { publishProposalStatus } = require('../../../src/services/events');
 
 /**
  * POST /api/proposals/:id/reject
@@ -52,6 +53,7 @@ const rejectProposal = async (req, res) => {
       'UPDATE proposals SET status = ? WHERE id = ?',
       ['rejected', id]
     );
+    await publishProposalStatus({ query }, [id]);
 
     const updatedProposal = await query(
       'SELECT * FROM proposals WHERE id = ?',
@@ -1,22 +1,21 @@
 const { randomUUID } = require('crypto');
 const { body } = require('express-validator');
-const { query } = require('../../lib/db');
+const { query, transaction } = require('../../lib/db');
 const { authenticate, authorize } = require('../../lib/auth');
 const { validate } = require('../../lib/validate');
 const { apiHandler } = require('../../lib/middleware');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const { attachmentValidation, attachToParent } = require('../../src/services/attachments');
+const { parsePageParams, paginate, paginatedResponse } = require('../../src/utils/pagination');
 
 /**
  * GET /api/proposals
  * Get proposals with filters
  * Protected: Requires authentication
+ * Query: project_id, freelancer_id, status, limit (default 50, max 100), cursor, include_total
  */
 const getProposals = async (req, res) => {
-  const { project_id, freelancer_id, status, limit = 50, offset = 0 } = req.query;
+  const { project_id, freelancer_id, status } = req.query;
+  const page = parsePageParams(req.query);
 
   let sql = `
     SELECT p.*,
@@ -48,16 +47,9 @@ const getProposals = async (req, res) => {
     params.push(status);
   }
 
-  sql += ' ORDER BY p.submitted_at DESC LIMIT ? OFFSET ?';
-  params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
-
-  const result = await query(sql, params);
+  const result = await paginate({ query }, { sql, params, keys: ['submitted_at', 'id'], page });
 
-  res.json({
-    success: true,
-    data: result.rows,
-    count: result.rowCount
-  });
+  res.json(paginatedResponse(req, page, result));
 };
 
 /**
@@ -72,7 +64,8 @@ const createProposal = async (req, res) => {
       bid_amount,
       hourly_rate,
       estimated_hours,
-      cover_letter
+      cover_letter,
+      attachment_ids
     } = req.body;
 
     if (!project_id) {
@@ -125,26 +118,30 @@ const createProposal = async (req, res) => {
 
     const proposalId = randomUUID();
 
-    await query(
-      `INSERT INTO proposals (id, project_id, freelancer_id, bid_amount, hourly_rate, estimated_hours, cover_letter)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        proposalId,
-        project_id,
-        freelancer_id,
-        bid_amount ?? null,
-        hourly_rate ?? null,
-        estimated_hours ?? null,
-        cover_letter ?? null
-      ]
-    );
+    const attachments = await transaction(async (connection) => {
+      await connection.query(
+        `INSERT INTO proposals (id, project_id, freelancer_id, bid_amount, hourly_rate, estimated_hours, cover_letter)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          proposalId,
+          project_id,
+          freelancer_id,
+          bid_amount ?? null,
+          hourly_rate ?? null,
+          estimated_hours ?? null,
+          cover_letter ?? null
+        ]
+      );
+
+      return attachToParent(connection, req.user, attachment_ids, { type: 'proposal', id: proposalId });
+    });
 
     const result = await query(
       'SELECT * FROM proposals WHERE id = ?',
       [proposalId]
     );
 
-    res.status(201).json({ success: true, data: result.rows[0] });
+    res.status(201).json({ success: true, data: { ...result.rows[0], attachments } });
   } catch (error) {
     console.error('Error creating proposal:', error);
 
@@ -165,7 +162,7 @@ const createProposal = async (req, res) => {
       });
     }
 
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       message: error.message || 'Failed to create proposal'
     });
@@ -203,7 +200,8 @@ const postValidations = [
     .notEmpty()
     .withMessage('Cover letter is required')
     .isLength({ max: 5000 })
-    .withMessage('Cover letter must be at most 5000 characters')
+    .withMessage('Cover letter must be at most 5000 characters'),
+  ...attachmentValidation
 ];
 
 module.exports = apiHandler(handler, {
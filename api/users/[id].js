@@ -2,6 +2,7 @@ const { query } = require('../../lib/db');
 const { authenticate, verifyOwnership } = require('../../lib/auth');
 const { apiHandler } = require('../../lib/middleware');
 const { getUserWithProfile } = require('../../lib/authHelpers');
+const { listFreelancerSkills } = require('../../src/services/freelancerSkills');
 
 /**
  * GET /api/users/:id
@@ -17,6 +18,10 @@ const getUser = async (req, res) => {
     return res.status(404).json({ success: false, message: 'User not found' });
   }
 
+  if (user.role === 'freelancer') {
+    user.skills = user.profile ? await listFreelancerSkills({ query }, user.profile.id) : [];
+  }
+
   res.json({ success: true, data: user });
 };
 
@@ -1,14 +1,17 @@
 const { query, transaction } = require('../../lib/db');
 const { authenticate, authorize } = require('../../lib/auth');
 const { apiHandler } = require('../../lib/middleware');
+const { parsePageParams, paginate, paginatedResponse } = require('../../src/utils/pagination');
 
 /**
  * GET /api/users
  * Get all users with optional role filter
  * Protected: Requires authentication
+ * Query: role, limit (default 50, max 100), cursor, include_total
  */
 const getUsers = async (req, res) => {
-  const { role, limit = 50, offset = 0 } = req.query;
+  const { role } = req.query;
+  const page = parsePageParams(req.query);
 
   let sql = 'SELECT id, email, role, first_name, last_name, phone, country, is_verified, created_at FROM users';
   const params = [];
@@ -16,19 +19,10 @@ const getUsers = async (req, res) => {
   if (role) {
     sql += ' WHERE role = ?';
     params.push(role);
-    sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
-  } else {
-    sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
   }
 
-  const result = await query(sql, params);
-  res.json({
-    success: true,
-    data: result.rows,
-    count: result.rowCount
-  });
+  const result = await paginate({ query }, { sql, params, keys: ['created_at', 'id'], page });
+  res.json(paginatedResponse(req, page, result));
 };
 
 /**
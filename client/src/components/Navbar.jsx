@@ -2,12 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
+import { threadsAPI, eventsAPI } from '../services/api';
+
+const STREAM_RECONNECT_DELAY_MS = 3000;
 
 const Navbar = () => {
   const { user, logout, isAuthenticated, isFreelancer, isClient } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
 
   const handleLogout = () => {
     logout();
@@ -15,6 +19,72 @@ const Navbar = () => {
     setMobileMenuOpen(false);
   };
 
+  // Keep the unread message badge current: load it, then refresh on new messages and read markers
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      return;
+    }
+
+    const loadUnread = () => {
+      threadsAPI.getUnread()
+        .then((response) => setUnreadCount(response.data.data.unread_messages))
+        .catch(() => {});
+    };
+
+    loadUnread();
+
+    let events = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    // Each stream needs a new ticket; fetching one refreshes an expired access token (see api.js)
+    const connect = () => {
+      eventsAPI.open()
+        .then((source) => {
+          if (closed) {
+            source.close();
+            return;
+          }
+
+          // Tickets are single-use, so EventSource cannot reconnect by itself: when the server ends
+          // the stream (token.expired) or the connection drops, close it and open a new one
+          const reopen = (delay) => () => {
+            source.close();
+            if (events === source) {
+              events = null;
+              scheduleConnect(delay);
+            }
+          };
+
+          events = source;
+          events.addEventListener('message.created', loadUnread);
+          events.addEventListener('thread.read', loadUnread);
+          events.addEventListener('token.expired', reopen(0));
+          events.addEventListener('error', reopen(STREAM_RECONNECT_DELAY_MS));
+          // Catch up on anything missed while disconnected
+          events.addEventListener('ready', loadUnread);
+        })
+        .catch(() => scheduleConnect(STREAM_RECONNECT_DELAY_MS));
+    };
+
+    const scheduleConnect = (delay) => {
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, delay);
+      }
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (events) {
+        events.close();
+      }
+    };
+  }, [isAuthenticated]);
+
   // Close mobile menu on route change
   useEffect(() => {
     setMobileMenuOpen(false);
@@ -57,6 +127,9 @@ const Navbar = () => {
               <Link to="/profile">Profile</Link>
               <span className="navbar-user">
                 {user.first_name} ({user.role})
+                {unreadCount > 0 && (
+                  <span className="navbar-unread-badge" title="Unread messages">{unreadCount}</span>
+                )}
               </span>
               <button onClick={handleLogout} className="navbar-logout-btn">Logout</button>
             </>
@@ -117,6 +190,9 @@ const Navbar = () => {
                 <>
                   <div className="navbar-mobile-user">
                     {user.first_name} ({user.role})
+                    {unreadCount > 0 && (
+                      <span className="navbar-unread-badge" title="Unread messages">{unreadCount}</span>
+                    )}
                   </div>
                   <Link to="/" onClick={() => setMobileMenuOpen(false)}>Projects</Link>
                   {isFreelancer && <Link to="/my-proposals" onClick={() => setMobileMenuOpen(false)}>My Proposals</Link>}
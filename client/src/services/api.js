@@ -89,17 +89,40 @@ export const usersAPI = {
   create: (data) => api.post('/users', data),
   update: (id, data) => api.patch(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
+  getSkills: (id) => api.get(`/users/${id}/skills`),
+  addSkill: (id, data) => api.post(`/users/${id}/skills`, data),
+  updateSkill: (id, skillId, data) => api.patch(`/users/${id}/skills/${skillId}`, data),
+  removeSkill: (id, skillId) => api.delete(`/users/${id}/skills/${skillId}`),
+};
+
+// Freelancer directory API
+export const freelancersAPI = {
+  search: (params) => api.get('/freelancers', { params }),
 };
 
 // Projects API
 export const projectsAPI = {
   getAll: (params) => api.get('/projects', { params }),
+  getRecommended: (params) => api.get('/projects/recommended', { params }),
   getById: (id) => api.get(`/projects/${id}`),
   create: (data) => api.post('/projects', data),
   update: (id, data) => api.patch(`/projects/${id}`, data),
   delete: (id) => api.delete(`/projects/${id}`),
 };
 
+// Skills API
+export const skillsAPI = {
+  getAll: (params) => api.get('/skills', { params }),
+  getById: (id) => api.get(`/skills/${id}`),
+  create: (data) => api.post('/skills', data),
+  update: (id, data) => api.patch(`/skills/${id}`, data),
+  deprecate: (id) => api.post(`/skills/${id}/deprecate`),
+  restore: (id) => api.post(`/skills/${id}/restore`),
+  merge: (id, targetSkillId) => api.post(`/skills/${id}/merge`, { target_skill_id: targetSkillId }),
+  addSynonym: (id, name) => api.post(`/skills/${id}/synonyms`, { name }),
+  removeSynonym: (id, synonymId) => api.delete(`/skills/${id}/synonyms/${synonymId}`),
+};
+
 // Proposals API
 export const proposalsAPI = {
   getAll: (params) => api.get('/proposals', { params }),
@@ -119,4 +142,128 @@ export const contractsAPI = {
   delete: (id) => api.delete(`/contracts/${id}`),
 };
 
+// Milestones API
+export const milestonesAPI = {
+  getAll: (contractId) => api.get(`/contracts/${contractId}/milestones`),
+  create: (contractId, data) => api.post(`/contracts/${contractId}/milestones`, data),
+  update: (contractId, id, data) => api.patch(`/contracts/${contractId}/milestones/${id}`, data),
+  delete: (contractId, id) => api.delete(`/contracts/${contractId}/milestones/${id}`),
+  reorder: (contractId, milestoneIds) =>
+    api.put(`/contracts/${contractId}/milestones/order`, { milestone_ids: milestoneIds }),
+  getHistory: (contractId, id) => api.get(`/contracts/${contractId}/milestones/${id}/history`),
+  submit: (contractId, id, note) => api.post(`/contracts/${contractId}/milestones/${id}/submit`, { note }),
+  requestChanges: (contractId, id, note) =>
+    api.post(`/contracts/${contractId}/milestones/${id}/request-changes`, { note }),
+  approve: (contractId, id, note) => api.post(`/contracts/${contractId}/milestones/${id}/approve`, { note }),
+  cancel: (contractId, id, note) => api.post(`/contracts/${contractId}/milestones/${id}/cancel`, { note }),
+  getEscrow: (contractId, id) => api.get(`/contracts/${contractId}/milestones/${id}/escrow`),
+};
+
+// Time tracking API (hourly contracts)
+export const timesheetsAPI = {
+  getEntries: (contractId, params) => api.get(`/contracts/${contractId}/time-entries`, { params }),
+  logTime: (contractId, data) => api.post(`/contracts/${contractId}/time-entries`, data),
+  updateEntry: (contractId, id, data) => api.patch(`/contracts/${contractId}/time-entries/${id}`, data),
+  deleteEntry: (contractId, id) => api.delete(`/contracts/${contractId}/time-entries/${id}`),
+  getAll: (contractId, params) => api.get(`/contracts/${contractId}/timesheets`, { params }),
+  getById: (contractId, id) => api.get(`/contracts/${contractId}/timesheets/${id}`),
+  submit: (contractId, id) => api.post(`/contracts/${contractId}/timesheets/${id}/submit`),
+  approve: (contractId, id) => api.post(`/contracts/${contractId}/timesheets/${id}/approve`),
+  dispute: (contractId, id, reason) => api.post(`/contracts/${contractId}/timesheets/${id}/dispute`, { reason }),
+};
+
+// Reviews API
+export const reviewsAPI = {
+  getForContract: (contractId) => api.get(`/contracts/${contractId}/reviews`),
+  create: (contractId, data) => api.post(`/contracts/${contractId}/reviews`, data),
+  getForUser: (userId, params) => api.get(`/users/${userId}/reviews`, { params }),
+  reply: (id, reply) => api.post(`/reviews/${id}/reply`, { reply }),
+  report: (id, reason) => api.post(`/reviews/${id}/reports`, { reason }),
+  getModerationQueue: (params) => api.get('/reviews/moderation', { params }),
+  getModerationHistory: (id) => api.get(`/reviews/${id}/moderation`),
+  hide: (id, reason) => api.post(`/reviews/${id}/hide`, { reason }),
+  unhide: (id, note) => api.post(`/reviews/${id}/unhide`, { note }),
+  dismissReports: (id, note) => api.post(`/reviews/${id}/dismiss-reports`, { note }),
+};
+
+// Messaging API
+export const threadsAPI = {
+  getAll: (params) => api.get('/threads', { params }),
+  getUnread: () => api.get('/threads/unread'),
+  search: (params) => api.get('/threads/search', { params }),
+  getById: (id) => api.get(`/threads/${id}`),
+  open: (data) => api.post('/threads', data),
+  getMessages: (id, params) => api.get(`/threads/${id}/messages`, { params }),
+  sendMessage: (id, body) => api.post(`/threads/${id}/messages`, { body }),
+  markRead: (id, messageId) => api.post(`/threads/${id}/read`, { message_id: messageId }),
+};
+
+// Files API (attachments for messages, proposals and milestone workflow actions)
+export const filesAPI = {
+  upload: (file) => api.post('/files', file, {
+    params: { filename: file.name },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  }),
+  getById: (id) => api.get(`/files/${id}`),
+  delete: (id) => api.delete(`/files/${id}`),
+};
+
+// Real-time events API (server-sent events; EventSource cannot send headers, so it opens the stream
+// with a single-use ticket rather than the access token)
+export const eventsAPI = {
+  getTicket: () => api.post('/events/ticket'),
+  open: async () => {
+    const response = await eventsAPI.getTicket();
+    const { ticket } = response.data.data;
+    return new EventSource(`${API_BASE_URL}/events/stream?ticket=${encodeURIComponent(ticket)}`);
+  },
+};
+
+// Fees API
+export const feesAPI = {
+  getRules: (params) => api.get('/fees/rules', { params }),
+  createRule: (data) => api.post('/fees/rules', data),
+  updateRule: (id, data) => api.patch(`/fees/rules/${id}`, data),
+  deleteRule: (id) => api.delete(`/fees/rules/${id}`),
+  quote: (contractId, amount) => api.get('/fees/quote', { params: { contract_id: contractId, amount } }),
+  getReport: (params) => api.get('/fees/report', { params }),
+};
+
+// Exchange rates API
+export const exchangeRatesAPI = {
+  getAll: (params) => api.get('/exchange-rates', { params }),
+  convert: (params) => api.get('/exchange-rates/convert', { params }),
+  create: (data) => api.post('/exchange-rates', data),
+  delete: (id) => api.delete(`/exchange-rates/${id}`),
+};
+
+// Wallet API
+export const walletAPI = {
+  get: (params) => api.get('/wallet', { params }),
+  update: (freelancerId, data) => api.patch(`/wallet/${freelancerId}`, data),
+  getTransactions: (params) => api.get('/wallet/transactions', { params }),
+  getPayouts: (params) => api.get('/wallet/payouts', { params }),
+  requestPayout: (data) => api.post('/wallet/payouts', data),
+  approvePayout: (id) => api.post(`/wallet/payouts/${id}/approve`),
+  rejectPayout: (id, reason) => api.post(`/wallet/payouts/${id}/reject`, { reason }),
+  cancelPayout: (id) => api.post(`/wallet/payouts/${id}/cancel`),
+};
+
+// Ledger API
+export const ledgerAPI = {
+  getAccounts: (params) => api.get('/ledger/accounts', { params }),
+  getAccount: (id) => api.get(`/ledger/accounts/${id}`),
+  getStatement: (id, params) => api.get(`/ledger/accounts/${id}/statement`, { params }),
+  getReconciliation: () => api.get('/ledger/reconciliation'),
+};
+
+// Payments API
+export const paymentsAPI = {
+  getAll: (params) => api.get('/payments', { params }),
+  getById: (id) => api.get(`/payments/${id}`),
+  create: (data) => api.post('/payments', data),
+  getInvoice: (id, format = 'html') =>
+    api.get(`/payments/${id}/invoice`, { params: { format }, responseType: format === 'pdf' ? 'blob' : 'text' }),
+};
+
 export default api;
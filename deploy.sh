@@ -134,6 +134,10 @@ sleep 30
 print_info "Initializing database..."
 docker-compose -f docker-compose.prod.yml exec -T app node src/db/init.js || true
 
+# Apply schema migrations (the app container only runs the server)
+print_info "Running database migrations..."
+docker-compose -f docker-compose.prod.yml exec -T app node src/db/migrate.js
+
 # Obtain SSL certificate
 print_info "Obtaining SSL certificate from Let's Encrypt..."
 docker-compose -f docker-compose.prod.yml run --rm certbot certonly \
@@ -10,6 +10,9 @@ echo "PostgreSQL is ready!"
 echo "Initializing database..."
 npm run init-db
 
+echo "Running migrations..."
+npm run migrate
+
 echo "Seeding database..."
 npm run seed
 
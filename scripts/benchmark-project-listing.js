@@ -0,0 +1,187 @@
+/**
+ * Project listing benchmark
+ * Compares GET /api/projects' query pattern before and after batching skills and proposal counts:
+ * - before: the listing with a correlated proposal COUNT, then one skills query per project
+ * - after: listProjects (one listing query, one batched skills / proposal count query)
+ *
+ * Runs against the seeded database. Extra projects (with skills and proposals) are added inside a
+ * transaction that is rolled back at the end, so the data is left as it was.
+ *
+ * Usage: npm run benchmark:projects -- [--projects 500] [--iterations 30] [--limit 50]
+ */
+
+const pool = require('../src/config/database');
+const { getClient } = require('../src/db/queries');
+const { parsePageParams } = require('../src/utils/pagination');
+const { listProjects } = require('../src/services/projects');
+
+const option = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+  const parsed = index === -1 ? NaN : Number.parseInt(process.argv[index + 1], 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const PROJECTS = option('projects', 500);
+const ITERATIONS = option('iterations', 30);
+const LIMIT = option('limit', 50);
+
+// GET /api/projects as it was: correlated COUNT per row, then one skills query per project
+// (plus an id tie-break so both versions return the same order)
+const listProjectsBefore = async (db, limit) => {
+  const result = await db.query(
+    `SELECT p.*,
+            c.company_name,
+            CONCAT_WS(' ', u.first_name, u.last_name) AS client_name,
+            (SELECT COUNT(*) FROM proposals WHERE project_id = p.id) AS proposal_count
+     FROM projects p
+     JOIN client_profiles c ON p.client_id = c.id
+     JOIN users u ON c.user_id = u.id
+     WHERE 1=1
+     ORDER BY p.posted_at DESC, p.id DESC LIMIT ? OFFSET ?`,
+    [limit, 0]
+  );
+
+  for (const project of result.rows) {
+    const skillsResult = await db.query(
+      `SELECT s.id, s.name, s.category
+       FROM skills s
+       JOIN project_skills ps ON s.id = ps.skill_id
+       WHERE ps.project_id = ?`,
+      [project.id]
+    );
+    project.skills = skillsResult.rows;
+    project.proposal_count = Number(project.proposal_count || 0);
+  }
+
+  return result.rows;
+};
+
+const listProjectsAfter = async (db, limit) => {
+  const { rows } = await listProjects(db, {}, parsePageParams({ limit: String(limit) }));
+  return rows;
+};
+
+const addProjects = async (db, count) => {
+  const projects = await db.query(
+    `INSERT INTO projects (id, client_id, title, description, project_type, budget_min, budget_max, currency, status, visibility, posted_at)
+     SELECT gen_random_uuid(),
+            clients.ids[1 + g % array_length(clients.ids, 1)],
+            'Benchmark project ' || g,
+            'Generated by the listing benchmark.',
+            'fixed', 1000, 5000, 'USD', 'open', 'public',
+            NOW() - g * INTERVAL '1 minute'
+     FROM generate_series(1, ?) g
+     CROSS JOIN (SELECT array_agg(id) AS ids FROM client_profiles) clients
+     WHERE clients.ids IS NOT NULL
+     RETURNING id`,
+    [count]
+  );
+
+  if (projects.rows.length === 0) {
+    throw new Error('No seeded clients found; run npm run seed first');
+  }
+
+  const projectIds = projects.rows.map((project) => project.id);
+
+  // 2-4 random skills and 0-3 random proposals per project
+  // (the subqueries reference p so they are re-run for each project)
+  await db.query(
+    `INSERT INTO project_skills (id, project_id, skill_id)
+     SELECT gen_random_uuid(), p.id, s.id
+     FROM UNNEST(?::uuid[]) AS p(id)
+     CROSS JOIN LATERAL (
+       SELECT id FROM skills WHERE p.id IS NOT NULL ORDER BY random() LIMIT 2 + floor(random() * 3)::int
+     ) s`,
+    [projectIds]
+  );
+
+  await db.query(
+    `INSERT INTO proposals (id, project_id, freelancer_id, bid_amount)
+     SELECT gen_random_uuid(), p.id, f.id, 2500
+     FROM UNNEST(?::uuid[]) AS p(id)
+     CROSS JOIN LATERAL (
+       SELECT id FROM freelancer_profiles WHERE p.id IS NOT NULL
+       ORDER BY random() LIMIT floor(random() * 4)::int
+     ) f`,
+    [projectIds]
+  );
+};
+
+// Time a listing function and count its round trips
+const measure = async (db, list) => {
+  let queries = 0;
+  const counted = {
+    query: (text, params) => {
+      queries += 1;
+      return db.query(text, params);
+    }
+  };
+
+  const durations = [];
+  let rows = [];
+
+  for (let i = 0; i < ITERATIONS; i += 1) {
+    queries = 0;
+    const start = process.hrtime.bigint();
+    rows = await list(counted, LIMIT);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+
+  return {
+    rows,
+    queries,
+    median: durations[Math.floor(durations.length / 2)],
+    mean: durations.reduce((total, duration) => total + duration, 0) / durations.length
+  };
+};
+
+// Both versions must return the same projects, skills and proposal counts
+const summary = (rows) => JSON.stringify(rows.map((project) => [
+  project.id,
+  project.proposal_count,
+  project.skills.map((skill) => skill.id).sort()
+]));
+
+const benchmark = async () => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    if (PROJECTS > 0) {
+      console.log(`Adding ${PROJECTS} temporary projects...`);
+      await addProjects(client, PROJECTS);
+    }
+
+    // Warm up caches and plans for both versions
+    await listProjectsBefore(client, LIMIT);
+    await listProjectsAfter(client, LIMIT);
+
+    const before = await measure(client, listProjectsBefore);
+    const after = await measure(client, listProjectsAfter);
+
+    if (summary(before.rows) !== summary(after.rows)) {
+      throw new Error('The two listings returned different results');
+    }
+
+    console.log(`\nGET /api/projects, ${before.rows.length} projects per page, ${ITERATIONS} runs each\n`);
+    console.table({
+      before: { queries: before.queries, 'median ms': before.median.toFixed(2), 'mean ms': before.mean.toFixed(2) },
+      after: { queries: after.queries, 'median ms': after.median.toFixed(2), 'mean ms': after.mean.toFixed(2) }
+    });
+    console.log(`Speed-up (median): ${(before.median / after.median).toFixed(1)}x`);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+};
+
+benchmark()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+  });
@@ -19,6 +19,9 @@ docker-compose -f docker-compose.prod.yml build --no-cache
 echo -e "${BLUE}[INFO]${NC} Restarting services..."
 docker-compose -f docker-compose.prod.yml up -d
 
+echo -e "${BLUE}[INFO]${NC} Running database migrations..."
+docker-compose -f docker-compose.prod.yml exec -T app node src/db/migrate.js
+
 echo -e "${BLUE}[INFO]${NC} Cleaning up old images..."
 docker image prune -f
 
@@ -0,0 +1,70 @@
+/**
+ * Database Migration Script
+ * Applies pending migrations from src/db/migrations in filename order
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const migrate = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const appliedResult = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map((row) => row.name));
+
+    const files = fs
+      .readdirSync(MIGRATIONS_DIR)
+      .filter((file) => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const name = path.basename(file, '.js');
+
+      if (applied.has(name)) {
+        continue;
+      }
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      console.log(`Applying migration ${name}...`);
+
+      // Each migration runs in its own transaction so a failure leaves no partial schema
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      }
+
+      console.log(`✅ Applied ${name}`);
+    }
+
+    console.log('✅ Database schema is up to date');
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+migrate()
+  .then(() => {
+    console.log('Migrations complete!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Failed to run migrations:', error);
+    process.exit(1);
+  });
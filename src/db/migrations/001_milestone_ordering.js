@@ -0,0 +1,26 @@
+/**
+ * Milestone ordering and drafting
+ * - position: lets the client reorder milestones within a contract
+ * - 'pending' status: milestones defined through the API start unfunded
+ */
+module.exports = {
+  up: `
+    ALTER TABLE milestones ADD COLUMN IF NOT EXISTS position INT;
+
+    UPDATE milestones m
+    SET position = ordered.rn
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY contract_id ORDER BY due_at ASC NULLS LAST, id) AS rn
+      FROM milestones
+    ) ordered
+    WHERE m.id = ordered.id;
+
+    ALTER TABLE milestones DROP CONSTRAINT IF EXISTS milestones_status_check;
+    ALTER TABLE milestones ADD CONSTRAINT milestones_status_check CHECK (
+      status IN ('pending', 'funded', 'in_review', 'released', 'disputed')
+    );
+    ALTER TABLE milestones ALTER COLUMN status SET DEFAULT 'pending';
+
+    CREATE INDEX IF NOT EXISTS idx_milestones_contract_id ON milestones (contract_id, position);
+  `
+};
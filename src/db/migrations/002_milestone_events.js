@@ -0,0 +1,28 @@
+/**
+ * Milestone delivery workflow
+ * - 'changes_requested' / 'approved' statuses for the review loop
+ * - milestone_events: append-only history of every workflow transition
+ */
+module.exports = {
+  up: `
+    ALTER TABLE milestones DROP CONSTRAINT IF EXISTS milestones_status_check;
+    ALTER TABLE milestones ADD CONSTRAINT milestones_status_check CHECK (
+      status IN ('pending', 'funded', 'in_review', 'changes_requested', 'approved', 'released', 'disputed')
+    );
+
+    CREATE TABLE IF NOT EXISTS milestone_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      milestone_id UUID NOT NULL REFERENCES milestones (id) ON DELETE CASCADE,
+      actor_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL CHECK (
+        action IN ('submitted', 'changes_requested', 'approved')
+      ),
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_milestone_events_milestone_id ON milestone_events (milestone_id, created_at);
+  `
+};
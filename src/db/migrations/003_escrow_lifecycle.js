@@ -0,0 +1,27 @@
+/**
+ * Escrow lifecycle
+ * - released_at / refunded_at on escrows
+ * - 'cancelled' milestone status for refunded or abandoned milestones
+ * - escrow steps recorded in milestone_events alongside the delivery workflow
+ */
+module.exports = {
+  up: `
+    ALTER TABLE escrows ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+    ALTER TABLE escrows ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_escrows_milestone_id ON escrows (milestone_id);
+
+    ALTER TABLE milestones DROP CONSTRAINT IF EXISTS milestones_status_check;
+    ALTER TABLE milestones ADD CONSTRAINT milestones_status_check CHECK (
+      status IN ('pending', 'funded', 'in_review', 'changes_requested', 'approved', 'released', 'disputed', 'cancelled')
+    );
+
+    -- Approval and release happen in one transaction; clock_timestamp keeps their history order
+    ALTER TABLE milestone_events ALTER COLUMN created_at SET DEFAULT clock_timestamp();
+
+    ALTER TABLE milestone_events DROP CONSTRAINT IF EXISTS milestone_events_action_check;
+    ALTER TABLE milestone_events ADD CONSTRAINT milestone_events_action_check CHECK (
+      action IN ('funded', 'submitted', 'changes_requested', 'approved', 'released', 'refunded', 'cancelled')
+    );
+  `
+};
@@ -0,0 +1,72 @@
+/**
+ * Double-entry ledger
+ * - ledger_accounts: one account per (type, owner, currency); code is the natural key
+ * - ledger_transactions: a business event (escrow funded, released, refunded, ...)
+ * - ledger_entries: debit/credit lines; every transaction must balance per currency
+ * Account balances are credits minus debits, so the sum over all accounts is always zero
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      code VARCHAR(120) UNIQUE NOT NULL,
+      account_type VARCHAR(50) NOT NULL CHECK (
+        account_type IN ('external', 'client', 'freelancer', 'escrow', 'platform')
+      ),
+      owner_id UUID,
+      currency VARCHAR(3) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_accounts_owner ON ledger_accounts (account_type, owner_id);
+
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      kind VARCHAR(50) NOT NULL,
+      reference_type VARCHAR(50),
+      reference_id UUID,
+      currency VARCHAR(3) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT clock_timestamp()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_transactions_reference ON ledger_transactions (reference_type, reference_id);
+
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      transaction_id UUID NOT NULL REFERENCES ledger_transactions (id) ON DELETE CASCADE,
+      account_id UUID NOT NULL REFERENCES ledger_accounts (id),
+      direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+      amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+      created_at TIMESTAMP DEFAULT clock_timestamp()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account_id ON ledger_entries (account_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction_id ON ledger_entries (transaction_id);
+
+    -- Reject unbalanced transactions at commit time, whatever code path wrote them
+    CREATE OR REPLACE FUNCTION ledger_assert_balanced() RETURNS trigger AS $$
+    DECLARE
+      imbalance DECIMAL(12, 2);
+    BEGIN
+      SELECT COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END), 0)
+      INTO imbalance
+      FROM ledger_entries
+      WHERE transaction_id = NEW.transaction_id;
+
+      IF imbalance <> 0 THEN
+        RAISE EXCEPTION 'Ledger transaction % is unbalanced by %', NEW.transaction_id, imbalance
+          USING ERRCODE = 'check_violation';
+      END IF;
+
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS ledger_entries_balanced ON ledger_entries;
+    CREATE CONSTRAINT TRIGGER ledger_entries_balanced
+      AFTER INSERT OR UPDATE ON ledger_entries
+      DEFERRABLE INITIALLY DEFERRED
+      FOR EACH ROW EXECUTE FUNCTION ledger_assert_balanced();
+  `
+};
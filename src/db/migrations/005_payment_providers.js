@@ -0,0 +1,30 @@
+/**
+ * Payment provider integration
+ * - payments remember which provider processed them and the provider's charge reference
+ * - payment_webhook_events stores every accepted webhook so redeliveries are ignored
+ */
+module.exports = {
+  up: `
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(255);
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_payments_milestone_id ON payments (milestone_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference
+      ON payments (provider, provider_reference)
+      WHERE provider_reference IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS payment_webhook_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      provider VARCHAR(50) NOT NULL,
+      event_id VARCHAR(255) NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      payment_id UUID REFERENCES payments (id) ON DELETE SET NULL,
+      payload JSONB NOT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (provider, event_id)
+    );
+  `
+};
@@ -0,0 +1,48 @@
+/**
+ * Time tracking for hourly contracts
+ * - contracts.weekly_hour_cap: optional limit on hours logged per week
+ * - timesheets: one per contract and week (weeks start on Monday), reviewed by the client
+ * - time_entries: hours a freelancer logged on a given day, grouped into their week's timesheet
+ * Approving a timesheet creates a pending milestone for hours x hourly_rate; once paid, its escrow goes straight to the freelancer
+ */
+module.exports = {
+  up: `
+    ALTER TABLE contracts ADD COLUMN IF NOT EXISTS weekly_hour_cap DECIMAL(5, 2)
+      CHECK (weekly_hour_cap > 0 AND weekly_hour_cap <= 168);
+
+    CREATE TABLE IF NOT EXISTS timesheets (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      contract_id UUID NOT NULL REFERENCES contracts (id) ON DELETE CASCADE,
+      week_start DATE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (
+        status IN ('open', 'submitted', 'approved', 'disputed')
+      ),
+      total_hours DECIMAL(6, 2) NOT NULL DEFAULT 0,
+      hourly_rate DECIMAL(10, 2),
+      amount DECIMAL(12, 2),
+      milestone_id UUID REFERENCES milestones (id) ON DELETE SET NULL,
+      dispute_reason TEXT,
+      submitted_at TIMESTAMP,
+      reviewed_at TIMESTAMP,
+      reviewed_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (contract_id, week_start),
+      CHECK (EXTRACT(ISODOW FROM week_start) = 1)
+    );
+
+    CREATE TABLE IF NOT EXISTS time_entries (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      contract_id UUID NOT NULL REFERENCES contracts (id) ON DELETE CASCADE,
+      timesheet_id UUID NOT NULL REFERENCES timesheets (id) ON DELETE CASCADE,
+      work_date DATE NOT NULL,
+      hours DECIMAL(5, 2) NOT NULL CHECK (hours > 0 AND hours <= 24),
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_time_entries_timesheet_id ON time_entries (timesheet_id);
+    CREATE INDEX IF NOT EXISTS idx_time_entries_contract_date ON time_entries (contract_id, work_date);
+  `
+};
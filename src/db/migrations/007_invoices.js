@@ -0,0 +1,109 @@
+/**
+ * Invoices for paid payments
+ * - invoices are issued by the freelancer (payee) to the client (payer), one per payment
+ * - invoice_sequences hands out numbers per issuer; the counter row is locked and bumped inside
+ *   the issuing transaction, so a rolled-back invoice never burns a number
+ * - party details and line items are snapshotted so later profile edits do not rewrite old invoices
+ * - payments already paid get their invoices here, numbered per issuer in the order they were paid
+ *   (same line items and details as services/invoices.js issueInvoice; there were no platform fees yet)
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS invoice_sequences (
+      issuer_freelancer_id UUID PRIMARY KEY REFERENCES freelancer_profiles (id) ON DELETE CASCADE,
+      last_number INT NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS invoices (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      payment_id UUID UNIQUE NOT NULL REFERENCES payments (id) ON DELETE RESTRICT,
+      issuer_freelancer_id UUID NOT NULL REFERENCES freelancer_profiles (id),
+      recipient_client_id UUID NOT NULL REFERENCES client_profiles (id),
+      sequence_number INT NOT NULL CHECK (sequence_number > 0),
+      invoice_number VARCHAR(50) UNIQUE NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      subtotal DECIMAL(12, 2) NOT NULL,
+      platform_fee DECIMAL(12, 2) NOT NULL DEFAULT 0,
+      total DECIMAL(12, 2) NOT NULL,
+      line_items JSONB NOT NULL,
+      issuer_details JSONB NOT NULL,
+      recipient_details JSONB NOT NULL,
+      issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (issuer_freelancer_id, sequence_number)
+    );
+
+    INSERT INTO invoices (
+      payment_id, issuer_freelancer_id, recipient_client_id, sequence_number, invoice_number,
+      currency, subtotal, platform_fee, total, line_items, issuer_details, recipient_details, issued_at
+    )
+    SELECT numbered.payment_id,
+           numbered.issuer_freelancer_id,
+           numbered.recipient_client_id,
+           numbered.sequence_number,
+           'INV-' || UPPER(LEFT(REPLACE(numbered.issuer_freelancer_id::text, '-', ''), 8))
+             || '-' || LPAD(numbered.sequence_number::text, 6, '0'),
+           numbered.currency,
+           numbered.amount,
+           0,
+           numbered.amount,
+           numbered.line_items,
+           numbered.issuer_details,
+           numbered.recipient_details,
+           numbered.paid_at
+    FROM (
+      SELECT pay.id AS payment_id,
+             pay.payee_freelancer_id AS issuer_freelancer_id,
+             pay.payer_client_id AS recipient_client_id,
+             COALESCE(seq.last_number, 0)
+               + ROW_NUMBER() OVER (PARTITION BY pay.payee_freelancer_id ORDER BY pay.paid_at, pay.id) AS sequence_number,
+             pay.currency,
+             pay.amount,
+             COALESCE(pay.paid_at, CURRENT_TIMESTAMP) AS paid_at,
+             jsonb_build_array(
+               CASE WHEN ts.id IS NOT NULL
+                 THEN jsonb_build_object(
+                   'description', proj.title || ': hours for week of ' || to_char(ts.week_start, 'YYYY-MM-DD'),
+                   'quantity', ts.total_hours,
+                   'unit_price', ROUND(ts.hourly_rate, 2)::text,
+                   'amount', ROUND(pay.amount, 2)::text
+                 )
+                 ELSE jsonb_build_object(
+                   'description', proj.title || ': ' || m.title,
+                   'quantity', 1,
+                   'unit_price', ROUND(pay.amount, 2)::text,
+                   'amount', ROUND(pay.amount, 2)::text
+                 )
+               END
+             ) AS line_items,
+             jsonb_build_object(
+               'name', CONCAT_WS(' ', uf.first_name, uf.last_name),
+               'email', uf.email
+             ) AS issuer_details,
+             jsonb_build_object(
+               'company_name', cp.company_name,
+               'name', CONCAT_WS(' ', uc.first_name, uc.last_name),
+               'email', uc.email,
+               'website', cp.website
+             ) AS recipient_details
+      FROM payments pay
+      JOIN milestones m ON pay.milestone_id = m.id
+      JOIN contracts c ON m.contract_id = c.id
+      JOIN projects proj ON c.project_id = proj.id
+      LEFT JOIN timesheets ts ON ts.milestone_id = m.id
+      JOIN freelancer_profiles fp ON pay.payee_freelancer_id = fp.id
+      JOIN users uf ON fp.user_id = uf.id
+      JOIN client_profiles cp ON pay.payer_client_id = cp.id
+      JOIN users uc ON cp.user_id = uc.id
+      LEFT JOIN invoice_sequences seq ON seq.issuer_freelancer_id = pay.payee_freelancer_id
+      WHERE pay.status = 'paid'
+        AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.payment_id = pay.id)
+    ) numbered;
+
+    INSERT INTO invoice_sequences (issuer_freelancer_id, last_number)
+    SELECT issuer_freelancer_id, MAX(sequence_number)
+    FROM invoices
+    GROUP BY issuer_freelancer_id
+    ON CONFLICT (issuer_freelancer_id)
+    DO UPDATE SET last_number = GREATEST(invoice_sequences.last_number, EXCLUDED.last_number);
+  `
+};
@@ -0,0 +1,38 @@
+/**
+ * Platform fee engine
+ * - fee_rules: percentage or flat fees charged to the client (on funding) or the freelancer (on release),
+ *   optionally scoped to a contract type and currency, with lifetime-billing tiers per client-freelancer pair
+ * - escrows and payments keep the fees that were actually charged, and which rule produced them
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS fee_rules (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(255) NOT NULL,
+      side VARCHAR(20) NOT NULL CHECK (side IN ('client', 'freelancer')),
+      contract_type VARCHAR(20) CHECK (contract_type IN ('fixed', 'hourly')),
+      currency VARCHAR(3),
+      min_lifetime_billing DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (min_lifetime_billing >= 0),
+      fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('percentage', 'flat')),
+      percentage DECIMAL(5, 2) CHECK (percentage >= 0 AND percentage <= 100),
+      flat_amount DECIMAL(12, 2) CHECK (flat_amount >= 0),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (
+        (fee_type = 'percentage' AND percentage IS NOT NULL) OR
+        (fee_type = 'flat' AND flat_amount IS NOT NULL AND currency IS NOT NULL)
+      )
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fee_rules_lookup ON fee_rules (side, is_active);
+
+    ALTER TABLE escrows ADD COLUMN IF NOT EXISTS client_fee DECIMAL(12, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE escrows ADD COLUMN IF NOT EXISTS freelancer_fee DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS client_fee DECIMAL(12, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS client_fee_rule_id UUID REFERENCES fee_rules (id) ON DELETE SET NULL;
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS freelancer_fee DECIMAL(12, 2) NOT NULL DEFAULT 0;
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS freelancer_fee_rule_id UUID REFERENCES fee_rules (id) ON DELETE SET NULL;
+  `
+};
@@ -0,0 +1,22 @@
+/**
+ * Exchange rates maintained by admins
+ * 1 base_currency = rate quote_currency, from effective_date until a newer rate for the pair takes over
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      base_currency VARCHAR(3) NOT NULL,
+      quote_currency VARCHAR(3) NOT NULL,
+      rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+      effective_date DATE NOT NULL,
+      created_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (base_currency, quote_currency, effective_date),
+      CHECK (base_currency <> quote_currency)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+      ON exchange_rates (base_currency, quote_currency, effective_date DESC);
+  `
+};
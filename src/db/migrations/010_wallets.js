@@ -0,0 +1,37 @@
+/**
+ * Freelancer wallets and payout requests
+ * - wallets: one per freelancer profile; balances come from the profile's freelancer ledger accounts,
+ *   the row holds settings (hold period override) and serializes payout requests
+ * - payout_requests: withdrawals of available balance, approved or rejected by an admin
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS wallets (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      freelancer_id UUID UNIQUE NOT NULL REFERENCES freelancer_profiles (id) ON DELETE CASCADE,
+      hold_days INTEGER CHECK (hold_days >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS payout_requests (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      wallet_id UUID NOT NULL REFERENCES wallets (id) ON DELETE CASCADE,
+      amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+      currency VARCHAR(3) NOT NULL,
+      method VARCHAR(20) NOT NULL CHECK (method IN ('bank', 'paypal', 'crypto')),
+      note TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (
+        status IN ('pending', 'approved', 'rejected', 'cancelled')
+      ),
+      rejection_reason TEXT,
+      reviewed_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payout_requests_wallet ON payout_requests (wallet_id, status);
+    CREATE INDEX IF NOT EXISTS idx_payout_requests_status ON payout_requests (status, created_at);
+  `
+};
@@ -0,0 +1,14 @@
+/**
+ * Reviews API
+ * - each party reviews a contract at most once
+ * - rating_avg / rating_count on the profiles are recalculated from reviews when one is saved
+ */
+module.exports = {
+  up: `
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_contract_reviewer ON reviews (contract_id, reviewer_user_id);
+    CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews (reviewee_user_id, reviewed_at DESC);
+
+    ALTER TABLE freelancer_profiles ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+  `
+};
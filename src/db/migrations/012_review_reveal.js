@@ -0,0 +1,20 @@
+/**
+ * Double-blind reviews
+ * - a review stays hidden (is_revealed = FALSE) until the other party has reviewed too,
+ *   or the reveal window after the contract's end_at runs out
+ * - only revealed reviews count toward rating_avg / rating_count
+ * Reviews that already exist were public before this change, so they start revealed
+ */
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS is_revealed BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMP;
+
+    UPDATE reviews
+    SET is_revealed = TRUE,
+        revealed_at = COALESCE(reviewed_at, CURRENT_TIMESTAMP)
+    WHERE revealed_at IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_reviews_unrevealed ON reviews (contract_id) WHERE is_revealed = FALSE;
+  `
+};
@@ -0,0 +1,44 @@
+/**
+ * Review replies and moderation
+ * - reviews.reply: the reviewee's one public reply
+ * - review_reports: abuse reports, open until an admin hides the review or dismisses them
+ * - hidden reviews (is_hidden) drop out of listings and rating aggregates
+ * - review_events: append-only audit trail of replies, reports and moderation decisions
+ */
+module.exports = {
+  up: `
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS reply TEXT;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS replied_at TIMESTAMP;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS hidden_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL;
+    ALTER TABLE reviews ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS review_reports (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      review_id UUID NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+      reporter_user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+      resolved_by_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (review_id, reporter_user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_review_reports_open ON review_reports (review_id) WHERE status = 'open';
+
+    CREATE TABLE IF NOT EXISTS review_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      review_id UUID NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+      actor_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL CHECK (
+        action IN ('replied', 'reported', 'hidden', 'unhidden', 'reports_dismissed')
+      ),
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_review_events_review_id ON review_events (review_id, created_at);
+  `
+};
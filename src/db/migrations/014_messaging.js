@@ -0,0 +1,30 @@
+/**
+ * Messaging API
+ * - project threads are between the project's client and one proposing freelancer (freelancer_id);
+ *   contract threads are between the contract's parties
+ * - at most one thread per (project, freelancer) and per contract
+ * Existing project threads take their freelancer from the first freelancer who posted in them
+ */
+module.exports = {
+  up: `
+    ALTER TABLE message_threads ADD COLUMN IF NOT EXISTS freelancer_id UUID REFERENCES freelancer_profiles (id) ON DELETE CASCADE;
+
+    UPDATE message_threads t
+    SET freelancer_id = (
+      SELECT fp.id
+      FROM messages m
+      JOIN freelancer_profiles fp ON fp.user_id = m.sender_user_id
+      WHERE m.thread_id = t.id
+      ORDER BY m.sent_at ASC
+      LIMIT 1
+    )
+    WHERE t.scope = 'project' AND t.freelancer_id IS NULL;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_message_threads_project_freelancer
+      ON message_threads (project_id, freelancer_id) WHERE scope = 'project';
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_message_threads_contract
+      ON message_threads (contract_id) WHERE scope = 'contract';
+
+    CREATE INDEX IF NOT EXISTS idx_messages_thread_sent ON messages (thread_id, sent_at DESC, id DESC);
+  `
+};
@@ -0,0 +1,19 @@
+/**
+ * Event stream tickets
+ * - event_stream_tickets: short-lived, single-use tickets for opening GET /api/events/stream, so the
+ *   access token never goes in a URL (EventSource cannot send headers)
+ * - stream_expires_at is the issuing access token's expiry; the stream ends then
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS event_stream_tickets (
+      ticket VARCHAR(64) PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      stream_expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_event_stream_tickets_expires_at ON event_stream_tickets (expires_at);
+  `
+};
@@ -0,0 +1,19 @@
+/**
+ * Unread counts and read receipts
+ * - message_thread_reads: each participant's last-read marker per thread (the newest message they have read)
+ * - existing threads start with no markers, so all of a participant's received messages count as unread
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS message_thread_reads (
+      thread_id UUID NOT NULL REFERENCES message_threads (id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      last_read_message_id UUID NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+      last_read_sent_at TIMESTAMP NOT NULL,
+      read_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (thread_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_thread_reads_user ON message_thread_reads (user_id);
+  `
+};
@@ -0,0 +1,38 @@
+/**
+ * File attachments
+ * - files: stored blobs, deduplicated by SHA-256 checksum
+ * - attachments: one upload of a file by a user; unattached until it is added to a message,
+ *   a proposal or a milestone workflow event (at most one parent)
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS files (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      checksum_sha256 CHAR(64) NOT NULL UNIQUE,
+      size_bytes BIGINT NOT NULL CHECK (size_bytes > 0),
+      storage_driver VARCHAR(20) NOT NULL,
+      storage_key VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS attachments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      file_id UUID NOT NULL REFERENCES files (id) ON DELETE RESTRICT,
+      uploaded_by_user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      filename VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      message_id UUID REFERENCES messages (id) ON DELETE CASCADE,
+      proposal_id UUID REFERENCES proposals (id) ON DELETE CASCADE,
+      milestone_event_id UUID REFERENCES milestone_events (id) ON DELETE CASCADE,
+      attached_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (num_nonnulls(message_id, proposal_id, milestone_event_id) <= 1)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_attachments_message_id ON attachments (message_id) WHERE message_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_attachments_proposal_id ON attachments (proposal_id) WHERE proposal_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_attachments_milestone_event_id
+      ON attachments (milestone_event_id) WHERE milestone_event_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_attachments_file_id ON attachments (file_id);
+  `
+};
@@ -0,0 +1,12 @@
+/**
+ * Full-text search over messages
+ * - messages.search_vector: English tsvector of the body, kept up to date by Postgres
+ */
+module.exports = {
+  up: `
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (to_tsvector('english', COALESCE(body, ''))) STORED;
+
+    CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+  `
+};
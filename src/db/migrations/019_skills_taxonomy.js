@@ -0,0 +1,26 @@
+/**
+ * Skills taxonomy management
+ * - skills: is_deprecated / deprecated_at (kept on existing projects and profiles, not offered for new ones);
+ *   names are unique regardless of case
+ * - skill_synonyms: alternative names that resolve to a skill (e.g. "ReactJS" -> "React"),
+ *   unique regardless of case
+ */
+module.exports = {
+  up: `
+    ALTER TABLE skills ADD COLUMN IF NOT EXISTS is_deprecated BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE skills ADD COLUMN IF NOT EXISTS deprecated_at TIMESTAMP;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_skills_name_lower ON skills (LOWER(name));
+    CREATE INDEX IF NOT EXISTS idx_skills_category ON skills (category);
+
+    CREATE TABLE IF NOT EXISTS skill_synonyms (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      skill_id UUID NOT NULL REFERENCES skills (id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_skill_synonyms_name_lower ON skill_synonyms (LOWER(name));
+    CREATE INDEX IF NOT EXISTS idx_skill_synonyms_skill_id ON skill_synonyms (skill_id);
+  `
+};
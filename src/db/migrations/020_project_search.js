@@ -0,0 +1,78 @@
+/**
+ * Full-text search over projects
+ * - project_search: one weighted English tsvector per project (title A, skill names B, description C),
+ *   kept in its own table so SELECT p.* stays unchanged
+ * - Triggers refresh a project's vector when its title/description, its skills or a skill's name change
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS project_search (
+      project_id UUID PRIMARY KEY REFERENCES projects (id) ON DELETE CASCADE,
+      search_vector tsvector NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_project_search_vector ON project_search USING GIN (search_vector);
+
+    -- No-op when the project no longer exists (e.g. project_skills rows cascading from a deleted project)
+    CREATE OR REPLACE FUNCTION refresh_project_search(target_project_id UUID) RETURNS void AS $$
+      INSERT INTO project_search (project_id, search_vector)
+      SELECT p.id,
+             setweight(to_tsvector('english', COALESCE(p.title, '')), 'A') ||
+             setweight(to_tsvector('english', COALESCE(string_agg(s.name, ' '), '')), 'B') ||
+             setweight(to_tsvector('english', COALESCE(p.description, '')), 'C')
+      FROM projects p
+      LEFT JOIN project_skills ps ON ps.project_id = p.id
+      LEFT JOIN skills s ON s.id = ps.skill_id
+      WHERE p.id = target_project_id
+      GROUP BY p.id
+      ON CONFLICT (project_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+    $$ LANGUAGE sql;
+
+    CREATE OR REPLACE FUNCTION projects_search_refresh() RETURNS trigger AS $$
+    BEGIN
+      PERFORM refresh_project_search(NEW.id);
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS projects_search_refresh ON projects;
+    CREATE TRIGGER projects_search_refresh
+      AFTER INSERT OR UPDATE OF title, description ON projects
+      FOR EACH ROW EXECUTE FUNCTION projects_search_refresh();
+
+    CREATE OR REPLACE FUNCTION project_skills_search_refresh() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_project_search(OLD.project_id);
+      END IF;
+      IF TG_OP <> 'DELETE' THEN
+        PERFORM refresh_project_search(NEW.project_id);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS project_skills_search_refresh ON project_skills;
+    CREATE TRIGGER project_skills_search_refresh
+      AFTER INSERT OR UPDATE OR DELETE ON project_skills
+      FOR EACH ROW EXECUTE FUNCTION project_skills_search_refresh();
+
+    CREATE OR REPLACE FUNCTION skills_search_refresh() RETURNS trigger AS $$
+    BEGIN
+      PERFORM refresh_project_search(ps.project_id)
+      FROM project_skills ps
+      WHERE ps.skill_id = NEW.id;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS skills_search_refresh ON skills;
+    CREATE TRIGGER skills_search_refresh
+      AFTER UPDATE OF name ON skills
+      FOR EACH ROW
+      WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION skills_search_refresh();
+
+    SELECT refresh_project_search(id) FROM projects;
+  `
+};
@@ -1,19 +1,40 @@
 const { randomUUID } = require('crypto');
 const { getClient } = require('./queries');
 const pool = require('../config/database');
+const { postTransaction } = require('../services/ledger');
 
 const TABLES = [
+  'attachments',
+  'files',
+  'payout_requests',
+  'wallets',
+  'time_entries',
+  'timesheets',
+  'ledger_entries',
+  'ledger_transactions',
+  'ledger_accounts',
+  'milestone_events',
+  'message_thread_reads',
   'messages',
   'message_threads',
+  'review_events',
+  'review_reports',
   'reviews',
+  'invoices',
+  'invoice_sequences',
+  'payment_webhook_events',
   'payments',
+  'fee_rules',
+  'exchange_rates',
   'escrows',
   'milestones',
   'contracts',
   'proposals',
   'project_skills',
+  'project_search',
   'projects',
   'freelancer_skills',
+  'skill_synonyms',
   'skills',
   'client_profiles',
   'freelancer_profiles',
@@ -281,6 +302,21 @@ const seed = async () => {
       skills
     );
 
+    const skillSynonyms = [
+      [randomUUID(), skillIds.javascript, 'JS'],
+      [randomUUID(), skillIds.react, 'ReactJS'],
+      [randomUUID(), skillIds.react, 'React.js'],
+      [randomUUID(), skillIds.node, 'NodeJS'],
+      [randomUUID(), skillIds.uiux, 'UX Design']
+    ];
+
+    await insertMany(
+      connection,
+      `INSERT INTO skill_synonyms (id, skill_id, name)
+       VALUES (?, ?, ?)`,
+      skillSynonyms
+    );
+
     const freelancerSkills = [
       [randomUUID(), freelancerProfileIds.john, skillIds.javascript, 5, 6],
       [randomUUID(), freelancerProfileIds.john, skillIds.react, 5, 5],
@@ -491,7 +527,8 @@ const seed = async () => {
         1800.0,
         'released',
         new Date(Date.now() + 1000 * 60 * 60 * 24 * 5),
-        new Date(Date.now() - 1000 * 60 * 60 * 12)
+        new Date(Date.now() - 1000 * 60 * 60 * 12),
+        1
       ],
       [
         milestoneIds.delivery,
@@ -501,7 +538,8 @@ const seed = async () => {
         2400.0,
         'in_review',
         new Date(Date.now() + 1000 * 60 * 60 * 24 * 20),
-        null
+        null,
+        2
       ],
       [
         milestoneIds.apiMvp,
@@ -511,14 +549,15 @@ const seed = async () => {
         0.0,
         'funded',
         new Date(Date.now() + 1000 * 60 * 60 * 24 * 14),
-        null
+        null,
+        1
       ]
     ];
 
     await insertMany(
       connection,
-      `INSERT INTO milestones (id, contract_id, title, scope, amount, status, due_at, released_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO milestones (id, contract_id, title, scope, amount, status, due_at, released_at, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       milestones
     );
 
@@ -559,6 +598,49 @@ const seed = async () => {
       escrows
     );
 
+    // Mirror the seeded escrows in the ledger so reconciliation starts out clean
+    const escrowParties = {
+      [milestoneIds.discovery]: { clientId: clientProfileIds.jane, freelancerId: freelancerProfileIds.john },
+      [milestoneIds.delivery]: { clientId: clientProfileIds.jane, freelancerId: freelancerProfileIds.john },
+      [milestoneIds.apiMvp]: { clientId: clientProfileIds.hiro, freelancerId: freelancerProfileIds.priya }
+    };
+
+    for (const [escrowId, milestoneId, amount, currency, status] of escrows) {
+      if (!(amount > 0)) {
+        continue;
+      }
+
+      const { clientId, freelancerId } = escrowParties[milestoneId];
+
+      await postTransaction(connection, {
+        kind: 'escrow_fund',
+        referenceType: 'escrow',
+        referenceId: escrowId,
+        currency,
+        description: 'Seeded escrow funding',
+        entries: [
+          { account: { type: 'external' }, direction: 'debit', amount },
+          { account: { type: 'client', ownerId: clientId }, direction: 'credit', amount },
+          { account: { type: 'client', ownerId: clientId }, direction: 'debit', amount },
+          { account: { type: 'escrow', ownerId: escrowId }, direction: 'credit', amount }
+        ]
+      });
+
+      if (status === 'released') {
+        await postTransaction(connection, {
+          kind: 'escrow_release',
+          referenceType: 'escrow',
+          referenceId: escrowId,
+          currency,
+          description: 'Seeded escrow release',
+          entries: [
+            { account: { type: 'escrow', ownerId: escrowId }, direction: 'debit', amount },
+            { account: { type: 'freelancer', ownerId: freelancerId }, direction: 'credit', amount }
+          ]
+        });
+      }
+    }
+
     const payments = [
       [
         randomUUID(),
@@ -580,6 +662,37 @@ const seed = async () => {
       payments
     );
 
+    // Sample fee schedule: 3% client fee on funding, 10% freelancer fee on release
+    // dropping to 5% once a client has paid the same freelancer 10,000 USD
+    const feeRules = [
+      [randomUUID(), 'Client processing fee', 'client', null, null, 0, 'percentage', 3.0, null],
+      [randomUUID(), 'Freelancer service fee', 'freelancer', null, null, 0, 'percentage', 10.0, null],
+      [randomUUID(), 'Freelancer service fee (long-term clients)', 'freelancer', null, 'USD', 10000.0, 'percentage', 5.0, null]
+    ];
+
+    await insertMany(
+      connection,
+      `INSERT INTO fee_rules (id, name, side, contract_type, currency, min_lifetime_billing, fee_type, percentage, flat_amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      feeRules
+    );
+
+    // Sample USD-based exchange rates so display_currency and the fee report have something to use
+    const rateDate = new Date(Date.now() - 1000 * 60 * 60 * 24 * 30).toISOString().slice(0, 10);
+    const exchangeRates = [
+      [randomUUID(), 'USD', 'EUR', 0.92, rateDate, userIds.avaAdmin],
+      [randomUUID(), 'USD', 'GBP', 0.79, rateDate, userIds.avaAdmin],
+      [randomUUID(), 'USD', 'INR', 83.2, rateDate, userIds.avaAdmin],
+      [randomUUID(), 'USD', 'JPY', 151.5, rateDate, userIds.avaAdmin]
+    ];
+
+    await insertMany(
+      connection,
+      `INSERT INTO exchange_rates (id, base_currency, quote_currency, rate, effective_date, created_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      exchangeRates
+    );
+
     const reviews = [
       [
         randomUUID(),
@@ -588,14 +701,15 @@ const seed = async () => {
         userIds.johnFreelancer,
         5,
         'John quickly understood our product vision and delivered polished UI components.',
+        new Date(Date.now() - 1000 * 60 * 60 * 3),
         new Date(Date.now() - 1000 * 60 * 60 * 3)
       ]
     ];
 
     await insertMany(
       connection,
-      `INSERT INTO reviews (id, contract_id, reviewer_user_id, reviewee_user_id, rating, comment, reviewed_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO reviews (id, contract_id, reviewer_user_id, reviewee_user_id, rating, comment, reviewed_at, is_revealed, revealed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, ?)`,
       reviews
     );
 
@@ -604,6 +718,7 @@ const seed = async () => {
         threadIds.projectReact,
         projectIds.reactDashboard,
         null,
+        freelancerProfileIds.john,
         'project',
         new Date(Date.now() - 1000 * 60 * 60 * 24 * 2)
       ],
@@ -611,6 +726,7 @@ const seed = async () => {
         threadIds.contractReact,
         null,
         contractIds.reactDashboard,
+        null,
         'contract',
         new Date(Date.now() - 1000 * 60 * 60 * 12)
       ]
@@ -618,8 +734,8 @@ const seed = async () => {
 
     await insertMany(
       connection,
-      `INSERT INTO message_threads (id, project_id, contract_id, scope, created_at)
-       VALUES (?, ?, ?, ?, ?)`,
+      `INSERT INTO message_threads (id, project_id, contract_id, freelancer_id, scope, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
       messageThreads
     );
 
@@ -657,6 +773,15 @@ const seed = async () => {
       messages
     );
 
+    // John has read the project thread (his reply is its newest message); Jane has unread messages in both threads
+    const [, johnReply] = messages;
+    await insertMany(
+      connection,
+      `INSERT INTO message_thread_reads (thread_id, user_id, last_read_message_id, last_read_sent_at, read_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [[threadIds.projectReact, userIds.johnFreelancer, johnReply[0], johnReply[5], johnReply[5]]]
+    );
+
     await connection.query('COMMIT');
     console.log('Database seeded successfully.');
   } catch (error) {
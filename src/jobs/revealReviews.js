@@ -0,0 +1,33 @@
+/**
+ * Review reveal job
+ * Publishes double-blind reviews whose reveal window has run out, and recounts the ratings they affect
+ * Runs in-process on the development server (see ./scheduler), from the cron endpoint in production,
+ * or by hand: npm run jobs:reveal-reviews
+ */
+
+const db = require('../db/queries');
+const { revealExpiredReviews } = require('../services/reviews');
+
+const revealReviews = async () => {
+  const { contracts, reviews } = await revealExpiredReviews(db);
+
+  if (reviews > 0) {
+    console.log(`Revealed ${reviews} review(s) on ${contracts} contract(s)`);
+  }
+
+  return { contracts, reviews };
+};
+
+if (require.main === module) {
+  const pool = require('../config/database');
+
+  revealReviews()
+    .then(() => pool.end())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Failed to reveal reviews:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { revealReviews };
@@ -0,0 +1,41 @@
+/**
+ * In-process scheduler for long-running servers
+ * Serverless deployments have no process to keep timers in; there the cron endpoint
+ * (/api/jobs/:name) triggers the same jobs
+ */
+
+const { revealReviews } = require('./revealReviews');
+
+const MINUTE = 60 * 1000;
+
+const JOBS = [
+  {
+    name: 'reveal-reviews',
+    run: revealReviews,
+    intervalMs: (Number.parseInt(process.env.REVIEW_REVEAL_INTERVAL_MINUTES, 10) || 60) * MINUTE
+  }
+];
+
+/**
+ * Run a job, logging (not throwing) failures so one bad run does not stop the schedule
+ */
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} failed:`, error);
+  }
+};
+
+/**
+ * Start every job: once now, then on its interval
+ * Timers are unref'd so they never keep the process alive on their own
+ */
+const startScheduler = () => {
+  for (const job of JOBS) {
+    runJob(job);
+    setInterval(() => runJob(job), job.intervalMs).unref();
+  }
+};
+
+module.exports = { JOBS, startScheduler };
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { createReview, listContractReviews } = require('../services/reviews');
+
+const contractIdValidation = param('id')
+  .isUUID()
+  .withMessage('Contract ID must be a valid UUID');
+
+/**
+ * GET /api/contracts/:id/reviews
+ * List the reviews left on a contract
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get('/', authenticate, [contractIdValidation], validate, async (req, res, next) => {
+  try {
+    const reviews = await listContractReviews(db, req.params.id, req.user);
+
+    res.json({ success: true, data: reviews, count: reviews.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/reviews
+ * Review the other party of a completed contract
+ * Protected: Only the contract's client or freelancer, once each
+ * Business Logic:
+ * - Reviews are double-blind: hidden until the other party reviews too or the reveal window
+ *   (REVIEW_REVEAL_DAYS after end_at) runs out; reviewing closes with the window
+ * - Once revealed, the reviewee's rating_avg / rating_count are recalculated in the same transaction
+ */
+router.post('/', authenticate, [
+  contractIdValidation,
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters')
+], validate, async (req, res, next) => {
+  try {
+    const review = await createReview(db, req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: review.is_revealed
+        ? 'Review submitted and published'
+        : 'Review submitted; it will be published once the other party reviews or the review window closes',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,37 @@
 const express = require('express');
 const { randomUUID } = require('crypto');
 const router = express.Router();
-const { query } = require('../db/queries');
+const { query, transaction } = require('../db/queries');
 const { authenticate, authorize } = require('../middleware/auth');
-const { body, param } = require('express-validator');
+const { body, param, query: queryValidator } = require('express-validator');
 const { validate } = require('../middleware/validate');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const milestonesRouter = require('./milestones');
+const timeEntriesRouter = require('./timeEntries');
+const timesheetsRouter = require('./timesheets');
+const contractReviewsRouter = require('./contractReviews');
+const { getContractParties } = require('../services/contracts');
+const { refundContractEscrows } = require('../services/escrow');
+const { createConverter, applyDisplayCurrency } = require('../services/exchangeRates');
+const { publishContractEvent } = require('../services/events');
+const { parsePageParams, paginate, paginatedResponse } = require('../utils/pagination');
 
 /**
  * GET /api/contracts
  * Get contracts with filters
  * Protected: Requires authentication
+ * Query: project_id, client_id, freelancer_id, status, display_currency,
+ *   limit (default 50, max 100), cursor, include_total
  */
-router.get('/', authenticate, async (req, res, next) => {
+router.get('/', authenticate, [
+  queryValidator('display_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Display currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+], validate, async (req, res, next) => {
   try {
-    const { project_id, client_id, freelancer_id, status, limit = 50, offset = 0 } = req.query;
+    const { project_id, client_id, freelancer_id, status, display_currency } = req.query;
+    const page = parsePageParams(req.query);
 
     let sql = `
       SELECT c.*,
@@ -79,16 +92,16 @@ router.get('/', authenticate, async (req, res, next) => {
       }
     }
 
-    sql += ' ORDER BY c.start_at DESC LIMIT ? OFFSET ?';
-    params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
+    // Contracts not started yet (no start_at) first, as before
+    const result = await paginate({ query }, { sql, params, keys: ["COALESCE(start_at, 'infinity'::timestamp)", 'id'], page });
 
-    const result = await query(sql, params);
+    // Optionally show amounts converted into the viewer's currency
+    if (display_currency) {
+      const converter = await createConverter({ query });
+      applyDisplayCurrency(result.rows, converter, display_currency, ['agreed_amount', 'hourly_rate']);
+    }
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rowCount
-    });
+    res.json(paginatedResponse(req, page, result));
   } catch (error) {
     next(error);
   }
@@ -156,7 +169,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
 
     // Get milestones for this contract
     const milestonesResult = await query(
-      'SELECT * FROM milestones WHERE contract_id = ? ORDER BY due_at ASC',
+      'SELECT * FROM milestones WHERE contract_id = ? ORDER BY position ASC NULLS LAST, due_at ASC',
       [id]
     );
 
@@ -174,7 +187,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
 
 /**
  * PATCH /api/contracts/:id
- * Update contract (e.g., change status, end date)
+ * Update contract (e.g., change status, end date, weekly hour cap)
  * Protected: Only client or freelancer in the contract can update
  */
 router.patch(
@@ -191,13 +204,17 @@ router.patch(
     body('end_at')
       .optional()
       .isISO8601()
-      .withMessage('End date must be a valid ISO 8601 datetime')
+      .withMessage('End date must be a valid ISO 8601 datetime'),
+    body('weekly_hour_cap')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0, max: 168 })
+      .withMessage('Weekly hour cap must be between 0 and 168 hours (or null to remove it)')
   ],
   validate,
   async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, end_at } = req.body;
+    const { status, end_at, weekly_hour_cap } = req.body;
 
     // Get the contract with owner info
     const contractResult = await query(
@@ -227,19 +244,49 @@ router.patch(
       });
     }
 
+    // Only the client (or an admin) can cap the freelancer's weekly hours
+    if (weekly_hour_cap !== undefined) {
+      if (!isClient && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the contract client can set the weekly hour cap'
+        });
+      }
+
+      if (contract.contract_type !== 'hourly') {
+        return res.status(400).json({
+          success: false,
+          message: 'Weekly hour caps only apply to hourly contracts'
+        });
+      }
+    }
+
     // Convert ISO datetime to MySQL format (YYYY-MM-DD HH:MM:SS)
     let formattedEndAt = null;
     if (end_at) {
       formattedEndAt = new Date(end_at).toISOString().slice(0, 19).replace('T', ' ');
     }
 
-    const updateResult = await query(
-      `UPDATE contracts
-       SET status = COALESCE(?, status),
-           end_at = COALESCE(?, end_at)
-       WHERE id = ?`,
-      [status ?? null, formattedEndAt, id]
-    );
+    const updateResult = await transaction(async (connection) => {
+      // Cancelling returns every funded escrow to the client in the same transaction
+      if (status === 'cancelled' && contract.status !== 'cancelled') {
+        const locked = await getContractParties(connection, id, { forUpdate: true });
+        await refundContractEscrows(connection, { contract: locked, user: req.user });
+      }
+
+      // Completing stamps end_at (if not given) so the review reveal window has a start
+      const updated = await connection.query(
+        `UPDATE contracts
+         SET status = COALESCE(?, status),
+             end_at = COALESCE(?, end_at, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END),
+             weekly_hour_cap = CASE WHEN ? THEN ? ELSE weekly_hour_cap END
+         WHERE id = ?`,
+        [status ?? null, formattedEndAt, status ?? null, weekly_hour_cap !== undefined, weekly_hour_cap ?? null, id]
+      );
+
+      await publishContractEvent(connection, id);
+      return updated;
+    });
 
     if (updateResult.rowCount === 0) {
       return res.status(404).json({ success: false, message: 'Contract not found' });
@@ -277,4 +324,10 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) =
   }
 });
 
+// Nested milestone routes: /api/contracts/:id/milestones
+router.use('/:id/milestones', milestonesRouter);
+router.use('/:id/time-entries', timeEntriesRouter);
+router.use('/:id/timesheets', timesheetsRouter);
+router.use('/:id/reviews', contractReviewsRouter);
+
 module.exports = router;
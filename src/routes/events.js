@@ -0,0 +1,119 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const { query } = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { subscribe } = require('../services/realtime');
+const { issueStreamTicket, redeemStreamTicket } = require('../services/streamTickets');
+
+// Keeps proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RETRY_MS = 3000;
+
+// Seconds until the request's access token expires
+const accessTokenExp = (req) => jwt.decode(req.headers.authorization.split(' ')[1]).exp;
+
+/**
+ * EventSource cannot set headers, so the stream also accepts ?ticket= (from POST /api/events/ticket)
+ * Sets req.user and req.streamMs (how long the stream may stay open)
+ */
+const authenticateStream = async (req, res, next) => {
+  if (typeof req.query.ticket !== 'string') {
+    return authenticate(req, res, () => {
+      req.streamMs = Math.max(accessTokenExp(req) * 1000 - Date.now(), 0);
+      next();
+    });
+  }
+
+  try {
+    const redeemed = await redeemStreamTicket({ query }, req.query.ticket);
+
+    const result = redeemed && await query(
+      'SELECT id, email, role, first_name, last_name, is_verified FROM users WHERE id = ?',
+      [redeemed.userId]
+    );
+
+    if (!redeemed || result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired stream ticket.'
+      });
+    }
+
+    req.user = { userId: redeemed.userId, ...result.rows[0] };
+    req.streamMs = redeemed.streamMs;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/events/ticket
+ * Issue a single-use ticket for opening the event stream (valid for 30 seconds)
+ * The stream it opens ends when the access token used here expires
+ * Protected: Requires authentication
+ */
+router.post('/ticket', authenticate, async (req, res, next) => {
+  try {
+    const ticket = await issueStreamTicket({ query }, req.user.userId, accessTokenExp(req));
+
+    res.status(201).json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/events/stream
+ * Server-sent event stream of the authenticated user's real-time events:
+ * - message.created: a message was posted in one of the user's threads
+ * - thread.read: a participant moved their last-read marker in one of the user's threads
+ * - proposal.status_changed: a proposal the user sent or received changed status
+ * - contract.created / contract.updated: one of the user's contracts
+ * The stream ends with token.expired when the access token expires; reconnect with a new ticket
+ * Protected: Requires authentication (Authorization header or ?ticket=)
+ */
+router.get('/stream', authenticateStream, async (req, res, next) => {
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Subscribe before flushing so a listener failure still returns a normal error response
+    const unsubscribe = await subscribe(req.user.userId, { send });
+
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    send('ready', { user_id: req.user.userId });
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const expiry = setTimeout(() => {
+      send('token.expired', {});
+      res.end();
+    }, req.streamMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const { randomUUID } = require('crypto');
+const router = express.Router();
+const db = require('../db/queries');
+const { query } = db;
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { BASE_CURRENCY, createConverter } = require('../services/exchangeRates');
+const { parsePageParams, paginate, paginatedResponse } = require('../utils/pagination');
+
+const currencyValidation = (field, label) => field
+  .isISO4217()
+  .withMessage(`${label} must be a valid ISO 4217 currency code`)
+  .toUpperCase();
+
+const dateValidation = (field) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage('Date must be in YYYY-MM-DD format');
+
+/**
+ * GET /api/exchange-rates
+ * List exchange rates, newest first; with ?date= only the rate in effect on that date for each pair, by pair
+ * Protected: Requires authentication
+ * Query: base_currency, quote_currency, date, limit (default 50, max 100), cursor, include_total
+ */
+router.get('/', authenticate, [
+  currencyValidation(queryValidator('base_currency').optional(), 'Base currency'),
+  currencyValidation(queryValidator('quote_currency').optional(), 'Quote currency'),
+  dateValidation(queryValidator('date').optional())
+], validate, async (req, res, next) => {
+  try {
+    const { base_currency, quote_currency, date } = matchedData(req, { locations: ['query'] });
+    const page = parsePageParams(req.query);
+
+    let sql = date
+      ? 'SELECT DISTINCT ON (base_currency, quote_currency) * FROM exchange_rates WHERE effective_date <= ?'
+      : 'SELECT * FROM exchange_rates WHERE 1=1';
+    const params = date ? [date] : [];
+
+    if (base_currency) {
+      sql += ' AND base_currency = ?';
+      params.push(base_currency);
+    }
+
+    if (quote_currency) {
+      sql += ' AND quote_currency = ?';
+      params.push(quote_currency);
+    }
+
+    if (date) {
+      sql += ' ORDER BY base_currency, quote_currency, effective_date DESC';
+    }
+
+    const result = await paginate({ query }, {
+      sql,
+      params,
+      ...(date
+        ? { keys: ['base_currency', 'quote_currency'], order: 'ASC' }
+        : { keys: ['effective_date', 'id'] }),
+      page
+    });
+
+    res.json({
+      ...paginatedResponse(req, page, result),
+      base_currency: BASE_CURRENCY
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/exchange-rates/convert?amount=&from=&to=&date=
+ * Convert an amount with the rates in effect on a date (default today)
+ * Protected: Requires authentication
+ */
+router.get('/convert', authenticate, [
+  queryValidator('amount').isFloat().withMessage('Amount must be a number'),
+  currencyValidation(queryValidator('from'), 'From currency'),
+  currencyValidation(queryValidator('to'), 'To currency'),
+  dateValidation(queryValidator('date').optional())
+], validate, async (req, res, next) => {
+  try {
+    const { amount, from, to, date } = matchedData(req, { locations: ['query'] });
+    const converter = await createConverter(db, { date });
+    const rate = converter.rate(from, to);
+
+    if (rate === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available from ${from} to ${to}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount: Number(amount).toFixed(2),
+        from,
+        to,
+        rate: Number(rate.toFixed(8)),
+        converted_amount: converter.convert(amount, from, to)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/exchange-rates
+ * Add a rate (1 base_currency = rate quote_currency) effective from a date
+ * Protected: Admin only
+ */
+router.post('/', authenticate, authorize('admin'), [
+  currencyValidation(body('base_currency'), 'Base currency'),
+  currencyValidation(body('quote_currency'), 'Quote currency'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than zero'),
+  dateValidation(body('effective_date').optional())
+], validate, async (req, res, next) => {
+  try {
+    const { base_currency, quote_currency, rate, effective_date } = req.body;
+
+    if (base_currency === quote_currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Base and quote currencies must differ'
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO exchange_rates (id, base_currency, quote_currency, rate, effective_date, created_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [
+        randomUUID(),
+        base_currency,
+        quote_currency,
+        rate,
+        effective_date || new Date().toISOString().slice(0, 10),
+        req.user.userId
+      ]
+    );
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Remove a rate entered by mistake
+ * Protected: Admin only
+ */
+router.delete('/:id', authenticate, authorize('admin'), [
+  param('id').isUUID().withMessage('Exchange rate ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const result = await query('DELETE FROM exchange_rates WHERE id = ?', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+
+    res.json({ success: true, message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const { randomUUID } = require('crypto');
+const router = express.Router();
+const db = require('../db/queries');
+const { query } = db;
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { FEE_SIDES, FEE_TYPES, previewFees } = require('../services/fees');
+const { BASE_CURRENCY, createConverter } = require('../services/exchangeRates');
+const { untilCondition } = require('../utils/dateRange');
+
+const ruleIdValidation = param('id')
+  .isUUID()
+  .withMessage('Fee rule ID must be a valid UUID');
+
+/**
+ * Validation shared by create and update; on update every field is optional
+ */
+const ruleValidations = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 255 })
+      .withMessage('Name must be at most 255 characters'),
+    field('side')
+      .isIn(FEE_SIDES)
+      .withMessage(`Side must be one of: ${FEE_SIDES.join(', ')}`),
+    field('fee_type')
+      .isIn(FEE_TYPES)
+      .withMessage(`Fee type must be one of: ${FEE_TYPES.join(', ')}`),
+    body('contract_type')
+      .optional({ values: 'null' })
+      .isIn(['fixed', 'hourly'])
+      .withMessage('Contract type must be one of: fixed, hourly (or null for any)'),
+    body('currency')
+      .optional({ values: 'null' })
+      .isISO4217()
+      .withMessage('Currency must be a valid ISO 4217 currency code (or null for any)')
+      .toUpperCase(),
+    body('min_lifetime_billing')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum lifetime billing must be zero or more'),
+    body('percentage')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Percentage must be between 0 and 100'),
+    body('flat_amount')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Flat amount must be zero or more'),
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean')
+  ];
+};
+
+/**
+ * A rule needs the amount matching its type; flat amounts only make sense in one currency
+ */
+const checkRuleShape = (rule) => {
+  if (rule.fee_type === 'percentage' && (rule.percentage === null || rule.percentage === undefined)) {
+    return 'Percentage rules need a percentage';
+  }
+
+  if (rule.fee_type === 'flat' && (rule.flat_amount === null || rule.flat_amount === undefined)) {
+    return 'Flat rules need a flat_amount';
+  }
+
+  if (rule.fee_type === 'flat' && !rule.currency) {
+    return 'Flat rules need a currency';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/fees/rules
+ * List fee rules
+ * Protected: Admin only
+ */
+router.get('/rules', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const { side, include_inactive } = req.query;
+
+    let sql = 'SELECT * FROM fee_rules WHERE 1=1';
+    const params = [];
+
+    if (side) {
+      sql += ' AND side = ?';
+      params.push(side);
+    }
+
+    if (include_inactive !== 'true') {
+      sql += ' AND is_active = TRUE';
+    }
+
+    sql += ' ORDER BY side, contract_type NULLS FIRST, currency NULLS FIRST, min_lifetime_billing ASC';
+
+    const result = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rowCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/fees/rules
+ * Create a fee rule
+ * Protected: Admin only
+ * Business Logic:
+ * - side 'client' fees are added on top when a milestone is funded
+ * - side 'freelancer' fees are deducted from the payout when escrow is released
+ * - contract_type / currency null means "any"; min_lifetime_billing makes the rule a tier
+ *   that applies once the client has paid the freelancer at least that much
+ */
+router.post('/rules', authenticate, authorize('admin'), ruleValidations(false), validate, async (req, res, next) => {
+  try {
+    const {
+      name,
+      side,
+      contract_type,
+      currency,
+      min_lifetime_billing = 0,
+      fee_type,
+      percentage,
+      flat_amount,
+      is_active = true
+    } = req.body;
+
+    const shapeError = checkRuleShape({ fee_type, percentage, flat_amount, currency });
+    if (shapeError) {
+      return res.status(400).json({ success: false, message: shapeError });
+    }
+
+    const result = await query(
+      `INSERT INTO fee_rules (id, name, side, contract_type, currency, min_lifetime_billing, fee_type, percentage, flat_amount, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [
+        randomUUID(),
+        name,
+        side,
+        contract_type ?? null,
+        currency ?? null,
+        min_lifetime_billing,
+        fee_type,
+        fee_type === 'percentage' ? percentage : null,
+        fee_type === 'flat' ? flat_amount : null,
+        is_active
+      ]
+    );
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/fees/rules/:id
+ * Update a fee rule; fees already charged keep the amounts they were charged at
+ * Protected: Admin only
+ */
+router.patch('/rules/:id', authenticate, authorize('admin'), [ruleIdValidation, ...ruleValidations(true)], validate, async (req, res, next) => {
+  try {
+    const existing = await query('SELECT * FROM fee_rules WHERE id = ?', [req.params.id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Fee rule not found' });
+    }
+
+    const fields = ['name', 'side', 'contract_type', 'currency', 'min_lifetime_billing', 'fee_type', 'percentage', 'flat_amount', 'is_active'];
+    const rule = { ...existing.rows[0] };
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    }
+
+    const shapeError = checkRuleShape(rule);
+    if (shapeError) {
+      return res.status(400).json({ success: false, message: shapeError });
+    }
+
+    const result = await query(
+      `UPDATE fee_rules
+       SET name = ?, side = ?, contract_type = ?, currency = ?, min_lifetime_billing = ?,
+           fee_type = ?, percentage = ?, flat_amount = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *`,
+      [
+        rule.name,
+        rule.side,
+        rule.contract_type ?? null,
+        rule.currency ?? null,
+        rule.min_lifetime_billing,
+        rule.fee_type,
+        rule.fee_type === 'percentage' ? rule.percentage : null,
+        rule.fee_type === 'flat' ? rule.flat_amount : null,
+        rule.is_active,
+        req.params.id
+      ]
+    );
+
+    res.json({ success: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/fees/rules/:id
+ * Deactivate a fee rule (it stays referenced by the payments it was applied to)
+ * Protected: Admin only
+ */
+router.delete('/rules/:id', authenticate, authorize('admin'), [ruleIdValidation], validate, async (req, res, next) => {
+  try {
+    const result = await query(
+      'UPDATE fee_rules SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Fee rule not found' });
+    }
+
+    res.json({ success: true, message: 'Fee rule deactivated', data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/fees/quote?contract_id=&amount=
+ * Preview the client-side and freelancer-side fees for an amount on a contract
+ * Protected: Contract participants or admin
+ */
+router.get('/quote', authenticate, [
+  queryValidator('contract_id').isUUID().withMessage('Contract ID must be a valid UUID'),
+  queryValidator('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+], validate, async (req, res, next) => {
+  try {
+    const quote = await previewFees(db, req.query.contract_id, req.user, req.query.amount);
+
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const REPORT_AMOUNTS = ['gross_amount', 'client_fees', 'freelancer_fees', 'total_fees'];
+
+/**
+ * GET /api/fees/report
+ * Platform fee totals per month and currency, from the fees stored on payments,
+ * plus the same figures normalized into a single base currency
+ * Protected: Admin only
+ * Query: from, to (ISO dates, on paid_at; a date on its own includes that whole day), currency,
+ *   base_currency (defaults to BASE_CURRENCY)
+ * Business Logic:
+ * - Each month is converted at the rates in effect on its last day (or today for the current month)
+ * - Months/currencies without a usable rate are listed in unconverted and left out of the totals
+ */
+router.get('/report', authenticate, authorize('admin'), [
+  queryValidator('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  queryValidator('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  queryValidator('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 currency code')
+    .toUpperCase(),
+  queryValidator('base_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Base currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+], validate, async (req, res, next) => {
+  try {
+    // Read through matchedData: Express 5 does not keep sanitized values (upper-cased codes) on req.query
+    const { from, to, currency, base_currency = BASE_CURRENCY } = matchedData(req, { locations: ['query'] });
+
+    let sql = `
+      SELECT to_char(date_trunc('month', paid_at), 'YYYY-MM') AS month,
+             currency,
+             COUNT(*) AS payment_count,
+             COALESCE(SUM(amount), 0) AS gross_amount,
+             COALESCE(SUM(client_fee), 0) AS client_fees,
+             COALESCE(SUM(freelancer_fee), 0) AS freelancer_fees,
+             COALESCE(SUM(client_fee + freelancer_fee), 0) AS total_fees
+      FROM payments
+      WHERE status = 'paid'
+    `;
+    const params = [];
+
+    if (from) {
+      sql += ' AND paid_at >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      sql += ` AND ${untilCondition('paid_at', to)}`;
+      params.push(to);
+    }
+
+    if (currency) {
+      sql += ' AND currency = ?';
+      params.push(currency);
+    }
+
+    sql += ' GROUP BY 1, currency ORDER BY 1 DESC, currency';
+
+    const result = await query(sql, params);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const converters = new Map();
+    const totals = Object.fromEntries(REPORT_AMOUNTS.map((field) => [field, 0]));
+    const unconverted = [];
+
+    for (const row of result.rows) {
+      const [year, month] = row.month.split('-').map(Number);
+      const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+      const rateDate = monthEnd < today ? monthEnd : today;
+
+      if (!converters.has(rateDate)) {
+        converters.set(rateDate, await createConverter({ query }, { date: rateDate }));
+      }
+      const converter = converters.get(rateDate);
+
+      for (const field of REPORT_AMOUNTS) {
+        row[`base_${field}`] = converter.convert(row[field], row.currency, base_currency);
+      }
+
+      if (row.base_total_fees === null) {
+        unconverted.push({ month: row.month, currency: row.currency });
+        continue;
+      }
+
+      for (const field of REPORT_AMOUNTS) {
+        totals[field] += Math.round(Number(row[`base_${field}`]) * 100);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        base_currency,
+        months: result.rows,
+        totals: Object.fromEntries(
+          REPORT_AMOUNTS.map((field) => [field, (totals[field] / 100).toFixed(2)])
+        ),
+        unconverted
+      },
+      count: result.rowCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  MAX_UPLOAD_BYTES,
+  getAttachment,
+  uploadAttachment,
+  deleteAttachment,
+  openSignedDownload
+} = require('../services/attachments');
+
+const attachmentIdValidation = param('id')
+  .isUUID()
+  .withMessage('Attachment ID must be a valid UUID');
+
+// Reject oversized uploads from Content-Length before reading the body
+const checkUploadSize = (req, res, next) => {
+  if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({
+      success: false,
+      message: `Files must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+    });
+  }
+  next();
+};
+
+/**
+ * POST /api/files?filename=brief.pdf
+ * Upload a file: the request body is the raw file, Content-Type its MIME type
+ * The upload stays private to the uploader until its ID is passed as attachment_ids when
+ * posting a message, submitting a proposal or a milestone workflow action
+ * Protected: Requires authentication
+ */
+router.post(
+  '/',
+  authenticate,
+  checkUploadSize,
+  express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }),
+  [
+    queryValidator('filename')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('filename is required')
+      .isLength({ max: 255 })
+      .withMessage('Filename must be at most 255 characters')
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const attachment = await uploadAttachment(db, req.user, {
+        buffer: req.body,
+        filename: matchedData(req, { locations: ['query'] }).filename,
+        mimeType: req.headers['content-type']
+      });
+
+      res.status(201).json({ success: true, message: 'File uploaded', data: attachment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/files/:id
+ * Get an attachment with a fresh signed download URL
+ * Protected: The uploader while unattached; afterwards whoever may read the message, proposal
+ * or milestone it is attached to (and admins)
+ */
+router.get('/:id', authenticate, [attachmentIdValidation], validate, async (req, res, next) => {
+  try {
+    const attachment = await getAttachment(db, req.params.id, req.user);
+
+    res.json({ success: true, data: attachment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/:id/download?expires=&signature=
+ * Download an attachment through a signed URL from the API
+ * Protected: The URL signature (links expire after FILE_URL_TTL_SECONDS)
+ */
+router.get('/:id/download', [attachmentIdValidation], validate, async (req, res, next) => {
+  try {
+    const { attachment, stream } = await openSignedDownload(db, req.params.id, req.query);
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size_bytes,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/files/:id
+ * Delete an upload that has not been attached yet
+ * Protected: The uploader (or admin)
+ */
+router.delete('/:id', authenticate, [attachmentIdValidation], validate, async (req, res, next) => {
+  try {
+    await deleteAttachment(db, req.params.id, req.user);
+
+    res.json({ success: true, message: 'File deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
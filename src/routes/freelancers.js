@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { FREELANCER_SORTS, searchFreelancers } = require('../services/freelancers');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * GET /api/freelancers
+ * Search the freelancer directory; results are public profile cards (no email or phone)
+ * Protected: Requires authentication
+ * Query: skills (skill IDs, comma-separated or repeated), skill_match (any | all),
+ *   min_rate, max_rate, min_rating, min_experience, country,
+ *   available_days (e.g. monday,thursday), min_weekly_hours,
+ *   sort (relevance | rating | rate_asc | rate_desc | experience),
+ *   limit (default 50, max 100), cursor, include_total
+ */
+router.get('/', authenticate, [
+  queryValidator('skill_match').optional().isIn(['any', 'all']).withMessage('skill_match must be any or all'),
+  queryValidator('min_rate').optional().isFloat({ min: 0 }).withMessage('Minimum rate must be a positive number'),
+  queryValidator('max_rate').optional().isFloat({ min: 0 }).withMessage('Maximum rate must be a positive number'),
+  queryValidator('min_rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+  queryValidator('min_experience').optional().isInt({ min: 0 }).withMessage('Minimum experience must be a non-negative integer'),
+  queryValidator('country').optional().isString().trim().isLength({ max: 100 }).withMessage('Country must be at most 100 characters'),
+  queryValidator('min_weekly_hours').optional().isFloat({ min: 0, max: 168 }).withMessage('Minimum weekly hours must be between 0 and 168'),
+  queryValidator('sort').optional().isIn(Object.keys(FREELANCER_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(FREELANCER_SORTS).join(', ')}`)
+], validate, async (req, res, next) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const result = await searchFreelancers(db, {
+      skills: req.query.skills,
+      skill_match: req.query.skill_match,
+      min_rate: parseNumber(req.query.min_rate),
+      max_rate: parseNumber(req.query.max_rate),
+      min_rating: parseNumber(req.query.min_rating),
+      min_experience: parseNumber(req.query.min_experience),
+      country: matchedData(req, { locations: ['query'] }).country,
+      available_days: req.query.available_days,
+      min_weekly_hours: parseNumber(req.query.min_weekly_hours),
+      sort: req.query.sort
+    }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
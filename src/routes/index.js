@@ -6,6 +6,18 @@ const usersRouter = require('./users');
 const projectsRouter = require('./projects');
 const proposalsRouter = require('./proposals');
 const contractsRouter = require('./contracts');
+const ledgerRouter = require('./ledger');
+const paymentsRouter = require('./payments');
+const feesRouter = require('./fees');
+const exchangeRatesRouter = require('./exchangeRates');
+const walletRouter = require('./wallet');
+const jobsRouter = require('./jobs');
+const reviewsRouter = require('./reviews');
+const threadsRouter = require('./threads');
+const eventsRouter = require('./events');
+const filesRouter = require('./files');
+const skillsRouter = require('./skills');
+const freelancersRouter = require('./freelancers');
 
 // Mount routers
 router.use('/auth', authRouter);
@@ -13,6 +25,18 @@ router.use('/users', usersRouter);
 router.use('/projects', projectsRouter);
 router.use('/proposals', proposalsRouter);
 router.use('/contracts', contractsRouter);
+router.use('/ledger', ledgerRouter);
+router.use('/payments', paymentsRouter);
+router.use('/fees', feesRouter);
+router.use('/exchange-rates', exchangeRatesRouter);
+router.use('/wallet', walletRouter);
+router.use('/jobs', jobsRouter);
+router.use('/reviews', reviewsRouter);
+router.use('/threads', threadsRouter);
+router.use('/events', eventsRouter);
+router.use('/files', filesRouter);
+router.use('/skills', skillsRouter);
+router.use('/freelancers', freelancersRouter);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -0,0 +1,49 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { JOBS } = require('../jobs/scheduler');
+
+/**
+ * Check the cron secret sent as "Authorization: Bearer <CRON_SECRET>"
+ * (the header Vercel Cron sends when CRON_SECRET is set)
+ */
+const hasCronSecret = (req) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+
+  if (!secret || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(header.slice('Bearer '.length));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * GET /api/jobs/:name
+ * Run a scheduled job once (for platforms without a long-running process, e.g. Vercel Cron)
+ * Protected: CRON_SECRET bearer token
+ */
+router.get('/:name', async (req, res, next) => {
+  try {
+    if (!hasCronSecret(req)) {
+      return res.status(401).json({ success: false, message: 'Invalid cron secret' });
+    }
+
+    const job = JOBS.find((candidate) => candidate.name === req.params.name);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const result = await job.run();
+
+    res.json({ success: true, job: job.name, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../db/queries');
+const { authenticate, authorize } = require('../middleware/auth');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  ACCOUNT_TYPES,
+  getAccountBalance,
+  getAccountStatement,
+  reconcile
+} = require('../services/ledger');
+const { parsePageParams, paginate, paginatedResponse } = require('../utils/pagination');
+
+/**
+ * Check whether a user may see a ledger account
+ * - client / freelancer accounts: the profile owner
+ * - escrow accounts: both parties of the escrow's contract
+ * - external / platform accounts: admins only
+ */
+const canViewAccount = async (account, user) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  let result;
+  if (account.account_type === 'client') {
+    result = await query(
+      'SELECT 1 FROM client_profiles WHERE id = ? AND user_id = ?',
+      [account.owner_id, user.userId]
+    );
+  } else if (account.account_type === 'freelancer') {
+    result = await query(
+      'SELECT 1 FROM freelancer_profiles WHERE id = ? AND user_id = ?',
+      [account.owner_id, user.userId]
+    );
+  } else if (account.account_type === 'escrow') {
+    result = await query(
+      `SELECT 1
+       FROM escrows es
+       JOIN milestones m ON es.milestone_id = m.id
+       JOIN contracts c ON m.contract_id = c.id
+       JOIN client_profiles cp ON c.client_id = cp.id
+       JOIN freelancer_profiles fp ON c.freelancer_id = fp.id
+       WHERE es.id = ? AND (cp.user_id = ? OR fp.user_id = ?)`,
+      [account.owner_id, user.userId, user.userId]
+    );
+  } else {
+    return false;
+  }
+
+  return result.rows.length > 0;
+};
+
+const accountIdValidation = param('id')
+  .isUUID()
+  .withMessage('Account ID must be a valid UUID');
+
+/**
+ * GET /api/ledger/accounts
+ * List ledger accounts with balances
+ * Protected: Admins see every account (optionally filtered by type/currency),
+ * other users see the accounts of their own client or freelancer profile
+ * Query: account_type, currency, limit (default 50, max 100), cursor, include_total
+ */
+router.get('/accounts', authenticate, async (req, res, next) => {
+  try {
+    const { account_type, currency } = req.query;
+    const page = parsePageParams(req.query);
+
+    let sql = `
+      SELECT a.*,
+             COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS balance
+      FROM ledger_accounts a
+      LEFT JOIN ledger_entries e ON e.account_id = a.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (req.user.role !== 'admin') {
+      sql += ` AND (
+        (a.account_type = 'client' AND a.owner_id IN (SELECT id FROM client_profiles WHERE user_id = ?))
+        OR (a.account_type = 'freelancer' AND a.owner_id IN (SELECT id FROM freelancer_profiles WHERE user_id = ?))
+      )`;
+      params.push(req.user.userId, req.user.userId);
+    }
+
+    if (account_type) {
+      if (!ACCOUNT_TYPES.includes(account_type)) {
+        return res.status(400).json({
+          success: false,
+          message: `account_type must be one of: ${ACCOUNT_TYPES.join(', ')}`
+        });
+      }
+      sql += ' AND a.account_type = ?';
+      params.push(account_type);
+    }
+
+    if (currency) {
+      sql += ' AND a.currency = ?';
+      params.push(currency);
+    }
+
+    sql += ' GROUP BY a.id';
+
+    const result = await paginate({ query }, { sql, params, keys: ['created_at', 'id'], order: 'ASC', page });
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/ledger/accounts/:id
+ * Get an account's balance (credits minus debits)
+ * Protected: Account owner, escrow contract parties, or admin
+ */
+router.get('/accounts/:id', authenticate, [accountIdValidation], validate, async (req, res, next) => {
+  try {
+    const account = await getAccountBalance({ query }, req.params.id);
+
+    if (!(await canViewAccount(account, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this account'
+      });
+    }
+
+    res.json({ success: true, data: account });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/ledger/accounts/:id/statement
+ * Get an account's entries (newest first) with running balances
+ * Protected: Account owner, escrow contract parties, or admin
+ * Query: limit (default 50, max 100), cursor, include_total
+ */
+router.get('/accounts/:id/statement', authenticate, [accountIdValidation], validate, async (req, res, next) => {
+  try {
+    const page = parsePageParams(req.query);
+    const account = await getAccountBalance({ query }, req.params.id);
+
+    if (!(await canViewAccount(account, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this account'
+      });
+    }
+
+    const result = await getAccountStatement({ query }, req.params.id, page);
+
+    res.json({
+      ...paginatedResponse(req, page, result),
+      data: {
+        account,
+        entries: result.rows
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/ledger/reconciliation
+ * Prove that the ledger balances and matches the escrows table
+ * Protected: Admin only
+ */
+router.get('/reconciliation', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const report = await reconcile({ query });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('../db/queries');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  listMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  reorderMilestones
+} = require('../services/milestones');
+const { transitionMilestone, getMilestoneHistory } = require('../services/milestoneWorkflow');
+const { attachmentValidation } = require('../services/attachments');
+const {
+  getEscrow,
+  fundMilestone,
+  cancelMilestone
+} = require('../services/escrow');
+
+const contractIdValidation = param('id')
+  .isUUID()
+  .withMessage('Contract ID must be a valid UUID');
+
+const milestoneIdValidation = param('milestoneId')
+  .isUUID()
+  .withMessage('Milestone ID must be a valid UUID');
+
+const noteValidation = (required) => {
+  const chain = body('note');
+  return (required
+    ? chain.notEmpty().withMessage('Note is required')
+    : chain.optional()
+  )
+    .isLength({ max: 5000 })
+    .withMessage('Note must be at most 5000 characters');
+};
+
+/**
+ * Build a handler that performs a workflow action on a milestone
+ * @param {string} action - Action key from milestoneWorkflow.TRANSITIONS
+ * @param {string} message - Success message
+ */
+const workflowHandler = (action, message) => async (req, res, next) => {
+  try {
+    const { milestone, event } = await transitionMilestone(
+      db,
+      req.params.id,
+      req.params.milestoneId,
+      req.user,
+      action,
+      req.body.note,
+      req.body.attachment_ids
+    );
+
+    res.json({ success: true, message, data: { milestone, event } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/contracts/:id/milestones
+ * List a contract's milestones in order
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get('/', authenticate, [contractIdValidation], validate, async (req, res, next) => {
+  try {
+    const milestones = await listMilestones(db, req.params.id, req.user);
+
+    res.json({ success: true, data: milestones, count: milestones.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/milestones
+ * Define a new milestone
+ * Protected: Only the contract's client (or admin)
+ * Business Logic:
+ * - Milestones start as 'pending' and are appended to the end of the list
+ * - The sum of milestone amounts may not exceed the contract's agreed_amount
+ */
+router.post(
+  '/',
+  authenticate,
+  [
+    contractIdValidation,
+    body('title')
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 255 })
+      .withMessage('Title must be at most 255 characters'),
+    body('scope')
+      .optional()
+      .isLength({ max: 5000 })
+      .withMessage('Scope must be at most 5000 characters'),
+    body('amount')
+      .notEmpty()
+      .withMessage('Amount is required')
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than zero'),
+    body('due_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Due date must be a valid ISO 8601 datetime')
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const milestone = await createMilestone(db, req.params.id, req.user, req.body);
+
+    res.status(201).json({ success: true, data: milestone });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/contracts/:id/milestones/order
+ * Reorder milestones
+ * Protected: Only the contract's client (or admin)
+ * Body: { milestone_ids: [...] } listing every milestone of the contract in the new order
+ */
+router.put(
+  '/order',
+  authenticate,
+  [
+    contractIdValidation,
+    body('milestone_ids')
+      .isArray({ min: 1 })
+      .withMessage('milestone_ids must be a non-empty array'),
+    body('milestone_ids.*')
+      .isUUID()
+      .withMessage('Each milestone ID must be a valid UUID')
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const milestones = await reorderMilestones(db, req.params.id, req.user, req.body.milestone_ids);
+
+    res.json({ success: true, data: milestones });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id/milestones/:milestoneId
+ * Edit a milestone
+ * Protected: Only the contract's client (or admin), and only while the milestone is pending
+ */
+router.patch(
+  '/:milestoneId',
+  authenticate,
+  [
+    contractIdValidation,
+    milestoneIdValidation,
+    body('title')
+      .optional()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 255 })
+      .withMessage('Title must be at most 255 characters'),
+    body('scope')
+      .optional()
+      .isLength({ max: 5000 })
+      .withMessage('Scope must be at most 5000 characters'),
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than zero'),
+    body('due_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Due date must be a valid ISO 8601 datetime')
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const milestone = await updateMilestone(
+      db,
+      req.params.id,
+      req.params.milestoneId,
+      req.user,
+      req.body
+    );
+
+    res.json({ success: true, data: milestone });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/milestones/:milestoneId
+ * Delete a milestone
+ * Protected: Only the contract's client (or admin), and only while the milestone is pending
+ */
+router.delete(
+  '/:milestoneId',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    await deleteMilestone(db, req.params.id, req.params.milestoneId, req.user);
+
+    res.json({ success: true, message: 'Milestone deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/contracts/:id/milestones/:milestoneId/history
+ * Full history of submissions, change requests and approvals
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get(
+  '/:milestoneId/history',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const history = await getMilestoneHistory(db, req.params.id, req.params.milestoneId, req.user);
+
+    res.json({ success: true, data: history, count: history.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/milestones/:milestoneId/submit
+ * Submit work for a milestone; deliverables go in attachment_ids (uploaded via POST /api/files)
+ * Protected: Only the contract's freelancer (or admin)
+ * Business Logic:
+ * - Allowed from funded or changes_requested, so work is only delivered against funded escrow
+ * - Moves the milestone to 'in_review'
+ */
+router.post(
+  '/:milestoneId/submit',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation, noteValidation(true), ...attachmentValidation],
+  validate,
+  workflowHandler('submit', 'Milestone submitted for review')
+);
+
+/**
+ * POST /api/contracts/:id/milestones/:milestoneId/request-changes
+ * Ask the freelancer to revise a submission
+ * Protected: Only the contract's client (or admin)
+ * Business Logic:
+ * - Allowed from in_review
+ * - Moves the milestone to 'changes_requested'
+ */
+router.post(
+  '/:milestoneId/request-changes',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation, noteValidation(true), ...attachmentValidation],
+  validate,
+  workflowHandler('request_changes', 'Changes requested')
+);
+
+/**
+ * POST /api/contracts/:id/milestones/:milestoneId/approve
+ * Approve a submission
+ * Protected: Only the contract's client (or admin)
+ * Business Logic:
+ * - Allowed from in_review
+ * - Moves the milestone to 'approved' and releases its funded escrow to the freelancer
+ */
+router.post(
+  '/:milestoneId/approve',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation, noteValidation(false), ...attachmentValidation],
+  validate,
+  workflowHandler('approve', 'Milestone approved')
+);
+
+/**
+ * GET /api/contracts/:id/milestones/:milestoneId/escrow
+ * Get a milestone's escrow (data is null while unfunded)
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get(
+  '/:milestoneId/escrow',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const escrow = await getEscrow(db, req.params.id, req.params.milestoneId, req.user);
+
+    res.json({ success: true, data: escrow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/milestones/:milestoneId/escrow/fund
+ * Fund a pending milestone's escrow with the milestone amount, without a payment
+ * Clients fund milestones by paying for them (POST /api/payments)
+ * Protected: Admin only
+ */
+router.post(
+  '/:milestoneId/escrow/fund',
+  authenticate,
+  authorize('admin'),
+  [contractIdValidation, milestoneIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const escrow = await fundMilestone(db, req.params.id, req.params.milestoneId, req.user);
+
+    res.status(201).json({ success: true, message: 'Milestone funded', data: escrow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/milestones/:milestoneId/cancel
+ * Cancel a milestone and refund its escrow to the client
+ * Protected: Either contract party (or admin)
+ * Business Logic:
+ * - Parties can cancel while the milestone is pending, funded or changes_requested
+ * - Once work is under review or approved only an admin can cancel
+ */
+router.post(
+  '/:milestoneId/cancel',
+  authenticate,
+  [contractIdValidation, milestoneIdValidation, noteValidation(false)],
+  validate,
+  async (req, res, next) => {
+  try {
+    const escrow = await cancelMilestone(
+      db,
+      req.params.id,
+      req.params.milestoneId,
+      req.user,
+      req.body.note
+    );
+
+    res.json({
+      success: true,
+      message: escrow ? 'Milestone cancelled and escrow refunded' : 'Milestone cancelled',
+      data: escrow
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { body, param, query: queryValidator } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  listPayments,
+  getPayment,
+  createPayment,
+  handleWebhook
+} = require('../services/payments');
+const {
+  getPaymentInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../services/invoices');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+/**
+ * GET /api/payments
+ * List payments (clients see what they paid, freelancers what they were paid)
+ * Protected: Requires authentication
+ * Query: milestone_id, contract_id, status, limit (default 50, max 100), cursor, include_total
+ */
+router.get('/', authenticate, [
+  queryValidator('status')
+    .optional()
+    .isIn(PAYMENT_STATUSES)
+    .withMessage(`Status must be one of: ${PAYMENT_STATUSES.join(', ')}`)
+], validate, async (req, res, next) => {
+  try {
+    const { milestone_id, contract_id, status } = req.query;
+    const page = parsePageParams(req.query);
+
+    const result = await listPayments(db, req.user, { milestone_id, contract_id, status }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Get payment by ID
+ * Protected: Only the payer, the payee or an admin
+ */
+router.get('/:id', authenticate, [
+  param('id').isUUID().withMessage('Payment ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const payment = await getPayment(db, req.params.id, req.user);
+
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/payments/:id/invoice
+ * Download the invoice of a paid payment as HTML (default) or PDF (?format=pdf)
+ * Protected: Only the payer, the payee or an admin
+ */
+router.get('/:id/invoice', authenticate, [
+  param('id').isUUID().withMessage('Payment ID must be a valid UUID'),
+  queryValidator('format')
+    .optional()
+    .isIn(['html', 'pdf'])
+    .withMessage('Format must be one of: html, pdf')
+], validate, async (req, res, next) => {
+  try {
+    const invoice = await getPaymentInvoice(db, req.params.id, req.user);
+
+    if (req.query.format === 'pdf') {
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.invoice_number}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.set('Content-Disposition', `inline; filename="${invoice.invoice_number}.html"`);
+    res.type('html').send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments
+ * Pay for a milestone through the configured payment provider
+ * The payment is 'processing' until the provider's webhook settles it
+ * Protected: Only the contract's client (or admin)
+ */
+router.post('/', authenticate, [
+  body('milestone_id').isUUID().withMessage('Milestone ID must be a valid UUID'),
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('payment_token')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Payment token must be a string of at most 255 characters')
+], validate, async (req, res, next) => {
+  try {
+    const payment = await createPayment(db, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated',
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments/webhooks/:provider
+ * Receive a signed settlement callback from a payment provider
+ * Public: authenticated by the provider's signature over the raw body
+ */
+router.post('/webhooks/:provider', async (req, res, next) => {
+  try {
+    const { duplicate } = await handleWebhook(db, req.params.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    res.json({ success: true, received: true, duplicate });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,78 +3,78 @@ const { randomUUID } = require('crypto');
 const router = express.Router();
 const { query, transaction } = require('../db/queries');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
-const { body, param } = require('express-validator');
+const { body, param, query: queryValidator } = require('express-validator');
 const { validate } = require('../middleware/validate');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const { createConverter, applyDisplayCurrency } = require('../services/exchangeRates');
+const { assertAssignableSkills } = require('../services/skills');
+const { recommendProjects } = require('../services/recommendations');
+const { listProjects } = require('../services/projects');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
 
 /**
  * GET /api/projects
  * Get all projects with filters
+ * q searches titles, skills and descriptions ("quoted phrases", -excluded words); matches are ranked
+ * and carry search_rank, title_highlight and snippet (HTML with <mark> highlights)
  * Public endpoint but shows different data for authenticated users
+ * Query: q, status, project_type, min_budget, max_budget, display_currency,
+ *   limit (default 50, max 100), cursor, include_total (see utils/pagination)
  */
-router.get('/', optionalAuth, async (req, res, next) => {
+router.get('/', optionalAuth, [
+  queryValidator('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters'),
+  queryValidator('display_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Display currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+], validate, async (req, res, next) => {
   try {
-    const { status, project_type, min_budget, max_budget, limit = 50, offset = 0 } = req.query;
-
-    let sql = `
-      SELECT p.*,
-             c.company_name,
-             CONCAT_WS(' ', u.first_name, u.last_name) AS client_name,
-             (SELECT COUNT(*) FROM proposals WHERE project_id = p.id) AS proposal_count
-      FROM projects p
-      JOIN client_profiles c ON p.client_id = c.id
-      JOIN users u ON c.user_id = u.id
-      WHERE 1=1
-    `;
-
-    const params = [];
-
-    if (status) {
-      sql += ' AND p.status = ?';
-      params.push(status);
-    }
+    const { q, status, project_type, min_budget, max_budget, display_currency } = req.query;
+    const page = parsePageParams(req.query);
 
-    if (project_type) {
-      sql += ' AND p.project_type = ?';
-      params.push(project_type);
-    }
+    const result = await listProjects({ query }, { q, status, project_type, min_budget, max_budget }, page);
 
-    if (min_budget) {
-      sql += ' AND p.budget_min >= ?';
-      params.push(min_budget);
+    // Optionally show budgets converted into the viewer's currency
+    if (display_currency) {
+      const converter = await createConverter({ query });
+      applyDisplayCurrency(result.rows, converter, display_currency, ['budget_min', 'budget_max']);
     }
 
-    if (max_budget) {
-      sql += ' AND p.budget_max <= ?';
-      params.push(max_budget);
-    }
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    sql += ' ORDER BY p.posted_at DESC LIMIT ? OFFSET ?';
-    params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
+/**
+ * GET /api/projects/recommended
+ * Open projects ranked for the calling freelancer by skill overlap (weighted by proficiency),
+ * hourly rate fit and recency; each project has a match object explaining its score
+ * Protected: Freelancers only
+ * Query: limit (default 50, max 100), cursor, include_total, display_currency
+ */
+router.get('/recommended', authenticate, authorize('freelancer'), [
+  queryValidator('display_currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Display currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+], validate, async (req, res, next) => {
+  try {
+    const page = parsePageParams(req.query);
 
-    const result = await query(sql, params);
+    const converter = await createConverter({ query });
+    const result = await recommendProjects({ query }, req.user.userId, converter, page);
 
-    for (const project of result.rows) {
-      const skillsResult = await query(
-        `SELECT s.id, s.name, s.category
-         FROM skills s
-         JOIN project_skills ps ON s.id = ps.skill_id
-         WHERE ps.project_id = ?`,
-        [project.id]
-      );
-      project.skills = skillsResult.rows;
-      project.proposal_count = Number(project.proposal_count || 0);
+    if (req.query.display_currency) {
+      applyDisplayCurrency(result.rows, converter, req.query.display_currency, ['budget_min', 'budget_max']);
     }
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rowCount
-    });
+    res.json(paginatedResponse(req, page, result));
   } catch (error) {
     next(error);
   }
@@ -164,8 +164,9 @@ router.post(
       .withMessage('Maximum budget must be a positive number'),
     body('currency')
       .optional()
-      .isLength({ max: 3 })
-      .withMessage('Currency must be a 3-letter code'),
+      .isISO4217()
+      .withMessage('Currency must be a valid ISO 4217 currency code')
+      .toUpperCase(),
     body('due_at')
       .optional()
       .isISO8601()
@@ -229,6 +230,7 @@ router.post(
       );
 
       if (Array.isArray(skill_ids) && skill_ids.length > 0) {
+        await assertAssignableSkills(connection, skill_ids);
         for (const skillId of skill_ids) {
           await connection.query(
             'INSERT INTO project_skills (project_id, skill_id) VALUES (?, ?)',
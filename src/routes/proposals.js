@@ -1,24 +1,29 @@
 const express = require('express');
 const { randomUUID } = require('crypto');
 const router = express.Router();
-const { query } = require('../db/queries');
+const { query, transaction } = require('../db/queries');
 const { authenticate, authorize } = require('../middleware/auth');
 const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validate');
-
-const parseIntOrDefault = (value, defaultValue) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? defaultValue : parsed;
-};
+const { publishProposalStatus, publishContractEvent } = require('../services/events');
+const {
+  attachmentValidation,
+  attachmentsJson,
+  withDownloadUrls,
+  attachToParent
+} = require('../services/attachments');
+const { parsePageParams, paginate, paginatedResponse } = require('../utils/pagination');
 
 /**
  * GET /api/proposals
  * Get proposals with filters
  * Protected: Requires authentication
+ * Query: project_id, freelancer_id, status, limit (default 50, max 100), cursor, include_total
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const { project_id, freelancer_id, status, limit = 50, offset = 0 } = req.query;
+    const { project_id, freelancer_id, status } = req.query;
+    const page = parsePageParams(req.query);
 
     let sql = `
       SELECT p.*,
@@ -50,16 +55,9 @@ router.get('/', authenticate, async (req, res, next) => {
       params.push(status);
     }
 
-    sql += ' ORDER BY p.submitted_at DESC LIMIT ? OFFSET ?';
-    params.push(parseIntOrDefault(limit, 50), parseIntOrDefault(offset, 0));
-
-    const result = await query(sql, params);
+    const result = await paginate({ query }, { sql, params, keys: ['submitted_at', 'id'], page });
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rowCount
-    });
+    res.json(paginatedResponse(req, page, result));
   } catch (error) {
     next(error);
   }
@@ -83,9 +81,13 @@ router.get('/:id', authenticate, async (req, res, next) => {
               fp.bio AS freelancer_bio,
               fp.rating_avg AS freelancer_rating,
               fp.rating_count AS freelancer_rating_count,
-              fp.experience_years AS freelancer_experience
+              fp.experience_years AS freelancer_experience,
+              fp.user_id AS freelancer_user_id,
+              cp.user_id AS client_user_id,
+              ${attachmentsJson('proposal', 'p.id')} AS attachments
        FROM proposals p
        JOIN projects proj ON p.project_id = proj.id
+       JOIN client_profiles cp ON proj.client_id = cp.id
        JOIN freelancer_profiles fp ON p.freelancer_id = fp.id
        JOIN users u ON fp.user_id = u.id
        WHERE p.id = ?`,
@@ -96,7 +98,18 @@ router.get('/:id', authenticate, async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Proposal not found' });
     }
 
-    res.json({ success: true, data: result.rows[0] });
+    const [proposal] = result.rows;
+
+    // Attachments are only visible to the proposal's freelancer, the project's client and admins
+    if (
+      req.user.role !== 'admin'
+      && proposal.freelancer_user_id !== req.user.userId
+      && proposal.client_user_id !== req.user.userId
+    ) {
+      proposal.attachments = [];
+    }
+
+    res.json({ success: true, data: withDownloadUrls([proposal])[0] });
   } catch (error) {
     next(error);
   }
@@ -133,7 +146,8 @@ router.post(
       .notEmpty()
       .withMessage('Cover letter is required')
       .isLength({ max: 5000 })
-      .withMessage('Cover letter must be at most 5000 characters')
+      .withMessage('Cover letter must be at most 5000 characters'),
+    ...attachmentValidation
   ],
   validate,
   async (req, res, next) => {
@@ -143,7 +157,8 @@ router.post(
       bid_amount,
       hourly_rate,
       estimated_hours,
-      cover_letter
+      cover_letter,
+      attachment_ids
     } = req.body;
 
     if (!project_id) {
@@ -196,26 +211,30 @@ router.post(
 
     const proposalId = randomUUID();
 
-    await query(
-      `INSERT INTO proposals (id, project_id, freelancer_id, bid_amount, hourly_rate, estimated_hours, cover_letter)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        proposalId,
-        project_id,
-        freelancer_id,
-        bid_amount ?? null,
-        hourly_rate ?? null,
-        estimated_hours ?? null,
-        cover_letter ?? null
-      ]
-    );
+    const attachments = await transaction(async (connection) => {
+      await connection.query(
+        `INSERT INTO proposals (id, project_id, freelancer_id, bid_amount, hourly_rate, estimated_hours, cover_letter)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          proposalId,
+          project_id,
+          freelancer_id,
+          bid_amount ?? null,
+          hourly_rate ?? null,
+          estimated_hours ?? null,
+          cover_letter ?? null
+        ]
+      );
+
+      return attachToParent(connection, req.user, attachment_ids, { type: 'proposal', id: proposalId });
+    });
 
     const result = await query(
       'SELECT * FROM proposals WHERE id = ?',
       [proposalId]
     );
 
-    res.status(201).json({ success: true, data: result.rows[0] });
+    res.status(201).json({ success: true, data: { ...result.rows[0], attachments } });
   } catch (error) {
     if (error.code === 'ER_DUP_ENTRY') {
       return res.status(409).json({
@@ -312,12 +331,13 @@ router.post('/:id/accept', authenticate, async (req, res, next) => {
       );
 
       // 2. Reject all other proposals for this project
-      await connection.query(
+      const rejectedResult = await connection.query(
         `UPDATE proposals 
          SET status = 'rejected' 
          WHERE project_id = ? 
          AND id != ? 
-         AND status IN ('submitted', 'shortlisted')`,
+         AND status IN ('submitted', 'shortlisted')
+         RETURNING id`,
         [proposal.project_id, id]
       );
 
@@ -356,6 +376,10 @@ router.post('/:id/accept', authenticate, async (req, res, next) => {
           project.currency
         ]
       );
+
+      // 5. Notify the affected freelancers and both contract parties once committed
+      await publishProposalStatus(connection, [id, ...rejectedResult.rows.map((row) => row.id)]);
+      await publishContractEvent(connection, contractId, 'contract.created');
     });
 
     // Fetch updated proposal
@@ -433,6 +457,7 @@ router.post('/:id/reject', authenticate, async (req, res, next) => {
       'UPDATE proposals SET status = ? WHERE id = ?',
       ['rejected', id]
     );
+    await publishProposalStatus({ query }, [id]);
 
     const updatedProposal = await query(
       'SELECT * FROM proposals WHERE id = ?',
@@ -558,6 +583,10 @@ router.patch(
       return res.status(404).json({ success: false, message: 'Proposal not found' });
     }
 
+    if (updateFields.status && updateFields.status !== proposal.status) {
+      await publishProposalStatus({ query }, [id]);
+    }
+
     const result = await query(
       'SELECT * FROM proposals WHERE id = ?',
       [id]
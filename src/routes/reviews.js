@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { replyToReview } = require('../services/reviews');
+const {
+  reportReview,
+  listModerationQueue,
+  hideReview,
+  unhideReview,
+  dismissReports,
+  getReviewModerationHistory
+} = require('../services/reviewModeration');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+const reviewIdValidation = param('id')
+  .isUUID()
+  .withMessage('Review ID must be a valid UUID');
+
+const textValidation = (field, label, { required = true } = {}) => {
+  const chain = required ? body(field) : body(field).optional();
+
+  return chain
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .isLength({ max: 2000 })
+    .withMessage(`${label} must be at most 2000 characters`);
+};
+
+/**
+ * GET /api/reviews/moderation
+ * Moderation queue: reviews with open reports, longest-waiting first
+ * Protected: Admin only
+ * Query: limit (default 50, max 100), cursor, include_total
+ */
+router.get('/moderation', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const result = await listModerationQueue(db, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/reply
+ * Publicly reply to a review you received (once)
+ * Protected: The reviewee
+ */
+router.post('/:id/reply', authenticate, [
+  reviewIdValidation,
+  textValidation('reply', 'Reply')
+], validate, async (req, res, next) => {
+  try {
+    const review = await replyToReview(db, req.params.id, req.user, req.body.reply);
+
+    res.status(201).json({ success: true, message: 'Reply posted', data: review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/reports
+ * Report an abusive review; it goes to the moderation queue
+ * Protected: Requires authentication (one report per user per review)
+ */
+router.post('/:id/reports', authenticate, [
+  reviewIdValidation,
+  textValidation('reason', 'Reason')
+], validate, async (req, res, next) => {
+  try {
+    const report = await reportReview(db, req.params.id, req.user, req.body.reason);
+
+    res.status(201).json({ success: true, message: 'Review reported', data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reviews/:id/moderation
+ * A review's reports and moderation audit trail
+ * Protected: Admin only
+ */
+router.get('/:id/moderation', authenticate, authorize('admin'), [reviewIdValidation], validate, async (req, res, next) => {
+  try {
+    const history = await getReviewModerationHistory(db, req.params.id);
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/hide
+ * Hide a review from listings and rating aggregates; its open reports are marked actioned
+ * Protected: Admin only
+ */
+router.post('/:id/hide', authenticate, authorize('admin'), [
+  reviewIdValidation,
+  textValidation('reason', 'Reason')
+], validate, async (req, res, next) => {
+  try {
+    const { review, reviewee_rating } = await hideReview(db, req.params.id, req.user, req.body.reason);
+
+    res.json({ success: true, message: 'Review hidden', data: { ...review, reviewee_rating } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/unhide
+ * Restore a hidden review
+ * Protected: Admin only
+ */
+router.post('/:id/unhide', authenticate, authorize('admin'), [
+  reviewIdValidation,
+  textValidation('note', 'Note', { required: false })
+], validate, async (req, res, next) => {
+  try {
+    const { review, reviewee_rating } = await unhideReview(db, req.params.id, req.user, req.body.note);
+
+    res.json({ success: true, message: 'Review restored', data: { ...review, reviewee_rating } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/dismiss-reports
+ * Dismiss a review's open reports and keep it published
+ * Protected: Admin only
+ */
+router.post('/:id/dismiss-reports', authenticate, authorize('admin'), [
+  reviewIdValidation,
+  textValidation('note', 'Note', { required: false })
+], validate, async (req, res, next) => {
+  try {
+    const result = await dismissReports(db, req.params.id, req.user, req.body.note);
+
+    res.json({ success: true, message: 'Reports dismissed', data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
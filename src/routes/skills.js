@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  groupByCategory,
+  listSkills,
+  getSkill,
+  createSkill,
+  updateSkill,
+  setSkillDeprecated,
+  addSynonym,
+  removeSynonym,
+  mergeSkill
+} = require('../services/skills');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+const skillIdValidation = param('id')
+  .isUUID()
+  .withMessage('Skill ID must be a valid UUID');
+
+const nameValidation = (field) => body(field)
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Name is required')
+  .isLength({ max: 100 })
+  .withMessage('Name must be at most 100 characters');
+
+/**
+ * GET /api/skills
+ * List or search the skills taxonomy (autocomplete); q also matches synonyms (e.g. "reactjs" finds React)
+ * Public
+ * Query: q, category, group_by=category (groups the page's skills), include_deprecated,
+ *   limit (default 50, max 100), cursor, include_total
+ */
+router.get('/', [
+  queryValidator('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  queryValidator('group_by').optional().isIn(['category']).withMessage('group_by must be category'),
+  queryValidator('include_deprecated').optional().isBoolean().withMessage('include_deprecated must be true or false')
+], validate, async (req, res, next) => {
+  try {
+    const { category, group_by, include_deprecated } = req.query;
+    const { q } = matchedData(req, { locations: ['query'] });
+    const page = parsePageParams(req.query);
+
+    const result = await listSkills(db, {
+      q,
+      category,
+      include_deprecated: include_deprecated === 'true'
+    }, page);
+
+    const response = paginatedResponse(req, page, result);
+    if (group_by === 'category') {
+      response.data = groupByCategory(result.rows);
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/skills/:id
+ * Get a skill with its synonyms and usage counts
+ * Public
+ */
+router.get('/:id', [skillIdValidation], validate, async (req, res, next) => {
+  try {
+    const skill = await getSkill(db, req.params.id);
+
+    res.json({ success: true, data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/skills
+ * Create a skill
+ * Protected: Admin only
+ */
+router.post('/', authenticate, authorize('admin'), [
+  nameValidation('name'),
+  body('category').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('Category must be at most 100 characters'),
+  body('synonyms').optional().isArray({ max: 20 }).withMessage('Synonyms must be an array of at most 20 names'),
+  nameValidation('synonyms.*')
+], validate, async (req, res, next) => {
+  try {
+    const skill = await createSkill(db, req.body);
+
+    res.status(201).json({ success: true, message: 'Skill created', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/skills/:id
+ * Rename a skill and/or change its category
+ * The old name becomes a synonym unless keep_old_name is false
+ * Protected: Admin only
+ */
+router.patch('/:id', authenticate, authorize('admin'), [
+  skillIdValidation,
+  nameValidation('name').optional(),
+  body('category').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('Category must be at most 100 characters'),
+  body('keep_old_name').optional().isBoolean().withMessage('keep_old_name must be a boolean')
+], validate, async (req, res, next) => {
+  try {
+    const skill = await updateSkill(db, req.params.id, req.body);
+
+    res.json({ success: true, message: 'Skill updated', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/skills/:id/deprecate
+ * Deprecate a skill: it stays on existing projects and profiles but cannot be added to new ones
+ * Protected: Admin only
+ */
+router.post('/:id/deprecate', authenticate, authorize('admin'), [skillIdValidation], validate, async (req, res, next) => {
+  try {
+    const skill = await setSkillDeprecated(db, req.params.id, true);
+
+    res.json({ success: true, message: 'Skill deprecated', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/skills/:id/restore
+ * Undo a deprecation
+ * Protected: Admin only
+ */
+router.post('/:id/restore', authenticate, authorize('admin'), [skillIdValidation], validate, async (req, res, next) => {
+  try {
+    const skill = await setSkillDeprecated(db, req.params.id, false);
+
+    res.json({ success: true, message: 'Skill restored', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/skills/:id/merge
+ * Merge this skill into target_skill_id: project and freelancer references move to the target,
+ * this skill's name and synonyms become the target's synonyms, and this skill is deleted
+ * Protected: Admin only
+ */
+router.post('/:id/merge', authenticate, authorize('admin'), [
+  skillIdValidation,
+  body('target_skill_id').isUUID().withMessage('Target skill ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const { skill, merged } = await mergeSkill(db, req.params.id, req.body.target_skill_id);
+
+    res.json({
+      success: true,
+      message: `${merged.name} merged into ${skill.name}`,
+      data: { skill, merged }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/skills/:id/synonyms
+ * Add a synonym (e.g. "ReactJS" for React)
+ * Protected: Admin only
+ */
+router.post('/:id/synonyms', authenticate, authorize('admin'), [
+  skillIdValidation,
+  nameValidation('name')
+], validate, async (req, res, next) => {
+  try {
+    const skill = await addSynonym(db, req.params.id, req.body.name);
+
+    res.status(201).json({ success: true, message: 'Synonym added', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/skills/:id/synonyms/:synonymId
+ * Remove a synonym
+ * Protected: Admin only
+ */
+router.delete('/:id/synonyms/:synonymId', authenticate, authorize('admin'), [
+  skillIdValidation,
+  param('synonymId').isUUID().withMessage('Synonym ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const skill = await removeSynonym(db, req.params.id, req.params.synonymId);
+
+    res.json({ success: true, message: 'Synonym removed', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { body, param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  THREAD_SCOPES,
+  getThread,
+  listThreads,
+  getUnreadSummary,
+  openThread,
+  listMessages,
+  searchMessages,
+  markThreadRead,
+  sendMessage
+} = require('../services/messaging');
+const { attachmentValidation } = require('../services/attachments');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+const parseIntOrDefault = (value, defaultValue) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const threadIdValidation = param('id')
+  .isUUID()
+  .withMessage('Thread ID must be a valid UUID');
+
+/**
+ * GET /api/threads
+ * List the authenticated user's conversations, most recently active first
+ * Protected: Requires authentication
+ * Each thread carries the user's unread_count and last-read marker
+ * Query: scope, project_id, contract_id, unread (true = only threads with unread messages), limit (default 50, max 100), cursor, include_total
+ */
+router.get('/', authenticate, [
+  queryValidator('scope')
+    .optional()
+    .isIn(THREAD_SCOPES)
+    .withMessage(`Scope must be one of: ${THREAD_SCOPES.join(', ')}`),
+  queryValidator('project_id').optional().isUUID().withMessage('Project ID must be a valid UUID'),
+  queryValidator('contract_id').optional().isUUID().withMessage('Contract ID must be a valid UUID'),
+  queryValidator('unread').optional().isBoolean().withMessage('Unread must be true or false')
+], validate, async (req, res, next) => {
+  try {
+    const { scope, project_id, contract_id, unread } = req.query;
+    const page = parsePageParams(req.query);
+
+    const result = await listThreads(db, req.user, {
+      scope,
+      project_id,
+      contract_id,
+      unread: unread === 'true'
+    }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/threads/unread
+ * Count the authenticated user's unread messages and the threads they are in
+ * Protected: Requires authentication
+ */
+router.get('/unread', authenticate, async (req, res, next) => {
+  try {
+    const summary = await getUnreadSummary(db, req.user);
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/threads/search
+ * Full-text search over the messages in the authenticated user's threads, best matches first
+ * Each result has a snippet (escaped HTML with <mark> around matches) and its thread's context
+ * Protected: Requires authentication (only the caller's own threads are searched)
+ * Query: q (words, "phrases", OR, -word), project_id, contract_id, from, to (a date on its own includes
+ * that whole day), limit (default 50, max 100), cursor, include_total
+ */
+router.get('/search', authenticate, [
+  queryValidator('q')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Search query (q) is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must be at most 200 characters'),
+  queryValidator('project_id').optional().isUUID().withMessage('Project ID must be a valid UUID'),
+  queryValidator('contract_id').optional().isUUID().withMessage('Contract ID must be a valid UUID'),
+  queryValidator('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  queryValidator('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date')
+], validate, async (req, res, next) => {
+  try {
+    const { project_id, contract_id, from, to } = req.query;
+    const { q } = matchedData(req, { locations: ['query'] });
+    const page = parsePageParams(req.query);
+
+    const result = await searchMessages(db, req.user, { q, project_id, contract_id, from, to }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/threads
+ * Open a conversation on a project (client <-> proposing freelancer) or a contract
+ * Returns the existing thread (200) when there already is one
+ * Protected: The project client / proposing freelancer, or the contract parties
+ */
+router.post('/', authenticate, [
+  body('scope')
+    .isIn(THREAD_SCOPES)
+    .withMessage(`Scope must be one of: ${THREAD_SCOPES.join(', ')}`),
+  body('project_id')
+    .if(body('scope').equals('project'))
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  body('freelancer_id')
+    .if(body('scope').equals('project'))
+    .optional()
+    .isUUID()
+    .withMessage('Freelancer ID must be a valid UUID'),
+  body('contract_id')
+    .if(body('scope').equals('contract'))
+    .isUUID()
+    .withMessage('Contract ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const { thread, created } = await openThread(db, req.user, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Thread opened' : 'Thread already exists',
+      data: thread
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/threads/:id
+ * Get a thread with its participants
+ * Protected: Thread participants (admins may read any thread)
+ */
+router.get('/:id', authenticate, [threadIdValidation], validate, async (req, res, next) => {
+  try {
+    const thread = await getThread(db, req.params.id, req.user);
+
+    res.json({ success: true, data: thread });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/threads/:id/read
+ * Mark the thread read up to message_id (default: its newest message)
+ * Protected: Thread participants
+ */
+router.post('/:id/read', authenticate, [
+  threadIdValidation,
+  body('message_id').optional().isUUID().withMessage('Message ID must be a valid UUID')
+], validate, async (req, res, next) => {
+  try {
+    const marker = await markThreadRead(db, req.params.id, req.user, req.body);
+
+    res.json({ success: true, data: marker });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/threads/:id/messages
+ * Page through a thread's messages, newest first, each with its read receipt (is_read, read_at)
+ * Pass the returned next_cursor as ?cursor= to load older messages
+ * Protected: Thread participants (admins may read any thread)
+ */
+router.get('/:id/messages', authenticate, [
+  threadIdValidation,
+  queryValidator('cursor').optional().isUUID().withMessage('Cursor must be a message ID'),
+  queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, async (req, res, next) => {
+  try {
+    const { messages, next_cursor } = await listMessages(db, req.params.id, req.user, {
+      cursor: req.query.cursor,
+      limit: parseIntOrDefault(req.query.limit, 50)
+    });
+
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length,
+      next_cursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/threads/:id/messages
+ * Post a message: a body, attachments (attachment_ids from POST /api/files) or both
+ * Protected: Thread participants
+ */
+router.post('/:id/messages', authenticate, [
+  threadIdValidation,
+  body('body')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Message must be at most 5000 characters'),
+  ...attachmentValidation
+], validate, async (req, res, next) => {
+  try {
+    const message = await sendMessage(db, req.params.id, req.user, req.body);
+
+    res.status(201).json({ success: true, data: message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
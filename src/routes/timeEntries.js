@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { body, param, query: queryValidator } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  listTimeEntries,
+  logTime,
+  updateTimeEntry,
+  deleteTimeEntry
+} = require('../services/timesheets');
+
+const contractIdValidation = param('id')
+  .isUUID()
+  .withMessage('Contract ID must be a valid UUID');
+
+const entryIdValidation = param('entryId')
+  .isUUID()
+  .withMessage('Time entry ID must be a valid UUID');
+
+const workDateValidation = (field) => field
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage('Work date must be a date in YYYY-MM-DD format');
+
+const hoursValidation = (field) => field
+  .isFloat({ gt: 0, max: 24 })
+  .withMessage('Hours must be greater than 0 and at most 24');
+
+const descriptionValidation = body('description')
+  .optional()
+  .isLength({ max: 2000 })
+  .withMessage('Description must be at most 2000 characters');
+
+/**
+ * GET /api/contracts/:id/time-entries
+ * List logged hours, optionally for the week containing ?week_start=YYYY-MM-DD
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get(
+  '/',
+  authenticate,
+  [contractIdValidation, workDateValidation(queryValidator('week_start').optional())],
+  validate,
+  async (req, res, next) => {
+  try {
+    const entries = await listTimeEntries(db, req.params.id, req.user, req.query);
+
+    res.json({ success: true, data: entries, count: entries.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/time-entries
+ * Log hours worked on a day
+ * Protected: Only the contract's freelancer (or admin)
+ * Business Logic:
+ * - Only active hourly contracts accept time
+ * - Entries land on the timesheet of their week, which must still be open or disputed
+ * - At most 24 hours per day, and no more than the contract's weekly_hour_cap per week
+ */
+router.post(
+  '/',
+  authenticate,
+  [
+    contractIdValidation,
+    workDateValidation(body('work_date').notEmpty().withMessage('Work date is required')),
+    hoursValidation(body('hours').notEmpty().withMessage('Hours are required')),
+    descriptionValidation
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const entry = await logTime(db, req.params.id, req.user, req.body);
+
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id/time-entries/:entryId
+ * Correct a time entry
+ * Protected: Only the contract's freelancer (or admin)
+ */
+router.patch(
+  '/:entryId',
+  authenticate,
+  [
+    contractIdValidation,
+    entryIdValidation,
+    workDateValidation(body('work_date').optional()),
+    hoursValidation(body('hours').optional()),
+    descriptionValidation
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const entry = await updateTimeEntry(db, req.params.id, req.params.entryId, req.user, req.body);
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id/time-entries/:entryId
+ * Remove a time entry
+ * Protected: Only the contract's freelancer (or admin)
+ */
+router.delete(
+  '/:entryId',
+  authenticate,
+  [contractIdValidation, entryIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    await deleteTimeEntry(db, req.params.id, req.params.entryId, req.user);
+
+    res.json({ success: true, message: 'Time entry deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('../db/queries');
+const { authenticate } = require('../middleware/auth');
+const { body, param, query: queryValidator } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  TIMESHEET_STATUSES,
+  listTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  disputeTimesheet
+} = require('../services/timesheets');
+
+const contractIdValidation = param('id')
+  .isUUID()
+  .withMessage('Contract ID must be a valid UUID');
+
+const timesheetIdValidation = param('timesheetId')
+  .isUUID()
+  .withMessage('Timesheet ID must be a valid UUID');
+
+/**
+ * GET /api/contracts/:id/timesheets
+ * List weekly timesheets, newest week first
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    contractIdValidation,
+    queryValidator('status')
+      .optional()
+      .isIn(TIMESHEET_STATUSES)
+      .withMessage(`Status must be one of: ${TIMESHEET_STATUSES.join(', ')}`)
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const timesheets = await listTimesheets(db, req.params.id, req.user, req.query);
+
+    res.json({ success: true, data: timesheets, count: timesheets.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/contracts/:id/timesheets/:timesheetId
+ * Get a timesheet with its time entries
+ * Protected: Only the contract's client, freelancer or an admin
+ */
+router.get(
+  '/:timesheetId',
+  authenticate,
+  [contractIdValidation, timesheetIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const timesheet = await getTimesheet(db, req.params.id, req.params.timesheetId, req.user);
+
+    res.json({ success: true, data: timesheet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/timesheets/:timesheetId/submit
+ * Submit a week's hours for review
+ * Protected: Only the contract's freelancer (or admin)
+ */
+router.post(
+  '/:timesheetId/submit',
+  authenticate,
+  [contractIdValidation, timesheetIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const timesheet = await submitTimesheet(db, req.params.id, req.params.timesheetId, req.user);
+
+    res.json({ success: true, message: 'Timesheet submitted for review', data: timesheet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/timesheets/:timesheetId/approve
+ * Approve a submitted timesheet
+ * Protected: Only the contract's client (or admin)
+ * Business Logic:
+ * - The approved hours are billed at the contract's hourly_rate
+ * - A pending milestone for that amount is added to the contract so it can be paid;
+ *   its escrow is released to the freelancer as soon as the payment funds it
+ */
+router.post(
+  '/:timesheetId/approve',
+  authenticate,
+  [contractIdValidation, timesheetIdValidation],
+  validate,
+  async (req, res, next) => {
+  try {
+    const { timesheet, milestone } = await approveTimesheet(
+      db,
+      req.params.id,
+      req.params.timesheetId,
+      req.user
+    );
+
+    res.json({ success: true, message: 'Timesheet approved', data: { timesheet, milestone } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contracts/:id/timesheets/:timesheetId/dispute
+ * Dispute a submitted timesheet so the freelancer can correct it
+ * Protected: Only the contract's client (or admin)
+ */
+router.post(
+  '/:timesheetId/dispute',
+  authenticate,
+  [
+    contractIdValidation,
+    timesheetIdValidation,
+    body('reason')
+      .notEmpty()
+      .withMessage('Reason is required')
+      .isLength({ max: 5000 })
+      .withMessage('Reason must be at most 5000 characters')
+  ],
+  validate,
+  async (req, res, next) => {
+  try {
+    const timesheet = await disputeTimesheet(
+      db,
+      req.params.id,
+      req.params.timesheetId,
+      req.user,
+      req.body.reason
+    );
+
+    res.json({ success: true, message: 'Timesheet disputed', data: timesheet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { query, transaction } = require('../db/queries');
+const db = require('../db/queries');
+const { query, transaction } = db;
 const { authenticate, authorize, verifyOwnership } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { listUserReviews } = require('../services/reviews');
+const {
+  MAX_FREELANCER_SKILLS,
+  getFreelancerProfile,
+  listFreelancerSkills,
+  addFreelancerSkill,
+  updateFreelancerSkill,
+  removeFreelancerSkill
+} = require('../services/freelancerSkills');
+const { parsePageParams, paginate, paginatedResponse } = require('../utils/pagination');
+
+const userIdValidation = param('id')
+  .isUUID()
+  .withMessage('User ID must be a valid UUID');
+
+const skillIdValidation = (field) => field
+  .isUUID()
+  .withMessage('Skill ID must be a valid UUID');
+
+const proficiencyValidation = () => body('proficiency')
+  .isInt({ min: 1, max: 5 })
+  .withMessage('Proficiency must be an integer from 1 (beginner) to 5 (expert)')
+  .toInt();
+
+const yearsValidation = () => body('years')
+  .optional({ values: 'null' })
+  .isInt({ min: 0, max: 60 })
+  .withMessage('Years must be an integer between 0 and 60')
+  .toInt();
 
 /**
  * GET /api/users
  * Get all users with optional role filter
  * Protected: Requires authentication
+ * Query: role, limit (default 50, max 100), cursor, include_total
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
-    const { role, limit = 50, offset = 0 } = req.query;
+    const { role } = req.query;
+    const page = parsePageParams(req.query);
 
     let sql = 'SELECT id, email, role, first_name, last_name, phone, country, is_verified, created_at FROM users';
     const params = [];
@@ -18,19 +52,10 @@ router.get('/', authenticate, async (req, res, next) => {
     if (role) {
       sql += ' WHERE role = ?';
       params.push(role);
-      sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-      params.push(parseInt(limit), parseInt(offset));
-    } else {
-      sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-      params.push(parseInt(limit), parseInt(offset));
     }
 
-    const result = await query(sql, params);
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rowCount
-    });
+    const result = await paginate(db, { sql, params, keys: ['created_at', 'id'], page });
+    res.json(paginatedResponse(req, page, result));
   } catch (error) {
     next(error);
   }
@@ -64,6 +89,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
         [id]
       );
       user.profile = profileResult.rows[0] || null;
+      user.skills = user.profile ? await listFreelancerSkills(db, user.profile.id) : [];
     } else if (user.role === 'client') {
       const profileResult = await query(
         'SELECT * FROM client_profiles WHERE user_id = ?',
@@ -78,6 +104,103 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/users/:id/reviews
+ * Reviews a user has received, newest first
+ * Protected: Requires authentication
+ * Query: limit (default 50, max 100), cursor, include_total
+ */
+router.get('/:id/reviews', authenticate, [userIdValidation], validate, async (req, res, next) => {
+  try {
+    const page = parsePageParams(req.query);
+
+    const result = await listUserReviews(db, req.params.id, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/:id/skills
+ * A freelancer's skills with proficiency and years, grouped by category
+ * Protected: Requires authentication
+ */
+router.get('/:id/skills', authenticate, [userIdValidation], validate, async (req, res, next) => {
+  try {
+    const profile = await getFreelancerProfile(db, req.params.id);
+    const skills = await listFreelancerSkills(db, profile.id);
+
+    res.json({
+      success: true,
+      data: skills,
+      count: skills.reduce((total, group) => total + group.skills.length, 0),
+      limit: MAX_FREELANCER_SKILLS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/skills
+ * Add a skill to a freelancer's profile (deprecated skills cannot be added)
+ * Protected: The freelancer, or admin
+ */
+router.post('/:id/skills', authenticate, [
+  userIdValidation,
+  skillIdValidation(body('skill_id')),
+  proficiencyValidation(),
+  yearsValidation()
+], validate, verifyOwnership(), async (req, res, next) => {
+  try {
+    const skill = await addFreelancerSkill(db, req.params.id, req.body);
+
+    res.status(201).json({ success: true, message: 'Skill added', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/users/:id/skills/:skillId
+ * Update proficiency and/or years for a skill on a freelancer's profile
+ * Protected: The freelancer, or admin
+ */
+router.patch('/:id/skills/:skillId', authenticate, [
+  userIdValidation,
+  skillIdValidation(param('skillId')),
+  proficiencyValidation().optional(),
+  yearsValidation()
+], validate, verifyOwnership(), async (req, res, next) => {
+  try {
+    const skill = await updateFreelancerSkill(db, req.params.id, req.params.skillId, req.body);
+
+    res.json({ success: true, message: 'Skill updated', data: skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/users/:id/skills/:skillId
+ * Remove a skill from a freelancer's profile
+ * Protected: The freelancer, or admin
+ */
+router.delete('/:id/skills/:skillId', authenticate, [
+  userIdValidation,
+  skillIdValidation(param('skillId'))
+], validate, verifyOwnership(), async (req, res, next) => {
+  try {
+    await removeFreelancerSkill(db, req.params.id, req.params.skillId);
+
+    res.json({ success: true, message: 'Skill removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/users
  * Create a new user (with optional profile)
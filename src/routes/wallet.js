@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/queries');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query: queryValidator, matchedData } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const {
+  PAYOUT_METHODS,
+  PAYOUT_STATUSES,
+  getWallet,
+  updateWalletSettings,
+  listWalletTransactions,
+  listPayoutRequests,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  cancelPayout
+} = require('../services/wallets');
+const { parsePageParams, paginatedResponse } = require('../utils/pagination');
+
+const freelancerIdValidation = queryValidator('freelancer_id')
+  .optional()
+  .isUUID()
+  .withMessage('Freelancer ID must be a valid UUID');
+
+const payoutIdValidation = param('id')
+  .isUUID()
+  .withMessage('Payout request ID must be a valid UUID');
+
+/**
+ * GET /api/wallet
+ * Wallet balances per currency: balance, pending (inside the hold period), reserved and available
+ * Protected: Freelancers see their own wallet; admins pass ?freelancer_id=
+ */
+router.get('/', authenticate, [freelancerIdValidation], validate, async (req, res, next) => {
+  try {
+    const wallet = await getWallet(db, req.user, req.query);
+
+    res.json({ success: true, data: wallet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/wallet/:freelancerId
+ * Override a freelancer's hold period (null goes back to the platform default)
+ * Protected: Admin only
+ */
+router.patch('/:freelancerId', authenticate, authorize('admin'), [
+  param('freelancerId').isUUID().withMessage('Freelancer ID must be a valid UUID'),
+  body('hold_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Hold days must be a whole number between 0 and 365')
+    .toInt()
+], validate, async (req, res, next) => {
+  try {
+    const wallet = await updateWalletSettings(db, req.params.freelancerId, req.body.hold_days ?? null, req.user);
+
+    res.json({ success: true, message: 'Wallet updated', data: wallet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/wallet/transactions
+ * Wallet history (escrow releases in, payouts out), newest first
+ * Protected: Freelancers see their own history; admins pass ?freelancer_id=
+ * Query: freelancer_id, currency, limit (default 50, max 100), cursor, include_total
+ */
+router.get('/transactions', authenticate, [
+  freelancerIdValidation,
+  queryValidator('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 currency code')
+    .toUpperCase()
+], validate, async (req, res, next) => {
+  try {
+    const { freelancer_id } = req.query;
+    const { currency } = matchedData(req, { locations: ['query'] });
+    const page = parsePageParams(req.query);
+
+    const result = await listWalletTransactions(db, req.user, { freelancer_id, currency }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/wallet/payouts
+ * List payout requests
+ * Protected: Freelancers see their own; admins see everyone's (the approval queue with ?status=pending)
+ * Query: freelancer_id, status, limit (default 50, max 100), cursor, include_total
+ */
+router.get('/payouts', authenticate, [
+  freelancerIdValidation,
+  queryValidator('status')
+    .optional()
+    .isIn(PAYOUT_STATUSES)
+    .withMessage(`Status must be one of: ${PAYOUT_STATUSES.join(', ')}`)
+], validate, async (req, res, next) => {
+  try {
+    const { freelancer_id, status } = req.query;
+    const page = parsePageParams(req.query);
+
+    const result = await listPayoutRequests(db, req.user, { freelancer_id, status }, page);
+
+    res.json(paginatedResponse(req, page, result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/payouts
+ * Request a payout of available balance
+ * Protected: Freelancers only
+ */
+router.post('/payouts', authenticate, authorize('freelancer'), [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('currency')
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 currency code')
+    .toUpperCase(),
+  body('method')
+    .isIn(PAYOUT_METHODS)
+    .withMessage(`Method must be one of: ${PAYOUT_METHODS.join(', ')}`),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters')
+], validate, async (req, res, next) => {
+  try {
+    const payout = await requestPayout(db, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested',
+      data: payout
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/payouts/:id/approve
+ * Approve a pending payout; the amount is debited from the freelancer's balance
+ * Protected: Admin only
+ */
+router.post('/payouts/:id/approve', authenticate, authorize('admin'), [payoutIdValidation], validate, async (req, res, next) => {
+  try {
+    const payout = await approvePayout(db, req.params.id, req.user);
+
+    res.json({ success: true, message: 'Payout approved', data: payout });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/payouts/:id/reject
+ * Reject a pending payout; the reserved amount becomes available again
+ * Protected: Admin only
+ */
+router.post('/payouts/:id/reject', authenticate, authorize('admin'), [
+  payoutIdValidation,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters')
+], validate, async (req, res, next) => {
+  try {
+    const payout = await rejectPayout(db, req.params.id, req.user, req.body.reason);
+
+    res.json({ success: true, message: 'Payout rejected', data: payout });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/wallet/payouts/:id/cancel
+ * Withdraw one of your own pending payout requests
+ * Protected: The requesting freelancer
+ */
+router.post('/payouts/:id/cancel', authenticate, authorize('freelancer'), [payoutIdValidation], validate, async (req, res, next) => {
+  try {
+    const payout = await cancelPayout(db, req.params.id, req.user);
+
+    res.json({ success: true, message: 'Payout request cancelled', data: payout });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
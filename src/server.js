@@ -7,6 +7,7 @@ require('dotenv').config();
 
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const { startScheduler } = require('./jobs/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,7 +33,12 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 })); // Enable CORS with specific origin
 app.use(morgan('dev')); // Request logging
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+  // Keep the raw body around so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(cookieParser()); // Parse cookies
 
@@ -83,6 +89,9 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`API URL: http://localhost:${PORT}`);
   });
 
+  // Time-based background jobs (review reveal, ...)
+  startScheduler();
+
   // Handle unhandled promise rejections
   process.on('unhandledRejection', (err) => {
     console.error('Unhandled Promise Rejection:', err);
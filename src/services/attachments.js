@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const path = require('path');
+const { body } = require('express-validator');
+const { httpError } = require('../utils/httpError');
+const { getStorage } = require('./storage');
+
+// Lined up with nginx's client_max_body_size 20M so a rejected upload gets our error, not the proxy's
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+
+// SVG and HTML are left out on purpose: both can carry scripts
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Validation for an optional attachment_ids body field (IDs of files uploaded via POST /api/files)
+const attachmentValidation = [
+  body('attachment_ids')
+    .optional()
+    .isArray({ max: MAX_ATTACHMENTS })
+    .withMessage(`attachment_ids must be an array of at most ${MAX_ATTACHMENTS} IDs`),
+  body('attachment_ids.*').isUUID().withMessage('Attachment IDs must be valid UUIDs')
+];
+
+const DOWNLOAD_URL_TTL_SECONDS = Number.parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 300;
+
+/**
+ * What an attachment can belong to, and the attachments column pointing at it
+ */
+const PARENT_COLUMNS = {
+  message: 'message_id',
+  proposal: 'proposal_id',
+  milestone_event: 'milestone_event_id'
+};
+
+const ATTACHMENT_SELECT = `
+  SELECT a.id, a.filename, a.mime_type, a.uploaded_by_user_id,
+         a.message_id, a.proposal_id, a.milestone_event_id, a.attached_at, a.created_at,
+         f.size_bytes, f.checksum_sha256
+  FROM attachments a
+  JOIN files f ON a.file_id = f.id
+`;
+
+/**
+ * SQL expression for a parent row's attachments as a JSON array (for embedding in a SELECT list)
+ * @param {string} parentType - One of the PARENT_COLUMNS keys
+ * @param {string} parentRef - SQL reference to the parent's ID (e.g. 'm.id')
+ * @returns {string}
+ */
+const attachmentsJson = (parentType, parentRef) => `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+             'id', a.id,
+             'filename', a.filename,
+             'mime_type', a.mime_type,
+             'size_bytes', f.size_bytes
+           ) ORDER BY a.created_at, a.id)
+    FROM attachments a
+    JOIN files f ON a.file_id = f.id
+    WHERE a.${PARENT_COLUMNS[parentType]} = ${parentRef}
+  ), '[]'::json)
+`;
+
+const signingSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const sign = (attachmentId, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${attachmentId}.${expires}`)
+  .digest('base64url');
+
+/**
+ * Create a signed, expiring download URL for an attachment
+ * Only hand these out after checking the user may read the attachment
+ * @param {string} attachmentId - Attachment ID
+ * @returns {{url: string, url_expires_at: string}} - url is relative to the API host
+ */
+const createDownloadUrl = (attachmentId) => {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+
+  return {
+    url: `/api/files/${attachmentId}/download?expires=${expires}&signature=${sign(attachmentId, expires)}`,
+    url_expires_at: new Date(expires * 1000).toISOString()
+  };
+};
+
+/**
+ * Add signed download URLs to the attachments embedded in rows (see attachmentsJson)
+ * @param {Array} rows - Rows with an attachments array
+ * @returns {Array} - The same rows
+ */
+const withDownloadUrls = (rows) => {
+  for (const row of rows) {
+    row.attachments = (row.attachments || []).map((attachment) => ({
+      ...attachment,
+      ...createDownloadUrl(attachment.id)
+    }));
+  }
+  return rows;
+};
+
+/**
+ * The users who may read a parent object's attachments (besides admins)
+ * - message: the thread's two participants
+ * - proposal: the proposing freelancer and the project's client
+ * - milestone_event: the contract's client and freelancer
+ */
+const getParentParties = async (db, attachment) => {
+  let result;
+
+  if (attachment.message_id) {
+    result = await db.query(
+      `SELECT cp.user_id AS client_user_id, fp.user_id AS freelancer_user_id
+       FROM messages m
+       JOIN message_threads t ON m.thread_id = t.id
+       LEFT JOIN contracts c ON t.contract_id = c.id
+       LEFT JOIN projects p ON p.id = COALESCE(t.project_id, c.project_id)
+       JOIN client_profiles cp ON cp.id = COALESCE(c.client_id, p.client_id)
+       JOIN freelancer_profiles fp ON fp.id = COALESCE(c.freelancer_id, t.freelancer_id)
+       WHERE m.id = ?`,
+      [attachment.message_id]
+    );
+  } else if (attachment.proposal_id) {
+    result = await db.query(
+      `SELECT cp.user_id AS client_user_id, fp.user_id AS freelancer_user_id
+       FROM proposals p
+       JOIN projects proj ON p.project_id = proj.id
+       JOIN client_profiles cp ON proj.client_id = cp.id
+       JOIN freelancer_profiles fp ON p.freelancer_id = fp.id
+       WHERE p.id = ?`,
+      [attachment.proposal_id]
+    );
+  } else {
+    result = await db.query(
+      `SELECT cp.user_id AS client_user_id, fp.user_id AS freelancer_user_id
+       FROM milestone_events e
+       JOIN milestones ms ON e.milestone_id = ms.id
+       JOIN contracts c ON ms.contract_id = c.id
+       JOIN client_profiles cp ON c.client_id = cp.id
+       JOIN freelancer_profiles fp ON c.freelancer_id = fp.id
+       WHERE e.id = ?`,
+      [attachment.milestone_event_id]
+    );
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Get an attachment the user may read, with a fresh signed download URL
+ * Protected: admins; the uploader while it is unattached; afterwards whoever may read the parent object
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} attachmentId - Attachment ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Attachment with url / url_expires_at
+ */
+const getAttachment = async (db, attachmentId, user) => {
+  const result = await db.query(`${ATTACHMENT_SELECT} WHERE a.id = ?`, [attachmentId]);
+  const attachment = result.rows[0];
+
+  if (!attachment) {
+    throw httpError(404, 'Attachment not found');
+  }
+
+  if (user.role !== 'admin') {
+    const isAttached = attachment.message_id || attachment.proposal_id || attachment.milestone_event_id;
+    const parties = isAttached ? await getParentParties(db, attachment) : null;
+    const allowed = isAttached
+      ? parties && (parties.client_user_id === user.userId || parties.freelancer_user_id === user.userId)
+      : attachment.uploaded_by_user_id === user.userId;
+
+    if (!allowed) {
+      throw httpError(403, 'You do not have permission to access this attachment');
+    }
+  }
+
+  return { ...attachment, ...createDownloadUrl(attachment.id) };
+};
+
+const normalizeMimeType = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+// Keep the base name only, without control characters
+const sanitizeFilename = (filename) => path.basename(String(filename || ''))
+  .replace(/[\u0000-\u001f\u007f]/g, '')
+  .trim()
+  .slice(0, 255);
+
+// Serialize storing and removing the bytes of one content hash (held until the transaction ends)
+const lockFileContent = (connection, checksum) => (
+  connection.query('SELECT pg_advisory_xact_lock(hashtext(?))', [`file:${checksum}`])
+);
+
+/**
+ * Store an upload; identical content (same SHA-256) is stored once and shared
+ * The attachment starts unattached and only its uploader can see or attach it
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} upload - { buffer, filename, mimeType }
+ * @returns {Promise<object>} - Attachment with url / url_expires_at
+ */
+const uploadAttachment = async (db, user, { buffer, filename, mimeType }) => {
+  const name = sanitizeFilename(filename);
+  const type = normalizeMimeType(mimeType);
+
+  if (!name) {
+    throw httpError(400, 'A filename is required');
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw httpError(400, 'The uploaded file is empty');
+  }
+
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw httpError(413, `Files must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+  }
+
+  if (!ALLOWED_MIME_TYPES.includes(type)) {
+    throw httpError(415, `Unsupported file type: ${type || 'unknown'}`);
+  }
+
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+  const storage = getStorage();
+
+  const attachmentId = await db.transaction(async (connection) => {
+    await lockFileContent(connection, checksum);
+
+    // FOR SHARE keeps a concurrent delete of the same file from removing it under us
+    const existing = await connection.query(
+      'SELECT id FROM files WHERE checksum_sha256 = ? FOR SHARE',
+      [checksum]
+    );
+
+    let fileId = existing.rows[0]?.id;
+
+    if (!fileId) {
+      const storageKey = `${checksum.slice(0, 2)}/${checksum.slice(2, 4)}/${checksum}`;
+      await storage.put(storageKey, buffer);
+
+      // A concurrent upload of the same content may have inserted it first; both wrote identical bytes
+      await connection.query(
+        `INSERT INTO files (id, checksum_sha256, size_bytes, storage_driver, storage_key)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (checksum_sha256) DO NOTHING`,
+        [crypto.randomUUID(), checksum, buffer.length, storage.name, storageKey]
+      );
+
+      const inserted = await connection.query('SELECT id FROM files WHERE checksum_sha256 = ?', [checksum]);
+      fileId = inserted.rows[0].id;
+    }
+
+    const result = await connection.query(
+      `INSERT INTO attachments (id, file_id, uploaded_by_user_id, filename, mime_type)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING id`,
+      [crypto.randomUUID(), fileId, user.userId, name, type]
+    );
+
+    return result.rows[0].id;
+  });
+
+  return getAttachment(db, attachmentId, user);
+};
+
+/**
+ * Attach the user's unattached uploads to a message, proposal or milestone workflow event
+ * Call inside the transaction that creates the parent
+ * @param {object} connection - Transaction client
+ * @param {object} user - req.user
+ * @param {Array<string>} attachmentIds - Attachment IDs (may be empty)
+ * @param {object} parent - { type: one of the PARENT_COLUMNS keys, id }
+ * @returns {Promise<Array>} - The attached attachments with url / url_expires_at
+ */
+const attachToParent = async (connection, user, attachmentIds = [], { type, id }) => {
+  const ids = [...new Set(attachmentIds)];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  if (ids.length > MAX_ATTACHMENTS) {
+    throw httpError(400, `At most ${MAX_ATTACHMENTS} attachments can be added at once`);
+  }
+
+  const result = await connection.query(
+    `SELECT id, uploaded_by_user_id, message_id, proposal_id, milestone_event_id
+     FROM attachments
+     WHERE id = ANY(?)
+     FOR UPDATE`,
+    [ids]
+  );
+
+  if (result.rows.length !== ids.length) {
+    throw httpError(404, 'Attachment not found');
+  }
+
+  for (const attachment of result.rows) {
+    if (attachment.uploaded_by_user_id !== user.userId) {
+      throw httpError(403, 'You can only attach files you uploaded');
+    }
+
+    if (attachment.message_id || attachment.proposal_id || attachment.milestone_event_id) {
+      throw httpError(409, 'Attachment is already attached to something else');
+    }
+  }
+
+  await connection.query(
+    `UPDATE attachments
+     SET ${PARENT_COLUMNS[type]} = ?, attached_at = CURRENT_TIMESTAMP
+     WHERE id = ANY(?)`,
+    [id, ids]
+  );
+
+  const attached = await connection.query(
+    `${ATTACHMENT_SELECT} WHERE a.id = ANY(?) ORDER BY a.created_at, a.id`,
+    [ids]
+  );
+
+  return attached.rows.map((attachment) => ({ ...attachment, ...createDownloadUrl(attachment.id) }));
+};
+
+/**
+ * Delete one of the user's unattached uploads; the stored file goes too once nothing else uses it
+ * Protected: the uploader (or an admin)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} attachmentId - Attachment ID
+ * @param {object} user - req.user
+ */
+const deleteAttachment = async (db, attachmentId, user) => {
+  const removedFile = await db.transaction(async (connection) => {
+    const result = await connection.query(
+      `SELECT a.*, f.checksum_sha256, f.storage_driver, f.storage_key
+       FROM attachments a
+       JOIN files f ON a.file_id = f.id
+       WHERE a.id = ?
+       FOR UPDATE OF a, f`,
+      [attachmentId]
+    );
+    const attachment = result.rows[0];
+
+    if (!attachment) {
+      throw httpError(404, 'Attachment not found');
+    }
+
+    if (attachment.uploaded_by_user_id !== user.userId && user.role !== 'admin') {
+      throw httpError(403, 'Only the uploader can delete this attachment');
+    }
+
+    if (attachment.message_id || attachment.proposal_id || attachment.milestone_event_id) {
+      throw httpError(409, 'Attached files cannot be deleted');
+    }
+
+    await connection.query('DELETE FROM attachments WHERE id = ?', [attachmentId]);
+
+    const remaining = await connection.query(
+      'SELECT 1 FROM attachments WHERE file_id = ? LIMIT 1',
+      [attachment.file_id]
+    );
+
+    if (remaining.rows.length > 0) {
+      return null;
+    }
+
+    await connection.query('DELETE FROM files WHERE id = ?', [attachment.file_id]);
+    return attachment;
+  });
+
+  if (!removedFile) {
+    return;
+  }
+
+  // The stored bytes go only once the delete has committed. Keys are derived from the content, so
+  // an upload of the same bytes since then may have stored them again; keep them if so.
+  await db.transaction(async (connection) => {
+    await lockFileContent(connection, removedFile.checksum_sha256);
+
+    const reused = await connection.query(
+      'SELECT 1 FROM files WHERE checksum_sha256 = ?',
+      [removedFile.checksum_sha256]
+    );
+
+    if (reused.rows.length === 0) {
+      await getStorage(removedFile.storage_driver).remove(removedFile.storage_key);
+    }
+  });
+};
+
+/**
+ * Open a download from a signed URL (see createDownloadUrl); the signature stands in for authentication
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} attachmentId - Attachment ID
+ * @param {object} params - { expires, signature } from the URL
+ * @returns {Promise<{attachment: object, stream: ReadableStream}>}
+ */
+const openSignedDownload = async (db, attachmentId, { expires, signature }) => {
+  const expiresAt = Number.parseInt(expires, 10);
+  const expected = Buffer.from(sign(attachmentId, expiresAt));
+  const given = Buffer.from(String(signature || ''));
+
+  if (
+    Number.isNaN(expiresAt)
+    || given.length !== expected.length
+    || !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw httpError(403, 'Invalid download link');
+  }
+
+  if (expiresAt * 1000 < Date.now()) {
+    throw httpError(410, 'Download link has expired');
+  }
+
+  const result = await db.query(
+    `SELECT a.id, a.filename, a.mime_type, f.size_bytes, f.storage_driver, f.storage_key
+     FROM attachments a
+     JOIN files f ON a.file_id = f.id
+     WHERE a.id = ?`,
+    [attachmentId]
+  );
+  const attachment = result.rows[0];
+
+  if (!attachment) {
+    throw httpError(404, 'Attachment not found');
+  }
+
+  const stream = getStorage(attachment.storage_driver).createReadStream(attachment.storage_key);
+  return { attachment, stream };
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_ATTACHMENTS,
+  ALLOWED_MIME_TYPES,
+  attachmentValidation,
+  attachmentsJson,
+  withDownloadUrls,
+  getAttachment,
+  uploadAttachment,
+  attachToParent,
+  deleteAttachment,
+  openSignedDownload
+};
@@ -0,0 +1,57 @@
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Get a contract with the user IDs of both parties
+ * @param {object} db - Anything with a query(text, params) method (pool helpers or a transaction client)
+ * @param {string} contractId - Contract ID
+ * @param {object} options - { forUpdate: lock the contract row for the rest of the transaction }
+ * @returns {Promise<object>} - Contract row with client_user_id and freelancer_user_id
+ */
+const getContractParties = async (db, contractId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT c.*, cp.user_id AS client_user_id, fp.user_id AS freelancer_user_id
+     FROM contracts c
+     JOIN client_profiles cp ON c.client_id = cp.id
+     JOIN freelancer_profiles fp ON c.freelancer_id = fp.id
+     WHERE c.id = ?${forUpdate ? ' FOR UPDATE OF c' : ''}`,
+    [contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Contract not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Work out how the authenticated user relates to a contract
+ * @param {object} contract - Contract row from getContractParties
+ * @param {object} user - req.user
+ * @returns {{isClient: boolean, isFreelancer: boolean, isAdmin: boolean}}
+ */
+const getContractRole = (contract, user) => ({
+  isClient: contract.client_user_id === user.userId,
+  isFreelancer: contract.freelancer_user_id === user.userId,
+  isAdmin: user.role === 'admin'
+});
+
+/**
+ * Throw 403 unless the user is a party to the contract or an admin
+ * @returns {{isClient: boolean, isFreelancer: boolean, isAdmin: boolean}}
+ */
+const assertContractParticipant = (contract, user, message = 'You do not have permission to view this contract') => {
+  const role = getContractRole(contract, user);
+
+  if (!role.isClient && !role.isFreelancer && !role.isAdmin) {
+    throw httpError(403, message);
+  }
+
+  return role;
+};
+
+module.exports = {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+};
@@ -0,0 +1,368 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents, fromCents } = require('../utils/money');
+const {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+} = require('./contracts');
+const { getMilestoneForUpdate, recordMilestoneEvent } = require('./milestones');
+const { postTransaction } = require('./ledger');
+const { quoteFee } = require('./fees');
+
+// Work can still be cancelled (and the escrow refunded) in these milestone states
+const CANCELLABLE_STATUSES = ['pending', 'funded', 'changes_requested'];
+
+/**
+ * Lock the escrow row of a milestone, if there is one
+ * @param {object} connection - Transaction client
+ * @param {string} milestoneId - Milestone ID
+ * @returns {Promise<object|null>} - Escrow row or null
+ */
+const getEscrowForUpdate = async (connection, milestoneId) => {
+  const result = await connection.query(
+    'SELECT * FROM escrows WHERE milestone_id = ? FOR UPDATE',
+    [milestoneId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Put a pending milestone's amount into escrow and charge the client-side platform fee
+ * A milestone billing approved timesheet hours has no delivery left to review, so it is released at once
+ * Must be called inside a transaction with the contract and milestone rows locked
+ * @param {object} connection - Transaction client
+ * @param {object} context - { contract, milestone, user, clientFee }
+ *   clientFee: { amount, ruleId } already quoted to the client (e.g. by a payment); quoted now if omitted
+ * @returns {Promise<object>} - Funded (or, for approved hours, released) escrow row
+ */
+const fundEscrow = async (connection, { contract, milestone, user, clientFee }) => {
+  if (contract.status !== 'active') {
+    throw httpError(400, 'Milestones can only be funded while the contract is active');
+  }
+
+  if (milestone.status !== 'pending') {
+    throw httpError(409, `Cannot fund a milestone that is ${milestone.status}`);
+  }
+
+  if (!(Number(milestone.amount) > 0)) {
+    throw httpError(400, 'Milestone amount must be greater than zero to fund escrow');
+  }
+
+  const existing = await getEscrowForUpdate(connection, milestone.id);
+
+  if (existing) {
+    throw httpError(409, `Escrow for this milestone is already ${existing.status}`);
+  }
+
+  const fee = clientFee
+    ? fromCents(toCents(clientFee.amount))
+    : (await quoteFee(connection, { side: 'client', contract, amount: milestone.amount })).fee;
+
+  const escrowResult = await connection.query(
+    `INSERT INTO escrows (id, milestone_id, amount, currency, status, client_fee, funded_at, updated_at)
+     VALUES (?, ?, ?, ?, 'funded', ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [randomUUID(), milestone.id, milestone.amount, contract.currency, fee]
+  );
+
+  const escrow = escrowResult.rows[0];
+  const charged = fromCents(toCents(escrow.amount) + toCents(fee));
+
+  // The client's payment comes in from outside: the milestone amount moves into escrow
+  // and the client-side fee goes to the platform
+  await postTransaction(connection, {
+    kind: 'escrow_fund',
+    referenceType: 'escrow',
+    referenceId: escrow.id,
+    currency: escrow.currency,
+    description: `Funded milestone "${milestone.title}"`,
+    entries: [
+      { account: { type: 'external' }, direction: 'debit', amount: charged },
+      { account: { type: 'client', ownerId: contract.client_id }, direction: 'credit', amount: charged },
+      { account: { type: 'client', ownerId: contract.client_id }, direction: 'debit', amount: escrow.amount },
+      { account: { type: 'escrow', ownerId: escrow.id }, direction: 'credit', amount: escrow.amount },
+      { account: { type: 'client', ownerId: contract.client_id }, direction: 'debit', amount: fee },
+      { account: { type: 'platform' }, direction: 'credit', amount: fee }
+    ]
+  });
+
+  await connection.query(
+    `UPDATE milestones SET status = 'funded' WHERE id = ?`,
+    [milestone.id]
+  );
+
+  await recordMilestoneEvent(connection, {
+    milestoneId: milestone.id,
+    actorUserId: user.userId,
+    action: 'funded',
+    fromStatus: milestone.status,
+    toStatus: 'funded'
+  });
+
+  const timesheetResult = await connection.query(
+    `SELECT 1 FROM timesheets WHERE milestone_id = ? AND status = 'approved'`,
+    [milestone.id]
+  );
+
+  if (timesheetResult.rows.length > 0) {
+    return releaseEscrow(connection, {
+      contract,
+      milestone: { ...milestone, status: 'funded' },
+      user,
+      note: 'Hours approved on the timesheet'
+    });
+  }
+
+  return escrow;
+};
+
+/**
+ * Release a milestone's funded escrow to the freelancer, less the freelancer-side platform fee
+ * Must be called inside a transaction with the milestone row locked
+ * @param {object} connection - Transaction client
+ * @param {object} context - { contract, milestone, user, note }
+ * @returns {Promise<object>} - Released escrow row
+ */
+const releaseEscrow = async (connection, { contract, milestone, user, note }) => {
+  const escrow = await getEscrowForUpdate(connection, milestone.id);
+
+  if (!escrow) {
+    throw httpError(409, 'Milestone escrow has not been funded');
+  }
+
+  if (escrow.status !== 'funded') {
+    throw httpError(409, `Escrow is already ${escrow.status}`);
+  }
+
+  // Tiers are based on what the pair had billed before this release
+  const { fee, ruleId } = await quoteFee(connection, {
+    side: 'freelancer',
+    contract,
+    amount: escrow.amount,
+    currency: escrow.currency
+  });
+
+  const escrowResult = await connection.query(
+    `UPDATE escrows
+     SET status = 'released', freelancer_fee = ?, released_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'funded'
+     RETURNING *`,
+    [fee, escrow.id]
+  );
+
+  await connection.query(
+    `UPDATE payments
+     SET freelancer_fee = ?, freelancer_fee_rule_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE milestone_id = ? AND status = 'paid'`,
+    [fee, ruleId, milestone.id]
+  );
+
+  await postTransaction(connection, {
+    kind: 'escrow_release',
+    referenceType: 'escrow',
+    referenceId: escrow.id,
+    currency: escrow.currency,
+    description: `Released milestone "${milestone.title}"`,
+    entries: [
+      { account: { type: 'escrow', ownerId: escrow.id }, direction: 'debit', amount: escrow.amount },
+      {
+        account: { type: 'freelancer', ownerId: contract.freelancer_id },
+        direction: 'credit',
+        amount: fromCents(toCents(escrow.amount) - toCents(fee))
+      },
+      { account: { type: 'platform' }, direction: 'credit', amount: fee }
+    ]
+  });
+
+  await connection.query(
+    `UPDATE milestones SET status = 'released', released_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [milestone.id]
+  );
+
+  await recordMilestoneEvent(connection, {
+    milestoneId: milestone.id,
+    actorUserId: user.userId,
+    action: 'released',
+    fromStatus: milestone.status,
+    toStatus: 'released',
+    note
+  });
+
+  return escrowResult.rows[0];
+};
+
+/**
+ * Return a milestone's funded escrow (and the client-side fee) to the client and cancel the milestone
+ * Must be called inside a transaction with the milestone row locked
+ * @param {object} connection - Transaction client
+ * @param {object} context - { contract, milestone, user, note }
+ * @returns {Promise<object|null>} - Refunded escrow row, or null if nothing was funded
+ */
+const refundEscrow = async (connection, { contract, milestone, user, note }) => {
+  const escrow = await getEscrowForUpdate(connection, milestone.id);
+  let refunded = null;
+
+  if (escrow) {
+    if (escrow.status !== 'funded') {
+      throw httpError(409, `Escrow is already ${escrow.status}`);
+    }
+
+    const escrowResult = await connection.query(
+      `UPDATE escrows
+       SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'funded'
+       RETURNING *`,
+      [escrow.id]
+    );
+    refunded = escrowResult.rows[0];
+
+    await postTransaction(connection, {
+      kind: 'escrow_refund',
+      referenceType: 'escrow',
+      referenceId: escrow.id,
+      currency: escrow.currency,
+      description: `Refunded milestone "${milestone.title}"`,
+      entries: [
+        { account: { type: 'escrow', ownerId: escrow.id }, direction: 'debit', amount: escrow.amount },
+        { account: { type: 'platform' }, direction: 'debit', amount: escrow.client_fee },
+        {
+          account: { type: 'client', ownerId: contract.client_id },
+          direction: 'credit',
+          amount: fromCents(toCents(escrow.amount) + toCents(escrow.client_fee))
+        }
+      ]
+    });
+  }
+
+  await connection.query(
+    `UPDATE milestones SET status = 'cancelled' WHERE id = ?`,
+    [milestone.id]
+  );
+
+  await recordMilestoneEvent(connection, {
+    milestoneId: milestone.id,
+    actorUserId: user.userId,
+    action: refunded ? 'refunded' : 'cancelled',
+    fromStatus: milestone.status,
+    toStatus: 'cancelled',
+    note
+  });
+
+  return refunded;
+};
+
+/**
+ * Refund every funded milestone of a contract that is being cancelled
+ * Must be called inside a transaction with the contract row locked
+ * @param {object} connection - Transaction client
+ * @param {object} context - { contract, user }
+ * @returns {Promise<Array>} - Refunded escrow rows
+ */
+const refundContractEscrows = async (connection, { contract, user }) => {
+  const milestonesResult = await connection.query(
+    `SELECT * FROM milestones
+     WHERE contract_id = ? AND status NOT IN ('released', 'cancelled')
+     FOR UPDATE`,
+    [contract.id]
+  );
+
+  const refunded = [];
+  for (const milestone of milestonesResult.rows) {
+    const escrow = await refundEscrow(connection, {
+      contract,
+      milestone,
+      user,
+      note: 'Contract cancelled'
+    });
+    if (escrow) {
+      refunded.push(escrow);
+    }
+  }
+
+  return refunded;
+};
+
+/**
+ * Get a milestone's escrow
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {object} user - req.user
+ * @returns {Promise<object|null>} - Escrow row or null if the milestone is unfunded
+ */
+const getEscrow = async (db, contractId, milestoneId, user) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  const result = await db.query(
+    `SELECT e.*
+     FROM milestones m
+     LEFT JOIN escrows e ON e.milestone_id = m.id
+     WHERE m.id = ? AND m.contract_id = ?`,
+    [milestoneId, contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Milestone not found');
+  }
+
+  return result.rows[0].id ? result.rows[0] : null;
+};
+
+/**
+ * Fund a milestone's escrow without a payment (e.g. money received outside the platform)
+ * Clients fund milestones by paying for them (POST /api/payments)
+ * Protected: only an admin
+ */
+const fundMilestone = async (db, contractId, milestoneId, user) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    const { isAdmin } = getContractRole(contract, user);
+
+    if (!isAdmin) {
+      throw httpError(403, 'Only an admin can fund milestones directly; clients pay through POST /api/payments');
+    }
+
+    const milestone = await getMilestoneForUpdate(connection, contractId, milestoneId);
+    return fundEscrow(connection, { contract, milestone, user });
+  });
+};
+
+/**
+ * Cancel a milestone and refund its escrow to the client
+ * Protected: either party (or an admin); once work is under review only an admin can cancel
+ */
+const cancelMilestone = async (db, contractId, milestoneId, user, note) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    const { isAdmin } = assertContractParticipant(
+      contract,
+      user,
+      'You do not have permission to cancel this milestone'
+    );
+
+    const milestone = await getMilestoneForUpdate(connection, contractId, milestoneId);
+    const cancellable = isAdmin
+      ? [...CANCELLABLE_STATUSES, 'in_review', 'approved', 'disputed']
+      : CANCELLABLE_STATUSES;
+
+    if (!cancellable.includes(milestone.status)) {
+      throw httpError(409, `Cannot cancel a milestone that is ${milestone.status}`);
+    }
+
+    return refundEscrow(connection, { contract, milestone, user, note });
+  });
+};
+
+module.exports = {
+  getEscrowForUpdate,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+  refundContractEscrows,
+  getEscrow,
+  fundMilestone,
+  cancelMilestone
+};
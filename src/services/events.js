@@ -0,0 +1,103 @@
+/**
+ * Real-time events
+ * Events are published with pg_notify on one channel; every server instance LISTENs on it
+ * (see ./realtime) and forwards each event to its connected recipients.
+ * Published inside a transaction, an event is only delivered if the transaction commits.
+ */
+
+const EVENT_CHANNEL = 'app_events';
+
+// NOTIFY payloads are limited to 8000 bytes; larger events are sent as a summary to refetch
+const MAX_PAYLOAD_BYTES = 7900;
+
+/**
+ * Publish an event to a set of users
+ * @param {object} db - Anything with a query(text, params) method (pool helpers or a transaction client)
+ * @param {object} event - { type, userIds, data, summary }
+ *   summary: what to send instead of data when data is too large (defaults to { id: data.id })
+ */
+const publishEvent = async (db, { type, userIds, data, summary }) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+
+  if (recipients.length === 0) {
+    return;
+  }
+
+  let payload = JSON.stringify({ type, user_ids: recipients, data });
+  if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+    payload = JSON.stringify({
+      type,
+      user_ids: recipients,
+      data: { ...(summary || { id: data.id }), truncated: true }
+    });
+  }
+
+  await db.query('SELECT pg_notify(?, ?)', [EVENT_CHANNEL, payload]);
+};
+
+/**
+ * Tell the freelancer and the client that proposals changed status
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {Array<string>} proposalIds - Proposal IDs
+ */
+const publishProposalStatus = async (db, proposalIds) => {
+  if (proposalIds.length === 0) {
+    return;
+  }
+
+  const result = await db.query(
+    `SELECT p.id, p.project_id, p.freelancer_id, p.status,
+            proj.title AS project_title,
+            fp.user_id AS freelancer_user_id,
+            cp.user_id AS client_user_id
+     FROM proposals p
+     JOIN projects proj ON p.project_id = proj.id
+     JOIN freelancer_profiles fp ON p.freelancer_id = fp.id
+     JOIN client_profiles cp ON proj.client_id = cp.id
+     WHERE p.id = ANY(?)`,
+    [proposalIds]
+  );
+
+  for (const proposal of result.rows) {
+    await publishEvent(db, {
+      type: 'proposal.status_changed',
+      userIds: [proposal.freelancer_user_id, proposal.client_user_id],
+      data: proposal
+    });
+  }
+};
+
+/**
+ * Tell both contract parties that a contract was created or updated
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} contractId - Contract ID
+ * @param {string} type - 'contract.created' or 'contract.updated'
+ */
+const publishContractEvent = async (db, contractId, type = 'contract.updated') => {
+  const result = await db.query(
+    `SELECT c.*, cp.user_id AS client_user_id, fp.user_id AS freelancer_user_id
+     FROM contracts c
+     JOIN client_profiles cp ON c.client_id = cp.id
+     JOIN freelancer_profiles fp ON c.freelancer_id = fp.id
+     WHERE c.id = ?`,
+    [contractId]
+  );
+  const contract = result.rows[0];
+
+  if (!contract) {
+    return;
+  }
+
+  await publishEvent(db, {
+    type,
+    userIds: [contract.client_user_id, contract.freelancer_user_id],
+    data: contract
+  });
+};
+
+module.exports = {
+  EVENT_CHANNEL,
+  publishEvent,
+  publishProposalStatus,
+  publishContractEvent
+};
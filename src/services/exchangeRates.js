@@ -0,0 +1,100 @@
+/**
+ * Currency conversion from the admin-maintained exchange_rates table
+ * A pair converts directly, through its inverse, or through the base currency
+ * (e.g. EUR -> GBP via EUR -> USD -> GBP), using the latest rates effective on the requested date
+ */
+
+// Currency that reports are normalized into
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Load the rates in effect on a date and build a converter from them
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} options - { date: YYYY-MM-DD, defaults to today }
+ * @returns {Promise<{rate: Function, convert: Function}>}
+ *   rate(from, to) => number|null
+ *   convert(amount, from, to) => decimal string rounded to cents, or null without a rate
+ */
+const createConverter = async (db, { date = today() } = {}) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (base_currency, quote_currency) base_currency, quote_currency, rate
+     FROM exchange_rates
+     WHERE effective_date <= ?
+     ORDER BY base_currency, quote_currency, effective_date DESC`,
+    [date]
+  );
+
+  const rates = new Map(
+    result.rows.map((row) => [`${row.base_currency}:${row.quote_currency}`, Number(row.rate)])
+  );
+
+  const directRate = (from, to) => {
+    if (from === to) {
+      return 1;
+    }
+    if (rates.has(`${from}:${to}`)) {
+      return rates.get(`${from}:${to}`);
+    }
+    if (rates.has(`${to}:${from}`)) {
+      return 1 / rates.get(`${to}:${from}`);
+    }
+    return null;
+  };
+
+  const rate = (from, to) => {
+    const source = String(from || '').toUpperCase();
+    const target = String(to || '').toUpperCase();
+
+    const direct = directRate(source, target);
+    if (direct !== null) {
+      return direct;
+    }
+
+    const toBase = directRate(source, BASE_CURRENCY);
+    const fromBase = directRate(BASE_CURRENCY, target);
+    return toBase !== null && fromBase !== null ? toBase * fromBase : null;
+  };
+
+  const convert = (amount, from, to) => {
+    if (amount === null || amount === undefined) {
+      return null;
+    }
+
+    const factor = rate(from, to);
+    return factor === null ? null : (Math.round(Number(amount) * factor * 100) / 100).toFixed(2);
+  };
+
+  return { rate, convert };
+};
+
+/**
+ * Add display_* amounts in another currency to each row
+ * Rows whose currency cannot be converted get null display amounts and exchange_rate
+ * @param {Array} rows - Rows with a currency column
+ * @param {object} converter - From createConverter
+ * @param {string} displayCurrency - ISO currency code
+ * @param {Array<string>} fields - Money columns to convert (e.g. ['budget_min', 'budget_max'])
+ * @returns {Array} - The same rows
+ */
+const applyDisplayCurrency = (rows, converter, displayCurrency, fields) => {
+  const target = displayCurrency.toUpperCase();
+
+  for (const row of rows) {
+    const factor = converter.rate(row.currency, target);
+    row.display_currency = target;
+    row.exchange_rate = factor === null ? null : Number(factor.toFixed(8));
+    for (const field of fields) {
+      row[`display_${field}`] = converter.convert(row[field], row.currency, target);
+    }
+  }
+
+  return rows;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  createConverter,
+  applyDisplayCurrency
+};
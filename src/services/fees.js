@@ -0,0 +1,141 @@
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const {
+  getContractParties,
+  assertContractParticipant
+} = require('./contracts');
+
+const FEE_SIDES = ['client', 'freelancer'];
+const FEE_TYPES = ['percentage', 'flat'];
+
+/**
+ * Total a client has paid out to a freelancer (released escrows) in a currency
+ * Used to pick lifetime-billing tiers for the pair
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} contract - Contract row (client_id, freelancer_id)
+ * @param {string} currency - ISO currency code
+ * @returns {Promise<number>} - Lifetime billing in cents
+ */
+const getLifetimeBilling = async (db, contract, currency) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(es.amount), 0) AS total
+     FROM escrows es
+     JOIN milestones m ON es.milestone_id = m.id
+     JOIN contracts c ON m.contract_id = c.id
+     WHERE c.client_id = ? AND c.freelancer_id = ? AND es.currency = ? AND es.status = 'released'`,
+    [contract.client_id, contract.freelancer_id, currency]
+  );
+
+  return toCents(result.rows[0].total);
+};
+
+/**
+ * Find the rule that applies to a fee
+ * The most specific active rule wins: a matching contract type beats "any", a matching
+ * currency beats "any", and among lifetime-billing tiers the highest one reached applies
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} criteria - { side, contractType, currency, lifetimeBilling (cents) }
+ * @returns {Promise<object|null>} - fee_rules row, or null when no fee applies
+ */
+const findFeeRule = async (db, { side, contractType, currency, lifetimeBilling }) => {
+  const result = await db.query(
+    `SELECT * FROM fee_rules
+     WHERE is_active = TRUE
+       AND side = ?
+       AND (contract_type IS NULL OR contract_type = ?)
+       AND (currency IS NULL OR currency = ?)
+       AND min_lifetime_billing <= ?
+     ORDER BY (contract_type IS NOT NULL) DESC,
+              (currency IS NOT NULL) DESC,
+              min_lifetime_billing DESC,
+              created_at DESC
+     LIMIT 1`,
+    [side, contractType, currency, (lifetimeBilling / 100).toFixed(2)]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Work out the fee a rule charges on an amount; a fee never exceeds the amount itself
+ * @param {object|null} rule - fee_rules row
+ * @param {number|string} amount - Amount the fee applies to
+ * @returns {number} - Fee in cents
+ */
+const calculateFee = (rule, amount) => {
+  if (!rule) {
+    return 0;
+  }
+
+  const amountCents = toCents(amount);
+  const fee = rule.fee_type === 'flat'
+    ? toCents(rule.flat_amount)
+    : Math.round(amountCents * Number(rule.percentage) / 100);
+
+  return Math.min(fee, amountCents);
+};
+
+/**
+ * Quote the client-side or freelancer-side fee for an amount on a contract
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} options - { side, contract, amount, currency }
+ * @returns {Promise<{fee: string, ruleId: string|null, rule: object|null}>} - fee as a decimal string
+ */
+const quoteFee = async (db, { side, contract, amount, currency = contract.currency }) => {
+  const lifetimeBilling = await getLifetimeBilling(db, contract, currency);
+  const rule = await findFeeRule(db, {
+    side,
+    contractType: contract.contract_type,
+    currency,
+    lifetimeBilling
+  });
+
+  return {
+    fee: (calculateFee(rule, amount) / 100).toFixed(2),
+    ruleId: rule ? rule.id : null,
+    rule
+  };
+};
+
+/**
+ * Preview both fees for an amount on a contract
+ * Protected: contract participants or admin
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {number|string} amount - Milestone amount
+ * @returns {Promise<object>} - { amount, currency, client_fee, client_total, freelancer_fee, freelancer_net }
+ */
+const previewFees = async (db, contractId, user, amount) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  if (!(Number(amount) > 0)) {
+    throw httpError(400, 'Amount must be greater than zero');
+  }
+
+  const clientFee = await quoteFee(db, { side: 'client', contract, amount });
+  const freelancerFee = await quoteFee(db, { side: 'freelancer', contract, amount });
+  const amountCents = toCents(amount);
+
+  return {
+    amount: (amountCents / 100).toFixed(2),
+    currency: contract.currency,
+    client_fee: clientFee.fee,
+    client_fee_rule: clientFee.rule,
+    client_total: ((amountCents + toCents(clientFee.fee)) / 100).toFixed(2),
+    freelancer_fee: freelancerFee.fee,
+    freelancer_fee_rule: freelancerFee.rule,
+    freelancer_net: ((amountCents - toCents(freelancerFee.fee)) / 100).toFixed(2)
+  };
+};
+
+module.exports = {
+  FEE_SIDES,
+  FEE_TYPES,
+  getLifetimeBilling,
+  findFeeRule,
+  calculateFee,
+  quoteFee,
+  previewFees
+};
@@ -0,0 +1,167 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { groupByCategory, assertAssignableSkills } = require('./skills');
+
+const MAX_FREELANCER_SKILLS = Number.parseInt(process.env.MAX_FREELANCER_SKILLS, 10) || 15;
+
+// freelancer_skills.proficiency (1-5)
+const PROFICIENCY_LEVELS = {
+  1: 'beginner',
+  2: 'elementary',
+  3: 'intermediate',
+  4: 'advanced',
+  5: 'expert'
+};
+
+const withProficiencyLabel = (skill) => ({
+  ...skill,
+  proficiency_label: PROFICIENCY_LEVELS[skill.proficiency] || null
+});
+
+/**
+ * Get a user's freelancer profile
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} userId - User ID
+ * @param {object} options - { forUpdate } locks the profile (serializes skill changes against the cap)
+ * @returns {Promise<object>} - freelancer_profiles row
+ */
+const getFreelancerProfile = async (db, userId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM freelancer_profiles WHERE user_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Freelancer profile not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * A freelancer's skills, strongest first, grouped by category
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} freelancerId - Freelancer profile ID
+ * @returns {Promise<Array<{category: string|null, skills: Array}>>}
+ */
+const listFreelancerSkills = async (db, freelancerId) => {
+  const result = await db.query(
+    `SELECT s.id, s.name, s.category, s.is_deprecated, fs.proficiency, fs.years
+     FROM freelancer_skills fs
+     JOIN skills s ON fs.skill_id = s.id
+     WHERE fs.freelancer_id = ?
+     ORDER BY fs.proficiency DESC NULLS LAST, fs.years DESC NULLS LAST, s.name`,
+    [freelancerId]
+  );
+
+  return groupByCategory(result.rows.map(withProficiencyLabel));
+};
+
+const getFreelancerSkill = async (db, freelancerId, skillId) => {
+  const result = await db.query(
+    `SELECT s.id, s.name, s.category, s.is_deprecated, fs.proficiency, fs.years
+     FROM freelancer_skills fs
+     JOIN skills s ON fs.skill_id = s.id
+     WHERE fs.freelancer_id = ? AND fs.skill_id = ?`,
+    [freelancerId, skillId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Skill is not on this profile');
+  }
+
+  return withProficiencyLabel(result.rows[0]);
+};
+
+/**
+ * Add a skill to a freelancer's profile (at most MAX_FREELANCER_SKILLS per profile)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} userId - The freelancer's user ID
+ * @param {object} data - { skill_id, proficiency, years }
+ * @returns {Promise<object>} - The profile skill
+ */
+const addFreelancerSkill = async (db, userId, { skill_id, proficiency, years }) => {
+  const freelancerId = await db.transaction(async (connection) => {
+    const profile = await getFreelancerProfile(connection, userId, { forUpdate: true });
+    await assertAssignableSkills(connection, [skill_id], 'skill_id');
+
+    const countResult = await connection.query(
+      'SELECT COUNT(*)::int AS count FROM freelancer_skills WHERE freelancer_id = ?',
+      [profile.id]
+    );
+
+    if (countResult.rows[0].count >= MAX_FREELANCER_SKILLS) {
+      throw httpError(400, `A profile can list at most ${MAX_FREELANCER_SKILLS} skills`);
+    }
+
+    const inserted = await connection.query(
+      `INSERT INTO freelancer_skills (id, freelancer_id, skill_id, proficiency, years)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (freelancer_id, skill_id) DO NOTHING`,
+      [randomUUID(), profile.id, skill_id, proficiency, years ?? null]
+    );
+
+    if (inserted.rowCount === 0) {
+      throw httpError(409, 'This skill is already on the profile');
+    }
+
+    return profile.id;
+  });
+
+  return getFreelancerSkill(db, freelancerId, skill_id);
+};
+
+/**
+ * Update the proficiency and/or years of a skill on a freelancer's profile
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} userId - The freelancer's user ID
+ * @param {string} skillId - Skill ID
+ * @param {object} data - { proficiency, years } (years: null clears it)
+ * @returns {Promise<object>} - The profile skill
+ */
+const updateFreelancerSkill = async (db, userId, skillId, { proficiency, years }) => {
+  const profile = await getFreelancerProfile(db, userId);
+
+  const result = await db.query(
+    `UPDATE freelancer_skills
+     SET proficiency = COALESCE(?, proficiency),
+         years = CASE WHEN ? THEN ? ELSE years END
+     WHERE freelancer_id = ? AND skill_id = ?`,
+    [proficiency ?? null, years !== undefined, years ?? null, profile.id, skillId]
+  );
+
+  if (result.rowCount === 0) {
+    throw httpError(404, 'Skill is not on this profile');
+  }
+
+  return getFreelancerSkill(db, profile.id, skillId);
+};
+
+/**
+ * Remove a skill from a freelancer's profile
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} userId - The freelancer's user ID
+ * @param {string} skillId - Skill ID
+ */
+const removeFreelancerSkill = async (db, userId, skillId) => {
+  const profile = await getFreelancerProfile(db, userId);
+
+  const result = await db.query(
+    'DELETE FROM freelancer_skills WHERE freelancer_id = ? AND skill_id = ?',
+    [profile.id, skillId]
+  );
+
+  if (result.rowCount === 0) {
+    throw httpError(404, 'Skill is not on this profile');
+  }
+};
+
+module.exports = {
+  MAX_FREELANCER_SKILLS,
+  PROFICIENCY_LEVELS,
+  getFreelancerProfile,
+  listFreelancerSkills,
+  addFreelancerSkill,
+  updateFreelancerSkill,
+  removeFreelancerSkill
+};
@@ -0,0 +1,176 @@
+const { httpError } = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Freelancer directory
+ * Results are public profile cards: never email or phone.
+ */
+
+// Sort orders as paginate keys over the result columns; profiles missing the sorted value come last
+const FREELANCER_SORTS = {
+  // Strongest match on the requested skills (sum of proficiency), then rating
+  relevance: {
+    keys: ['match_weight', 'rating_avg IS NOT NULL', 'COALESCE(rating_avg, 0)', 'rating_count', 'freelancer_id'],
+    order: 'DESC'
+  },
+  rating: {
+    keys: ['rating_avg IS NOT NULL', 'COALESCE(rating_avg, 0)', 'rating_count', 'freelancer_id'],
+    order: 'DESC'
+  },
+  rate_asc: { keys: ['hourly_rate IS NULL', 'COALESCE(hourly_rate, 0)', 'freelancer_id'], order: 'ASC' },
+  rate_desc: { keys: ['hourly_rate IS NOT NULL', 'COALESCE(hourly_rate, 0)', 'freelancer_id'], order: 'DESC' },
+  experience: {
+    keys: ['experience_years IS NOT NULL', 'COALESCE(experience_years, 0)', 'freelancer_id'],
+    order: 'DESC'
+  }
+};
+
+// Keys of freelancer_profiles.availability.availability
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normalize a list query parameter: repeated (?skills=a&skills=b) and/or comma-separated (?skills=a,b)
+ * @param {string|Array<string>|undefined} value
+ * @returns {Array<string>}
+ */
+const parseList = (value) => [...new Set(
+  [].concat(value ?? [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean)
+)];
+
+/**
+ * Search freelancer profiles
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} filters - {
+ *   skills (skill IDs), skill_match ('any' | 'all'), min_rate, max_rate, min_rating, min_experience,
+ *   country, available_days (weekdays with at least one slot), min_weekly_hours,
+ *   sort (relevance | rating | rate_asc | rate_desc | experience)
+ * }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; each card lists the freelancer's skills (strongest first);
+ *   with a skills filter, matched_skill_count says how many of the requested skills they have
+ */
+const searchFreelancers = async (db, {
+  skills,
+  skill_match = 'any',
+  min_rate,
+  max_rate,
+  min_rating,
+  min_experience,
+  country,
+  available_days,
+  min_weekly_hours,
+  sort = 'relevance'
+} = {}, page) => {
+  const skillIds = parseList(skills);
+  if (skillIds.some((id) => !UUID_PATTERN.test(id))) {
+    throw httpError(400, 'Skills must be skill IDs (UUIDs)');
+  }
+
+  const days = parseList(available_days).map((day) => day.toLowerCase());
+  const unknownDays = days.filter((day) => !WEEKDAYS.includes(day));
+  if (unknownDays.length > 0) {
+    throw httpError(400, `Unknown weekday in available_days: ${unknownDays.join(', ')}`);
+  }
+
+  const params = [skillIds, skillIds];
+  let sql = `
+    SELECT u.id AS user_id,
+           u.first_name,
+           u.last_name,
+           u.country,
+           u.is_verified,
+           u.created_at AS member_since,
+           fp.id AS freelancer_id,
+           fp.headline,
+           fp.bio,
+           fp.hourly_rate,
+           fp.experience_years,
+           fp.rating_avg,
+           fp.rating_count,
+           fp.availability,
+           skill_stats.skills,
+           skill_stats.matched_skill_count,
+           skill_stats.match_weight
+    FROM freelancer_profiles fp
+    JOIN users u ON u.id = fp.user_id
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(json_agg(json_build_object(
+               'id', s.id, 'name', s.name, 'category', s.category,
+               'proficiency', fs.proficiency, 'years', fs.years
+             ) ORDER BY fs.proficiency DESC NULLS LAST, s.name), '[]'::json) AS skills,
+             COUNT(*) FILTER (WHERE fs.skill_id = ANY(?))::int AS matched_skill_count,
+             COALESCE(SUM(fs.proficiency) FILTER (WHERE fs.skill_id = ANY(?)), 0)::int AS match_weight
+      FROM freelancer_skills fs
+      JOIN skills s ON s.id = fs.skill_id
+      WHERE fs.freelancer_id = fp.id
+    ) skill_stats
+    WHERE u.role = 'freelancer'
+  `;
+
+  if (skillIds.length > 0) {
+    if (skill_match === 'all') {
+      sql += ' AND skill_stats.matched_skill_count = ?';
+      params.push(skillIds.length);
+    } else {
+      sql += ' AND skill_stats.matched_skill_count > 0';
+    }
+  }
+
+  if (min_rate !== undefined) {
+    sql += ' AND fp.hourly_rate >= ?';
+    params.push(min_rate);
+  }
+
+  if (max_rate !== undefined) {
+    sql += ' AND fp.hourly_rate <= ?';
+    params.push(max_rate);
+  }
+
+  if (min_rating !== undefined) {
+    sql += ' AND fp.rating_avg >= ?';
+    params.push(min_rating);
+  }
+
+  if (min_experience !== undefined) {
+    sql += ' AND fp.experience_years >= ?';
+    params.push(min_experience);
+  }
+
+  if (country) {
+    sql += ' AND LOWER(u.country) = LOWER(?)';
+    params.push(country);
+  }
+
+  for (const day of days) {
+    sql += ` AND jsonb_array_length(
+      CASE WHEN jsonb_typeof(fp.availability::jsonb -> 'availability' -> ?::text) = 'array'
+           THEN fp.availability::jsonb -> 'availability' -> ?::text ELSE '[]'::jsonb END
+    ) > 0`;
+    params.push(day, day);
+  }
+
+  if (min_weekly_hours !== undefined) {
+    sql += ` AND CASE WHEN jsonb_typeof(fp.availability::jsonb -> 'weeklyCapacityHours') = 'number'
+                      THEN (fp.availability::jsonb ->> 'weeklyCapacityHours')::numeric END >= ?`;
+    params.push(min_weekly_hours);
+  }
+
+  const result = await paginate(db, { sql, params, ...(FREELANCER_SORTS[sort] || FREELANCER_SORTS.relevance), page });
+
+  const rows = result.rows.map(({ matched_skill_count, match_weight, ...card }) => (
+    skillIds.length > 0 ? { ...card, matched_skill_count } : card
+  ));
+
+  return { ...result, rows };
+};
+
+module.exports = {
+  FREELANCER_SORTS,
+  WEEKDAYS,
+  searchFreelancers
+};
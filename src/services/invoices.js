@@ -0,0 +1,349 @@
+const { randomUUID } = require('crypto');
+const PDFDocument = require('pdfkit');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+
+const formatMoney = (value, currency) => `${Number(value || 0).toFixed(2)} ${currency}`;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Invoice numbers are per issuer: INV-<first 8 characters of the freelancer profile ID>-<6 digit sequence>
+ */
+const formatInvoiceNumber = (issuerId, sequenceNumber) => (
+  `INV-${issuerId.replace(/-/g, '').slice(0, 8).toUpperCase()}-${String(sequenceNumber).padStart(6, '0')}`
+);
+
+/**
+ * Take the next invoice number for an issuer
+ * The counter row stays locked until the transaction ends, so numbers are sequential
+ * and a rolled-back invoice gives its number back
+ */
+const nextSequenceNumber = async (connection, issuerFreelancerId) => {
+  const result = await connection.query(
+    `INSERT INTO invoice_sequences (issuer_freelancer_id, last_number)
+     VALUES (?, 1)
+     ON CONFLICT (issuer_freelancer_id)
+     DO UPDATE SET last_number = invoice_sequences.last_number + 1
+     RETURNING last_number`,
+    [issuerFreelancerId]
+  );
+
+  return result.rows[0].last_number;
+};
+
+/**
+ * Issue the invoice for a paid payment (or return the one already issued)
+ * Must be called inside a transaction
+ * @param {object} connection - Transaction client
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<object>} - invoices row
+ */
+const issueInvoice = async (connection, paymentId) => {
+  const paymentResult = await connection.query(
+    `SELECT pay.*,
+            m.title AS milestone_title,
+            proj.title AS project_title,
+            to_char(ts.week_start, 'YYYY-MM-DD') AS timesheet_week,
+            ts.total_hours AS timesheet_hours,
+            ts.hourly_rate AS timesheet_rate,
+            CONCAT_WS(' ', uf.first_name, uf.last_name) AS freelancer_name,
+            uf.email AS freelancer_email,
+            cp.company_name,
+            cp.website AS company_website,
+            CONCAT_WS(' ', uc.first_name, uc.last_name) AS client_name,
+            uc.email AS client_email
+     FROM payments pay
+     JOIN milestones m ON pay.milestone_id = m.id
+     JOIN contracts c ON m.contract_id = c.id
+     JOIN projects proj ON c.project_id = proj.id
+     LEFT JOIN timesheets ts ON ts.milestone_id = m.id
+     JOIN freelancer_profiles fp ON pay.payee_freelancer_id = fp.id
+     JOIN users uf ON fp.user_id = uf.id
+     JOIN client_profiles cp ON pay.payer_client_id = cp.id
+     JOIN users uc ON cp.user_id = uc.id
+     WHERE pay.id = ?
+     FOR UPDATE OF pay`,
+    [paymentId]
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  const payment = paymentResult.rows[0];
+
+  const existing = await connection.query(
+    'SELECT * FROM invoices WHERE payment_id = ?',
+    [paymentId]
+  );
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  if (payment.status !== 'paid') {
+    throw httpError(409, 'Invoices are only issued for paid payments');
+  }
+
+  // Approved timesheets are billed by the hour, everything else as a single milestone line
+  const lineItems = payment.timesheet_week
+    ? [{
+        description: `${payment.project_title}: hours for week of ${payment.timesheet_week}`,
+        quantity: Number(payment.timesheet_hours),
+        unit_price: Number(payment.timesheet_rate).toFixed(2),
+        amount: Number(payment.amount).toFixed(2)
+      }]
+    : [{
+        description: `${payment.project_title}: ${payment.milestone_title}`,
+        quantity: 1,
+        unit_price: Number(payment.amount).toFixed(2),
+        amount: Number(payment.amount).toFixed(2)
+      }];
+
+  const subtotal = lineItems.reduce((sum, item) => sum + toCents(item.amount), 0);
+  // The client-side platform fee is billed on top of the work; the freelancer-side fee is taken out of their payout
+  const platformFee = toCents(payment.client_fee);
+
+  const sequenceNumber = await nextSequenceNumber(connection, payment.payee_freelancer_id);
+
+  const result = await connection.query(
+    `INSERT INTO invoices (
+       id, payment_id, issuer_freelancer_id, recipient_client_id, sequence_number, invoice_number,
+       currency, subtotal, platform_fee, total, line_items, issuer_details, recipient_details
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     RETURNING *`,
+    [
+      randomUUID(),
+      paymentId,
+      payment.payee_freelancer_id,
+      payment.payer_client_id,
+      sequenceNumber,
+      formatInvoiceNumber(payment.payee_freelancer_id, sequenceNumber),
+      payment.currency,
+      (subtotal / 100).toFixed(2),
+      (platformFee / 100).toFixed(2),
+      ((subtotal + platformFee) / 100).toFixed(2),
+      JSON.stringify(lineItems),
+      JSON.stringify({
+        name: payment.freelancer_name,
+        email: payment.freelancer_email
+      }),
+      JSON.stringify({
+        company_name: payment.company_name,
+        name: payment.client_name,
+        email: payment.client_email,
+        website: payment.company_website
+      })
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Get the invoice of a payment
+ * Invoices are issued when a payment settles (and by migration 007 for payments paid before that);
+ * one that is still missing is issued now
+ * Protected: the payer, the payee or an admin
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} paymentId - Payment ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - invoices row
+ */
+const getPaymentInvoice = async (db, paymentId, user) => {
+  const paymentResult = await db.query(
+    `SELECT pay.status, cp.user_id AS payer_user_id, fp.user_id AS payee_user_id
+     FROM payments pay
+     JOIN client_profiles cp ON pay.payer_client_id = cp.id
+     JOIN freelancer_profiles fp ON pay.payee_freelancer_id = fp.id
+     WHERE pay.id = ?`,
+    [paymentId]
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  const payment = paymentResult.rows[0];
+
+  if (
+    user.role !== 'admin' &&
+    payment.payer_user_id !== user.userId &&
+    payment.payee_user_id !== user.userId
+  ) {
+    throw httpError(403, 'You do not have permission to view this invoice');
+  }
+
+  const existing = await db.query(
+    'SELECT * FROM invoices WHERE payment_id = ?',
+    [paymentId]
+  );
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  if (payment.status !== 'paid') {
+    throw httpError(409, 'Invoices are only issued for paid payments');
+  }
+
+  return db.transaction((connection) => issueInvoice(connection, paymentId));
+};
+
+/**
+ * Render an invoice as a standalone HTML document
+ * @param {object} invoice - invoices row
+ * @returns {string} - HTML
+ */
+const renderInvoiceHtml = (invoice) => {
+  const issuer = invoice.issuer_details;
+  const recipient = invoice.recipient_details;
+
+  const rows = invoice.line_items.map((item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(item.quantity)}</td>
+          <td class="num">${escapeHtml(formatMoney(item.unit_price, invoice.currency))}</td>
+          <td class="num">${escapeHtml(formatMoney(item.amount, invoice.currency))}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; }
+    h1 { margin-bottom: 0; }
+    .meta { color: #666; margin-bottom: 32px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 32px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <h1>Invoice</h1>
+  <div class="meta">
+    ${escapeHtml(invoice.invoice_number)} &middot; Issued ${escapeHtml(formatDate(invoice.issued_at))}
+  </div>
+  <div class="parties">
+    <div>
+      <strong>From</strong><br>
+      ${escapeHtml(issuer.name)}<br>
+      ${escapeHtml(issuer.email)}
+    </div>
+    <div>
+      <strong>Bill to</strong><br>
+      ${recipient.company_name ? `${escapeHtml(recipient.company_name)}<br>` : ''}
+      ${escapeHtml(recipient.name)}<br>
+      ${escapeHtml(recipient.email)}
+      ${recipient.website ? `<br>${escapeHtml(recipient.website)}` : ''}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Quantity</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr class="totals"><td colspan="3" class="num">Subtotal</td><td class="num">${escapeHtml(formatMoney(invoice.subtotal, invoice.currency))}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">Platform fee</td><td class="num">${escapeHtml(formatMoney(invoice.platform_fee, invoice.currency))}</td></tr>
+      <tr class="total"><td colspan="3" class="num">Total (${escapeHtml(invoice.currency)})</td><td class="num">${escapeHtml(formatMoney(invoice.total, invoice.currency))}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {object} invoice - invoices row
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const issuer = invoice.issuer_details;
+  const recipient = invoice.recipient_details;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(24).text('Invoice');
+  doc.fontSize(10).fillColor('#666')
+    .text(`${invoice.invoice_number} - Issued ${formatDate(invoice.issued_at)}`)
+    .moveDown(2);
+
+  const partiesTop = doc.y;
+  doc.fillColor('#222').font('Helvetica-Bold').text('From', 50, partiesTop);
+  doc.font('Helvetica').text(issuer.name).text(issuer.email);
+
+  doc.font('Helvetica-Bold').text('Bill to', 320, partiesTop);
+  doc.font('Helvetica');
+  [recipient.company_name, recipient.name, recipient.email, recipient.website]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, 320));
+
+  doc.moveDown(3);
+
+  const columns = [
+    { label: 'Description', x: 50, width: 250, align: 'left' },
+    { label: 'Quantity', x: 300, width: 70, align: 'right' },
+    { label: 'Unit price', x: 370, width: 90, align: 'right' },
+    { label: 'Amount', x: 460, width: 85, align: 'right' }
+  ];
+
+  const row = (values, { bold = false } = {}) => {
+    const top = doc.y;
+    let bottom = top;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    values.forEach((value, index) => {
+      const { x, width, align } = columns[index];
+      doc.text(String(value), x, top, { width, align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 6;
+  };
+
+  row(columns.map((column) => column.label), { bold: true });
+  invoice.line_items.forEach((item) => row([
+    item.description,
+    item.quantity,
+    formatMoney(item.unit_price, invoice.currency),
+    formatMoney(item.amount, invoice.currency)
+  ]));
+
+  doc.moveDown();
+  row(['', '', 'Subtotal', formatMoney(invoice.subtotal, invoice.currency)]);
+  row(['', '', 'Platform fee', formatMoney(invoice.platform_fee, invoice.currency)]);
+  row(['', '', 'Total', formatMoney(invoice.total, invoice.currency)], { bold: true });
+
+  doc.end();
+});
+
+module.exports = {
+  issueInvoice,
+  getPaymentInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
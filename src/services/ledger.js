@@ -0,0 +1,215 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Account types
+ * - external: money entering or leaving the platform through payment providers
+ * - client / freelancer: balances held on behalf of a client or freelancer profile
+ * - escrow: one account per escrow, holding a milestone's funded amount
+ * - platform: fees earned by the platform
+ */
+const ACCOUNT_TYPES = ['external', 'client', 'freelancer', 'escrow', 'platform'];
+
+const accountCode = ({ type, ownerId, currency }) => (
+  ownerId ? `${type}:${ownerId}:${currency}` : `${type}:${currency}`
+);
+
+/**
+ * Get a ledger account, creating it on first use
+ * @param {object} connection - Transaction client
+ * @param {object} account - { type, ownerId, currency }; ownerId is null for external and platform
+ * @returns {Promise<object>} - ledger_accounts row
+ */
+const getOrCreateAccount = async (connection, { type, ownerId = null, currency }) => {
+  if (!ACCOUNT_TYPES.includes(type)) {
+    throw new Error(`Unknown ledger account type: ${type}`);
+  }
+
+  const code = accountCode({ type, ownerId, currency });
+
+  await connection.query(
+    `INSERT INTO ledger_accounts (id, code, account_type, owner_id, currency)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (code) DO NOTHING`,
+    [randomUUID(), code, type, ownerId, currency]
+  );
+
+  const result = await connection.query(
+    'SELECT * FROM ledger_accounts WHERE code = ?',
+    [code]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Post a balanced ledger transaction
+ * @param {object} connection - Transaction client (the caller's business transaction)
+ * @param {object} transaction - { kind, referenceType, referenceId, currency, description, entries }
+ *   entries: [{ account: { type, ownerId }, direction: 'debit' | 'credit', amount }]
+ * @returns {Promise<object>} - ledger_transactions row with its entries
+ */
+const postTransaction = async (connection, { kind, referenceType, referenceId, currency, description, entries }) => {
+  if (entries.some((entry) => toCents(entry.amount) < 0)) {
+    throw new Error(`Ledger amounts must be positive (${kind})`);
+  }
+
+  const lines = entries.filter((entry) => toCents(entry.amount) !== 0);
+
+  const debits = lines
+    .filter((entry) => entry.direction === 'debit')
+    .reduce((sum, entry) => sum + toCents(entry.amount), 0);
+  const credits = lines
+    .filter((entry) => entry.direction === 'credit')
+    .reduce((sum, entry) => sum + toCents(entry.amount), 0);
+
+  if (lines.length < 2 || debits !== credits) {
+    throw new Error(`Unbalanced ledger transaction (${kind}): debits ${debits / 100}, credits ${credits / 100}`);
+  }
+
+  const transactionResult = await connection.query(
+    `INSERT INTO ledger_transactions (id, kind, reference_type, reference_id, currency, description)
+     VALUES (?, ?, ?, ?, ?, ?)
+     RETURNING *`,
+    [randomUUID(), kind, referenceType ?? null, referenceId ?? null, currency, description ?? null]
+  );
+  const ledgerTransaction = transactionResult.rows[0];
+
+  ledgerTransaction.entries = [];
+  for (const entry of lines) {
+    const account = await getOrCreateAccount(connection, { ...entry.account, currency });
+    const entryResult = await connection.query(
+      `INSERT INTO ledger_entries (id, transaction_id, account_id, direction, amount)
+       VALUES (?, ?, ?, ?, ?)
+       RETURNING *`,
+      [randomUUID(), ledgerTransaction.id, account.id, entry.direction, (toCents(entry.amount) / 100).toFixed(2)]
+    );
+    ledgerTransaction.entries.push({ ...entryResult.rows[0], account_code: account.code });
+  }
+
+  return ledgerTransaction;
+};
+
+/**
+ * Get an account with its current balance (credits minus debits)
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} accountId - Ledger account ID
+ * @returns {Promise<object>} - Account row with debit_total, credit_total and balance
+ */
+const getAccountBalance = async (db, accountId) => {
+  const result = await db.query(
+    `SELECT a.*,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'debit'), 0) AS debit_total,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'credit'), 0) AS credit_total,
+            COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS balance
+     FROM ledger_accounts a
+     LEFT JOIN ledger_entries e ON e.account_id = a.id
+     WHERE a.id = ?
+     GROUP BY a.id`,
+    [accountId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Ledger account not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Get an account's entries, newest first, with the running balance after each entry
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} accountId - Ledger account ID
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are statement lines
+ */
+const getAccountStatement = async (db, accountId, page) => paginate(db, {
+  sql: `
+    SELECT e.id,
+           e.transaction_id,
+           t.kind,
+           t.reference_type,
+           t.reference_id,
+           t.description,
+           e.direction,
+           e.amount,
+           e.created_at,
+           SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END)
+             OVER (ORDER BY e.created_at, e.id) AS running_balance
+    FROM ledger_entries e
+    JOIN ledger_transactions t ON e.transaction_id = t.id
+    WHERE e.account_id = ?
+  `,
+  params: [accountId],
+  keys: ['created_at', 'id'],
+  page
+});
+
+/**
+ * Check that the ledger reconciles
+ * - every transaction balances
+ * - all account balances sum to zero per currency
+ * - escrow accounts hold exactly what the escrows table says is funded
+ * @param {object} db - Anything with a query(text, params) method
+ * @returns {Promise<object>} - { balanced, currencies, unbalancedTransactions, escrowMismatches }
+ */
+const reconcile = async (db) => {
+  const currencies = await db.query(
+    `SELECT a.currency,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'debit'), 0) AS debit_total,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'credit'), 0) AS credit_total
+     FROM ledger_entries e
+     JOIN ledger_accounts a ON e.account_id = a.id
+     GROUP BY a.currency
+     ORDER BY a.currency`
+  );
+
+  const unbalanced = await db.query(
+    `SELECT t.id, t.kind, t.reference_type, t.reference_id,
+            SUM(CASE WHEN e.direction = 'debit' THEN e.amount ELSE -e.amount END) AS imbalance
+     FROM ledger_transactions t
+     LEFT JOIN ledger_entries e ON e.transaction_id = t.id
+     GROUP BY t.id
+     HAVING COALESCE(SUM(CASE WHEN e.direction = 'debit' THEN e.amount ELSE -e.amount END), 0) <> 0
+        OR COUNT(e.id) = 0`
+  );
+
+  const escrowMismatches = await db.query(
+    `SELECT es.id AS escrow_id,
+            es.status,
+            CASE WHEN es.status = 'funded' THEN es.amount ELSE 0 END AS expected_balance,
+            COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS ledger_balance
+     FROM escrows es
+     LEFT JOIN ledger_accounts a ON a.account_type = 'escrow' AND a.owner_id = es.id
+     LEFT JOIN ledger_entries e ON e.account_id = a.id
+     GROUP BY es.id
+     HAVING COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0)
+            <> CASE WHEN es.status = 'funded' THEN es.amount ELSE 0 END`
+  );
+
+  const currencyTotals = currencies.rows.map((row) => ({
+    ...row,
+    balanced: toCents(row.debit_total) === toCents(row.credit_total)
+  }));
+
+  return {
+    balanced:
+      currencyTotals.every((row) => row.balanced) &&
+      unbalanced.rows.length === 0 &&
+      escrowMismatches.rows.length === 0,
+    currencies: currencyTotals,
+    unbalancedTransactions: unbalanced.rows,
+    escrowMismatches: escrowMismatches.rows
+  };
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  getOrCreateAccount,
+  postTransaction,
+  getAccountBalance,
+  getAccountStatement,
+  reconcile
+};
@@ -0,0 +1,521 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { escapeHtmlSql } = require('../utils/highlight');
+const { untilCondition } = require('../utils/dateRange');
+const { paginate } = require('../utils/pagination');
+const { getContractParties, getContractRole } = require('./contracts');
+const { publishEvent } = require('./events');
+const { attachmentsJson, withDownloadUrls, attachToParent } = require('./attachments');
+
+const THREAD_SCOPES = ['project', 'contract'];
+
+/**
+ * Threads with both participants resolved
+ * - project threads: the project's client and the thread's freelancer
+ * - contract threads: the contract's client and freelancer
+ */
+const THREAD_SELECT = `
+  SELECT t.*,
+         COALESCE(t.project_id, c.project_id) AS thread_project_id,
+         p.title AS project_title,
+         cp.user_id AS client_user_id,
+         fp.user_id AS freelancer_user_id,
+         CONCAT_WS(' ', uc.first_name, uc.last_name) AS client_name,
+         CONCAT_WS(' ', uf.first_name, uf.last_name) AS freelancer_name
+  FROM message_threads t
+  LEFT JOIN contracts c ON t.contract_id = c.id
+  LEFT JOIN projects p ON p.id = COALESCE(t.project_id, c.project_id)
+  JOIN client_profiles cp ON cp.id = COALESCE(c.client_id, p.client_id)
+  JOIN freelancer_profiles fp ON fp.id = COALESCE(c.freelancer_id, t.freelancer_id)
+  JOIN users uc ON cp.user_id = uc.id
+  JOIN users uf ON fp.user_id = uf.id
+`;
+
+const MESSAGE_COLUMNS = 'm.id, m.thread_id, m.sender_user_id, m.body, m.type, m.sent_at';
+
+/**
+ * Messages with their attachments and read receipt: is_read once the recipient's last-read marker
+ * reaches the message, read_at being when the recipient last moved that marker
+ */
+const MESSAGE_SELECT = `
+  SELECT ${MESSAGE_COLUMNS},
+         CONCAT_WS(' ', u.first_name, u.last_name) AS sender_name,
+         u.role AS sender_role,
+         COALESCE((r.last_read_sent_at, r.last_read_message_id) >= (m.sent_at, m.id), FALSE) AS is_read,
+         CASE WHEN (r.last_read_sent_at, r.last_read_message_id) >= (m.sent_at, m.id) THEN r.read_at END AS read_at,
+         ${attachmentsJson('message', 'm.id')} AS attachments
+  FROM messages m
+  LEFT JOIN users u ON m.sender_user_id = u.id
+  LEFT JOIN message_thread_reads r ON r.thread_id = m.thread_id AND r.user_id <> m.sender_user_id
+`;
+
+// Messages the user received after their last-read marker (r: the user's message_thread_reads row)
+const UNREAD_CONDITION = `
+  m.sender_user_id <> ?
+  AND (r.thread_id IS NULL OR (m.sent_at, m.id) > (r.last_read_sent_at, r.last_read_message_id))
+`;
+
+const isParticipant = (thread, user) => (
+  thread.client_user_id === user.userId || thread.freelancer_user_id === user.userId
+);
+
+/**
+ * Get a thread the user may read
+ * Protected: the thread's two participants (admins may read any thread)
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} threadId - Thread ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Thread row with client_user_id / freelancer_user_id
+ */
+const getThread = async (db, threadId, user) => {
+  const result = await db.query(`${THREAD_SELECT} WHERE t.id = ?`, [threadId]);
+  const thread = result.rows[0];
+
+  if (!thread) {
+    throw httpError(404, 'Thread not found');
+  }
+
+  if (!isParticipant(thread, user) && user.role !== 'admin') {
+    throw httpError(403, 'You do not have permission to view this thread');
+  }
+
+  return thread;
+};
+
+/**
+ * List the threads a user takes part in, most recently active first,
+ * with each one's last message, the user's last-read marker and unread count
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} filters - { scope, project_id, contract_id, unread }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows carry last_message, last_read_message_id, last_read_at, unread_count
+ */
+const listThreads = async (db, user, { scope, project_id, contract_id, unread } = {}, page) => {
+  let sql = `
+    SELECT threads.*, last.last_message, last.last_message_at,
+           r.last_read_message_id, r.read_at AS last_read_at,
+           unread.unread_count
+    FROM (
+      ${THREAD_SELECT}
+    ) threads
+    LEFT JOIN LATERAL (
+      SELECT json_build_object(
+               'id', m.id,
+               'sender_user_id', m.sender_user_id,
+               'body', m.body,
+               'type', m.type,
+               'sent_at', m.sent_at
+             ) AS last_message,
+             m.sent_at AS last_message_at
+      FROM messages m
+      WHERE m.thread_id = threads.id
+      ORDER BY m.sent_at DESC, m.id DESC
+      LIMIT 1
+    ) last ON TRUE
+    LEFT JOIN message_thread_reads r ON r.thread_id = threads.id AND r.user_id = ?
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*)::int AS unread_count
+      FROM messages m
+      WHERE m.thread_id = threads.id AND ${UNREAD_CONDITION}
+    ) unread ON TRUE
+    WHERE (threads.client_user_id = ? OR threads.freelancer_user_id = ?)
+  `;
+  const params = [user.userId, user.userId, user.userId, user.userId];
+
+  if (scope) {
+    sql += ' AND threads.scope = ?';
+    params.push(scope);
+  }
+
+  if (project_id) {
+    sql += ' AND threads.thread_project_id = ?';
+    params.push(project_id);
+  }
+
+  if (contract_id) {
+    sql += ' AND threads.contract_id = ?';
+    params.push(contract_id);
+  }
+
+  if (unread) {
+    sql += ' AND unread.unread_count > 0';
+  }
+
+  return paginate(db, { sql, params, keys: ['COALESCE(last_message_at, created_at)', 'id'], page });
+};
+
+/**
+ * Count the user's unread messages across all their threads (for the navbar badge)
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} user - req.user
+ * @returns {Promise<{unread_threads: number, unread_messages: number}>}
+ */
+const getUnreadSummary = async (db, user) => {
+  const result = await db.query(
+    `SELECT COUNT(DISTINCT m.thread_id)::int AS unread_threads,
+            COUNT(*)::int AS unread_messages
+     FROM (
+       ${THREAD_SELECT}
+       WHERE cp.user_id = ? OR fp.user_id = ?
+     ) threads
+     JOIN messages m ON m.thread_id = threads.id
+     LEFT JOIN message_thread_reads r ON r.thread_id = threads.id AND r.user_id = ?
+     WHERE ${UNREAD_CONDITION}`,
+    [user.userId, user.userId, user.userId, user.userId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Open (or return the existing) thread on a project, between its client and a proposing freelancer
+ * - the client names the freelancer (freelancer_id); a freelancer opens it for themselves
+ * - the freelancer must have submitted a proposal on the project
+ */
+const openProjectThread = async (connection, user, { project_id, freelancer_id }) => {
+  const projectResult = await connection.query(
+    `SELECT p.id, p.client_id, cp.user_id AS client_user_id
+     FROM projects p
+     JOIN client_profiles cp ON p.client_id = cp.id
+     WHERE p.id = ?`,
+    [project_id]
+  );
+  const project = projectResult.rows[0];
+
+  if (!project) {
+    throw httpError(404, 'Project not found');
+  }
+
+  let freelancerId = freelancer_id;
+  if (project.client_user_id !== user.userId) {
+    const profileResult = await connection.query(
+      'SELECT id FROM freelancer_profiles WHERE user_id = ?',
+      [user.userId]
+    );
+
+    if (profileResult.rows.length === 0) {
+      throw httpError(403, 'Only the project client or a proposing freelancer can message about this project');
+    }
+    freelancerId = profileResult.rows[0].id;
+  } else if (!freelancerId) {
+    throw httpError(400, 'freelancer_id is required to message a freelancer about your project');
+  }
+
+  const proposalResult = await connection.query(
+    'SELECT id FROM proposals WHERE project_id = ? AND freelancer_id = ?',
+    [project.id, freelancerId]
+  );
+
+  if (proposalResult.rows.length === 0) {
+    throw httpError(403, 'Project conversations are only open to freelancers who submitted a proposal');
+  }
+
+  const inserted = await connection.query(
+    `INSERT INTO message_threads (id, project_id, freelancer_id, scope)
+     VALUES (?, ?, ?, 'project')
+     ON CONFLICT (project_id, freelancer_id) WHERE scope = 'project' DO NOTHING
+     RETURNING id`,
+    [randomUUID(), project.id, freelancerId]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { threadId: inserted.rows[0].id, created: true };
+  }
+
+  const existing = await connection.query(
+    `SELECT id FROM message_threads WHERE scope = 'project' AND project_id = ? AND freelancer_id = ?`,
+    [project.id, freelancerId]
+  );
+
+  return { threadId: existing.rows[0].id, created: false };
+};
+
+/**
+ * Open (or return the existing) thread on a contract, between its client and freelancer
+ */
+const openContractThread = async (connection, user, { contract_id }) => {
+  const contract = await getContractParties(connection, contract_id);
+  const { isClient, isFreelancer } = getContractRole(contract, user);
+
+  if (!isClient && !isFreelancer) {
+    throw httpError(403, 'Only the contract parties can message about this contract');
+  }
+
+  const inserted = await connection.query(
+    `INSERT INTO message_threads (id, contract_id, scope)
+     VALUES (?, ?, 'contract')
+     ON CONFLICT (contract_id) WHERE scope = 'contract' DO NOTHING
+     RETURNING id`,
+    [randomUUID(), contract.id]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { threadId: inserted.rows[0].id, created: true };
+  }
+
+  const existing = await connection.query(
+    `SELECT id FROM message_threads WHERE scope = 'contract' AND contract_id = ?`,
+    [contract.id]
+  );
+
+  return { threadId: existing.rows[0].id, created: false };
+};
+
+/**
+ * Open a thread on a project or a contract; opening one that already exists returns it
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} data - { scope: 'project', project_id, freelancer_id } or { scope: 'contract', contract_id }
+ * @returns {Promise<{thread: object, created: boolean}>}
+ */
+const openThread = async (db, user, data) => {
+  const { threadId, created } = await db.transaction((connection) => (
+    data.scope === 'project'
+      ? openProjectThread(connection, user, data)
+      : openContractThread(connection, user, data)
+  ));
+
+  return { thread: await getThread(db, threadId, user), created };
+};
+
+/**
+ * Page through a thread's messages, newest first
+ * cursor is the ID of the oldest message already loaded; next_cursor is null on the last page
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} threadId - Thread ID
+ * @param {object} user - req.user
+ * @param {object} options - { cursor, limit }
+ * @returns {Promise<{messages: Array, next_cursor: string|null}>}
+ */
+const listMessages = async (db, threadId, user, { cursor, limit = 50 } = {}) => {
+  await getThread(db, threadId, user);
+
+  let sql = `${MESSAGE_SELECT} WHERE m.thread_id = ?`;
+  const params = [threadId];
+
+  if (cursor) {
+    const cursorResult = await db.query(
+      'SELECT sent_at, id FROM messages WHERE id = ? AND thread_id = ?',
+      [cursor, threadId]
+    );
+
+    if (cursorResult.rows.length === 0) {
+      throw httpError(400, 'Invalid cursor');
+    }
+
+    sql += ' AND (m.sent_at, m.id) < (SELECT sent_at, id FROM messages WHERE id = ?)';
+    params.push(cursor);
+  }
+
+  // One extra row tells whether there is another page
+  sql += ' ORDER BY m.sent_at DESC, m.id DESC LIMIT ?';
+  params.push(limit + 1);
+
+  const result = await db.query(sql, params);
+  const messages = withDownloadUrls(result.rows.slice(0, limit));
+  const hasMore = result.rows.length > limit;
+
+  return {
+    messages,
+    next_cursor: hasMore ? messages[messages.length - 1].id : null
+  };
+};
+
+/**
+ * Move a participant's last-read marker forward to a message (never backwards)
+ * @returns {Promise<object|null>} - The new marker row, or null when it was already at or past the message
+ */
+const advanceReadMarker = async (db, userId, messageId) => {
+  // sent_at is copied in SQL: it has microsecond precision a JS Date would lose
+  const result = await db.query(
+    `INSERT INTO message_thread_reads (thread_id, user_id, last_read_message_id, last_read_sent_at, read_at)
+     SELECT m.thread_id, ?, m.id, m.sent_at, CURRENT_TIMESTAMP
+     FROM messages m
+     WHERE m.id = ?
+     ON CONFLICT (thread_id, user_id) DO UPDATE
+     SET last_read_message_id = EXCLUDED.last_read_message_id,
+         last_read_sent_at = EXCLUDED.last_read_sent_at,
+         read_at = EXCLUDED.read_at
+     WHERE (message_thread_reads.last_read_sent_at, message_thread_reads.last_read_message_id)
+           < (EXCLUDED.last_read_sent_at, EXCLUDED.last_read_message_id)
+     RETURNING *`,
+    [userId, messageId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark a thread read up to a message (default: its newest message)
+ * The marker only moves forward; the other participant is notified so their read receipts update
+ * Protected: the thread's two participants
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} threadId - Thread ID
+ * @param {object} user - req.user
+ * @param {object} data - { message_id }
+ * @returns {Promise<object>} - { thread_id, last_read_message_id, last_read_at, unread_count }
+ */
+const markThreadRead = async (db, threadId, user, { message_id } = {}) => {
+  const thread = await getThread(db, threadId, user);
+
+  if (!isParticipant(thread, user)) {
+    throw httpError(403, 'Only the thread participants can mark it read');
+  }
+
+  const messageResult = message_id
+    ? await db.query('SELECT id FROM messages WHERE id = ? AND thread_id = ?', [message_id, threadId])
+    : await db.query(
+      'SELECT id FROM messages WHERE thread_id = ? ORDER BY sent_at DESC, id DESC LIMIT 1',
+      [threadId]
+    );
+
+  if (message_id && messageResult.rows.length === 0) {
+    throw httpError(404, 'Message not found in this thread');
+  }
+
+  if (messageResult.rows.length > 0) {
+    const marker = await advanceReadMarker(db, user.userId, messageResult.rows[0].id);
+
+    if (marker) {
+      await publishEvent(db, {
+        type: 'thread.read',
+        userIds: [thread.client_user_id, thread.freelancer_user_id],
+        data: {
+          thread_id: threadId,
+          user_id: user.userId,
+          last_read_message_id: marker.last_read_message_id,
+          read_at: marker.read_at
+        }
+      });
+    }
+  }
+
+  const result = await db.query(
+    `SELECT r.last_read_message_id, r.read_at AS last_read_at,
+            (SELECT COUNT(*)::int FROM messages m WHERE m.thread_id = ? AND ${UNREAD_CONDITION}) AS unread_count
+     FROM (SELECT 1) one
+     LEFT JOIN message_thread_reads r ON r.thread_id = ? AND r.user_id = ?`,
+    [threadId, user.userId, threadId, user.userId]
+  );
+
+  return { thread_id: threadId, ...result.rows[0] };
+};
+
+/**
+ * Full-text search over the messages in the user's threads, best matches first
+ * q uses web search syntax: words, "quoted phrases", OR, -excluded
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} user - req.user
+ * @param {object} filters - { q, project_id, contract_id, from, to }
+ *   from / to are inclusive; a date-only to (YYYY-MM-DD) covers that whole day
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are messages with snippet (HTML with <mark> highlights),
+ *   rank and their thread's context (scope, project, contract, participants)
+ */
+const searchMessages = async (db, user, { q, project_id, contract_id, from, to }, page) => {
+  let sql = `
+    SELECT ${MESSAGE_COLUMNS},
+           CONCAT_WS(' ', u.first_name, u.last_name) AS sender_name,
+           ts_headline('english', ${escapeHtmlSql('m.body')}, query,
+             'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2') AS snippet,
+           ts_rank(m.search_vector, query) AS rank,
+           threads.scope AS thread_scope,
+           threads.thread_project_id AS project_id,
+           threads.contract_id,
+           threads.project_title,
+           threads.client_name,
+           threads.freelancer_name
+    FROM (
+      ${THREAD_SELECT}
+      WHERE cp.user_id = ? OR fp.user_id = ?
+    ) threads
+    JOIN messages m ON m.thread_id = threads.id
+    CROSS JOIN websearch_to_tsquery('english', ?) query
+    LEFT JOIN users u ON m.sender_user_id = u.id
+    WHERE m.search_vector @@ query
+  `;
+  const params = [user.userId, user.userId, q];
+
+  if (project_id) {
+    sql += ' AND threads.thread_project_id = ?';
+    params.push(project_id);
+  }
+
+  if (contract_id) {
+    sql += ' AND threads.contract_id = ?';
+    params.push(contract_id);
+  }
+
+  if (from) {
+    sql += ' AND m.sent_at >= ?';
+    params.push(from);
+  }
+
+  if (to) {
+    sql += ` AND ${untilCondition('m.sent_at', to)}`;
+    params.push(to);
+  }
+
+  return paginate(db, { sql, params, keys: ['rank', 'sent_at', 'id'], page });
+};
+
+/**
+ * Post a message to a thread, optionally with attachments (uploaded first via POST /api/files)
+ * Protected: the thread's two participants
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} threadId - Thread ID
+ * @param {object} user - req.user
+ * @param {object} data - { body, attachment_ids }
+ * @returns {Promise<object>} - messages row with the sender's name and attachments
+ */
+const sendMessage = async (db, threadId, user, { body, attachment_ids = [] }) => {
+  const thread = await getThread(db, threadId, user);
+
+  if (!isParticipant(thread, user)) {
+    throw httpError(403, 'Only the thread participants can post messages');
+  }
+
+  if (!body && attachment_ids.length === 0) {
+    throw httpError(400, 'A message needs a body or at least one attachment');
+  }
+
+  return db.transaction(async (connection) => {
+    const inserted = await connection.query(
+      `INSERT INTO messages (id, thread_id, sender_user_id, body, type, sent_at)
+       VALUES (?, ?, ?, ?, ?, clock_timestamp())
+       RETURNING id`,
+      [randomUUID(), threadId, user.userId, body || null, attachment_ids.length > 0 ? 'file' : 'text']
+    );
+    const messageId = inserted.rows[0].id;
+
+    await attachToParent(connection, user, attachment_ids, { type: 'message', id: messageId });
+
+    const result = await connection.query(`${MESSAGE_SELECT} WHERE m.id = ?`, [messageId]);
+    const [message] = withDownloadUrls(result.rows);
+
+    // Replying means the sender has read everything before it
+    await advanceReadMarker(connection, user.userId, message.id);
+
+    await publishEvent(connection, {
+      type: 'message.created',
+      userIds: [thread.client_user_id, thread.freelancer_user_id],
+      data: message,
+      summary: { id: message.id, thread_id: message.thread_id }
+    });
+
+    return message;
+  });
+};
+
+module.exports = {
+  THREAD_SCOPES,
+  getThread,
+  listThreads,
+  getUnreadSummary,
+  openThread,
+  listMessages,
+  searchMessages,
+  markThreadRead,
+  sendMessage
+};
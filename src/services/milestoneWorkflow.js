@@ -0,0 +1,149 @@
+const { httpError } = require('../utils/httpError');
+const {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+} = require('./contracts');
+const { getMilestoneForUpdate, recordMilestoneEvent } = require('./milestones');
+const { getEscrowForUpdate, releaseEscrow } = require('./escrow');
+const { attachmentsJson, withDownloadUrls, attachToParent } = require('./attachments');
+
+/**
+ * Allowed workflow actions
+ * - role: which contract party may perform the action (admins may always act)
+ * - from: milestone statuses the action is valid from
+ * - to: resulting milestone status
+ * - event: action recorded in milestone_events
+ */
+const TRANSITIONS = {
+  submit: {
+    role: 'freelancer',
+    from: ['funded', 'changes_requested'],
+    to: 'in_review',
+    event: 'submitted'
+  },
+  request_changes: {
+    role: 'client',
+    from: ['in_review'],
+    to: 'changes_requested',
+    event: 'changes_requested'
+  },
+  approve: {
+    role: 'client',
+    from: ['in_review'],
+    to: 'approved',
+    event: 'approved'
+  }
+};
+
+/**
+ * Move a milestone through the delivery workflow and record the transition
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {object} user - req.user
+ * @param {string} action - One of the TRANSITIONS keys
+ * @param {string} note - Optional note describing the delivery or requested changes
+ * @param {Array<string>} attachmentIds - Uploads to attach to the event (e.g. the deliverables of a submission)
+ * @returns {Promise<{milestone: object, event: object}>} - event includes its attachments
+ */
+const transitionMilestone = async (db, contractId, milestoneId, user, action, note, attachmentIds = []) => {
+  const transition = TRANSITIONS[action];
+
+  if (!transition) {
+    throw httpError(400, `Unknown milestone action: ${action}`);
+  }
+
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    const { isClient, isFreelancer, isAdmin } = getContractRole(contract, user);
+    const allowed = transition.role === 'client' ? isClient : isFreelancer;
+
+    if (!allowed && !isAdmin) {
+      throw httpError(403, `Only the contract ${transition.role} can perform this action`);
+    }
+
+    if (contract.status !== 'active') {
+      throw httpError(400, 'Milestones can only be worked on while the contract is active');
+    }
+
+    const milestone = await getMilestoneForUpdate(connection, contractId, milestoneId);
+
+    if (!transition.from.includes(milestone.status)) {
+      throw httpError(409, `Cannot ${action.replace('_', ' ')} a milestone that is ${milestone.status}`);
+    }
+
+    const updated = await connection.query(
+      'UPDATE milestones SET status = ? WHERE id = ? RETURNING *',
+      [transition.to, milestoneId]
+    );
+
+    const event = await recordMilestoneEvent(connection, {
+      milestoneId,
+      actorUserId: user.userId,
+      action: transition.event,
+      fromStatus: milestone.status,
+      toStatus: transition.to,
+      note
+    });
+    event.attachments = await attachToParent(connection, user, attachmentIds, {
+      type: 'milestone_event',
+      id: event.id
+    });
+
+    // Approval releases the milestone's escrow to the freelancer in the same transaction
+    if (action === 'approve') {
+      const escrow = await getEscrowForUpdate(connection, milestoneId);
+
+      if (escrow && escrow.status === 'funded') {
+        await releaseEscrow(connection, { contract, milestone: updated.rows[0], user });
+        const released = await connection.query('SELECT * FROM milestones WHERE id = ?', [milestoneId]);
+        return { milestone: released.rows[0], event };
+      }
+    }
+
+    return { milestone: updated.rows[0], event };
+  });
+};
+
+/**
+ * Get the full workflow history of a milestone, oldest first
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {object} user - req.user
+ * @returns {Promise<Array>} - milestone_events rows with the actor's name and role and their attachments
+ */
+const getMilestoneHistory = async (db, contractId, milestoneId, user) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  const milestoneResult = await db.query(
+    'SELECT id FROM milestones WHERE id = ? AND contract_id = ?',
+    [milestoneId, contractId]
+  );
+
+  if (milestoneResult.rows.length === 0) {
+    throw httpError(404, 'Milestone not found');
+  }
+
+  const result = await db.query(
+    `SELECT e.*,
+            CONCAT_WS(' ', u.first_name, u.last_name) AS actor_name,
+            u.role AS actor_role,
+            ${attachmentsJson('milestone_event', 'e.id')} AS attachments
+     FROM milestone_events e
+     LEFT JOIN users u ON e.actor_user_id = u.id
+     WHERE e.milestone_id = ?
+     ORDER BY e.created_at ASC`,
+    [milestoneId]
+  );
+
+  return withDownloadUrls(result.rows);
+};
+
+module.exports = {
+  TRANSITIONS,
+  transitionMilestone,
+  getMilestoneHistory
+};
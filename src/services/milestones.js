@@ -0,0 +1,281 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+} = require('./contracts');
+
+// Milestones can only be reshaped before any money is attached to them
+const EDITABLE_STATUSES = ['pending'];
+
+// Convert ISO datetime to SQL format (YYYY-MM-DD HH:MM:SS)
+const formatDateTime = (value) => (
+  value ? new Date(value).toISOString().slice(0, 19).replace('T', ' ') : null
+);
+
+/**
+ * Only the contract's client (or an admin) can define milestones
+ */
+const assertCanManage = (contract, user) => {
+  const { isClient, isAdmin } = getContractRole(contract, user);
+
+  if (!isClient && !isAdmin) {
+    throw httpError(403, 'Only the contract client can manage milestones');
+  }
+};
+
+/**
+ * Reject amounts that would push the milestone total above the contract's agreed_amount
+ * Hourly contracts have no agreed_amount and are not capped
+ */
+const assertWithinAgreedAmount = async (connection, contract, amount, excludeMilestoneId = null) => {
+  if (contract.agreed_amount === null || contract.agreed_amount === undefined) {
+    return;
+  }
+
+  let sql = `SELECT COALESCE(SUM(amount), 0) AS total FROM milestones WHERE contract_id = ? AND status <> 'cancelled'`;
+  const params = [contract.id];
+
+  if (excludeMilestoneId) {
+    sql += ' AND id <> ?';
+    params.push(excludeMilestoneId);
+  }
+
+  const result = await connection.query(sql, params);
+  const total = toCents(result.rows[0].total) + toCents(amount);
+
+  if (total > toCents(contract.agreed_amount)) {
+    const remaining = (toCents(contract.agreed_amount) - toCents(result.rows[0].total)) / 100;
+    throw httpError(
+      400,
+      `Milestone amounts cannot exceed the contract's agreed amount (${remaining.toFixed(2)} ${contract.currency} remaining)`
+    );
+  }
+};
+
+/**
+ * Lock a milestone that belongs to the given contract
+ */
+const getMilestoneForUpdate = async (connection, contractId, milestoneId) => {
+  const result = await connection.query(
+    'SELECT * FROM milestones WHERE id = ? AND contract_id = ? FOR UPDATE',
+    [milestoneId, contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Milestone not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Append an entry to a milestone's history
+ * @param {object} connection - Transaction client
+ * @param {object} event - { milestoneId, actorUserId, action, fromStatus, toStatus, note }
+ * @returns {Promise<object>} - Inserted milestone_events row
+ */
+const recordMilestoneEvent = async (connection, { milestoneId, actorUserId, action, fromStatus, toStatus, note }) => {
+  const result = await connection.query(
+    `INSERT INTO milestone_events (id, milestone_id, actor_user_id, action, from_status, to_status, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     RETURNING *`,
+    [randomUUID(), milestoneId, actorUserId ?? null, action, fromStatus ?? null, toStatus, note ?? null]
+  );
+
+  return result.rows[0];
+};
+
+const selectMilestones = (db, contractId) => db.query(
+  'SELECT * FROM milestones WHERE contract_id = ? ORDER BY position ASC NULLS LAST, due_at ASC',
+  [contractId]
+);
+
+/**
+ * List a contract's milestones in display order
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @returns {Promise<Array>} - Milestone rows
+ */
+const listMilestones = async (db, contractId, user) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  const result = await selectMilestones(db, contractId);
+  return result.rows;
+};
+
+/**
+ * Insert a pending milestone at the end of a contract's milestone list
+ * Must be called inside a transaction with the contract row locked
+ * @param {object} connection - Transaction client
+ * @param {string} contractId - Contract ID
+ * @param {object} data - { title, scope, amount, due_at }
+ * @returns {Promise<object>} - Created milestone
+ */
+const insertMilestone = async (connection, contractId, { title, scope, amount, due_at }) => {
+  const positionResult = await connection.query(
+    'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM milestones WHERE contract_id = ?',
+    [contractId]
+  );
+
+  const result = await connection.query(
+    `INSERT INTO milestones (id, contract_id, title, scope, amount, status, due_at, position)
+     VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+     RETURNING *`,
+    [
+      randomUUID(),
+      contractId,
+      title,
+      scope ?? null,
+      amount,
+      formatDateTime(due_at),
+      positionResult.rows[0].next_position
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Add a milestone to the end of a contract's milestone list
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {object} data - { title, scope, amount, due_at }
+ * @returns {Promise<object>} - Created milestone
+ */
+const createMilestone = async (db, contractId, user, { title, scope, amount, due_at }) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanManage(contract, user);
+
+    if (contract.status !== 'active') {
+      throw httpError(400, 'Milestones can only be added to active contracts');
+    }
+
+    await assertWithinAgreedAmount(connection, contract, amount);
+
+    return insertMilestone(connection, contractId, { title, scope, amount, due_at });
+  });
+};
+
+/**
+ * Edit a milestone that has not been funded yet
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {object} user - req.user
+ * @param {object} data - { title, scope, amount, due_at }
+ * @returns {Promise<object>} - Updated milestone
+ */
+const updateMilestone = async (db, contractId, milestoneId, user, { title, scope, amount, due_at }) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanManage(contract, user);
+
+    const milestone = await getMilestoneForUpdate(connection, contractId, milestoneId);
+
+    if (!EDITABLE_STATUSES.includes(milestone.status)) {
+      throw httpError(409, `Milestone cannot be edited once it is ${milestone.status}`);
+    }
+
+    if (amount !== undefined && amount !== null) {
+      await assertWithinAgreedAmount(connection, contract, amount, milestoneId);
+    }
+
+    const result = await connection.query(
+      `UPDATE milestones
+       SET title = COALESCE(?, title),
+           scope = COALESCE(?, scope),
+           amount = COALESCE(?, amount),
+           due_at = COALESCE(?, due_at)
+       WHERE id = ?
+       RETURNING *`,
+      [title ?? null, scope ?? null, amount ?? null, formatDateTime(due_at), milestoneId]
+    );
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Delete a milestone that has not been funded yet and close the gap in positions
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {object} user - req.user
+ */
+const deleteMilestone = async (db, contractId, milestoneId, user) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanManage(contract, user);
+
+    const milestone = await getMilestoneForUpdate(connection, contractId, milestoneId);
+
+    if (!EDITABLE_STATUSES.includes(milestone.status)) {
+      throw httpError(409, `Milestone cannot be deleted once it is ${milestone.status}`);
+    }
+
+    await connection.query('DELETE FROM milestones WHERE id = ?', [milestoneId]);
+
+    await connection.query(
+      'UPDATE milestones SET position = position - 1 WHERE contract_id = ? AND position > ?',
+      [contractId, milestone.position]
+    );
+  });
+};
+
+/**
+ * Reorder all of a contract's milestones
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {Array<string>} milestoneIds - Every milestone ID of the contract, in the new order
+ * @returns {Promise<Array>} - Milestones in their new order
+ */
+const reorderMilestones = async (db, contractId, user, milestoneIds) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanManage(contract, user);
+
+    const existing = await connection.query(
+      'SELECT id FROM milestones WHERE contract_id = ?',
+      [contractId]
+    );
+    const existingIds = new Set(existing.rows.map((row) => row.id));
+    const requestedIds = new Set(milestoneIds);
+
+    if (
+      requestedIds.size !== milestoneIds.length ||
+      requestedIds.size !== existingIds.size ||
+      milestoneIds.some((id) => !existingIds.has(id))
+    ) {
+      throw httpError(400, 'milestone_ids must list every milestone of the contract exactly once');
+    }
+
+    for (const [index, id] of milestoneIds.entries()) {
+      await connection.query(
+        'UPDATE milestones SET position = ? WHERE id = ?',
+        [index + 1, id]
+      );
+    }
+
+    const result = await selectMilestones(connection, contractId);
+    return result.rows;
+  });
+};
+
+module.exports = {
+  getMilestoneForUpdate,
+  recordMilestoneEvent,
+  insertMilestone,
+  listMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  reorderMilestones
+};
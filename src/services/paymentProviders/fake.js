@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { httpError } = require('../../utils/httpError');
+
+/**
+ * Local payment provider for development and offline testing
+ * Charges are never settled synchronously: the provider calls our webhook endpoint back
+ * with a signed event, exactly like a real processor would.
+ * It is refused when NODE_ENV=production, and needs FAKE_PAYMENT_WEBHOOK_SECRET to sign its webhooks.
+ *
+ * The payment token picks the outcome:
+ * - fake_success (default): succeeds after FAKE_PAYMENT_SETTLE_MS
+ * - fake_declined: fails after FAKE_PAYMENT_SETTLE_MS
+ * - fake_delayed: succeeds after FAKE_PAYMENT_DELAYED_SETTLE_MS
+ */
+const name = 'fake';
+
+const TOKENS = ['fake_success', 'fake_declined', 'fake_delayed'];
+const SIGNATURE_HEADER = 'fake-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Throw unless the provider may be used here
+ */
+const assertConfigured = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw httpError(503, 'The fake payment provider cannot be used in production. Set PAYMENT_PROVIDER');
+  }
+
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw httpError(503, 'FAKE_PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider');
+  }
+};
+
+const getSecret = () => {
+  assertConfigured();
+  return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+};
+
+const getWebhookUrl = () => (
+  process.env.FAKE_PAYMENT_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/payments/webhooks/${name}`
+);
+
+const getDelay = (token) => {
+  const value = token === 'fake_delayed'
+    ? process.env.FAKE_PAYMENT_DELAYED_SETTLE_MS
+    : process.env.FAKE_PAYMENT_SETTLE_MS;
+  const parsed = Number.parseInt(value, 10);
+
+  if (!Number.isNaN(parsed)) {
+    return parsed;
+  }
+
+  return token === 'fake_delayed' ? 30000 : 1000;
+};
+
+const computeSignature = (timestamp, payload) => (
+  crypto.createHmac('sha256', getSecret()).update(`${timestamp}.${payload}`).digest('hex')
+);
+
+/**
+ * Sign a webhook payload
+ * @param {string} payload - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Signature header value (t=<timestamp>,v1=<hmac>)
+ */
+const signPayload = (payload, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${computeSignature(timestamp, payload)}`
+);
+
+const deliverWebhook = async (event) => {
+  const payload = JSON.stringify(event);
+
+  try {
+    const response = await fetch(getWebhookUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(payload)
+      },
+      body: payload
+    });
+
+    if (!response.ok) {
+      console.error(`Fake payment webhook ${event.id} was rejected with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`Fake payment webhook ${event.id} could not be delivered:`, error.message);
+  }
+};
+
+/**
+ * Start a charge and schedule its settlement webhook
+ */
+const createCharge = async ({ paymentId, amount, currency, token }) => {
+  const outcome = token || 'fake_success';
+
+  if (!TOKENS.includes(outcome)) {
+    throw httpError(400, `Invalid payment token. Use one of: ${TOKENS.join(', ')}`);
+  }
+
+  const reference = `fake_ch_${crypto.randomUUID()}`;
+  const succeeded = outcome !== 'fake_declined';
+
+  const event = {
+    id: `fake_evt_${crypto.randomUUID()}`,
+    type: succeeded ? 'payment.succeeded' : 'payment.failed',
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      reference,
+      amount,
+      currency,
+      metadata: { payment_id: paymentId },
+      failure_reason: succeeded ? null : 'Card declined (fake provider)'
+    }
+  };
+
+  setTimeout(() => deliverWebhook(event), getDelay(outcome)).unref();
+
+  return { reference, status: 'processing' };
+};
+
+/**
+ * Verify a webhook's signature and normalise its event
+ */
+const parseWebhook = ({ rawBody, headers }) => {
+  const header = headers[SIGNATURE_HEADER];
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = Number.parseInt(parts.t, 10);
+  const payload = rawBody ? rawBody.toString('utf8') : '';
+
+  if (!parts.v1 || Number.isNaN(timestamp)) {
+    throw httpError(400, 'Missing webhook signature');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw httpError(400, 'Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(computeSignature(timestamp, payload), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw httpError(400, 'Invalid webhook signature');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    throw httpError(400, 'Webhook payload is not valid JSON');
+  }
+
+  return {
+    id: event.id,
+    type: event.type,
+    paymentId: event.data?.metadata?.payment_id,
+    reference: event.data?.reference,
+    failureReason: event.data?.failure_reason || null,
+    payload: event
+  };
+};
+
+module.exports = {
+  name,
+  assertConfigured,
+  signPayload,
+  createCharge,
+  parseWebhook
+};
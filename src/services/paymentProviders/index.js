@@ -0,0 +1,38 @@
+const { httpError } = require('../../utils/httpError');
+const fake = require('./fake');
+
+/**
+ * Payment provider adapters
+ * Every adapter exposes the same interface so routes and services never talk to a processor directly:
+ * - name: provider key stored in payments.provider
+ * - assertConfigured() throws a 503 httpError when the provider cannot be used (missing settings, ...)
+ * - createCharge({ paymentId, amount, currency, method, token }) => { reference, status, failureReason }
+ *     status is 'processing' while the provider settles asynchronously, or 'paid' / 'failed'
+ * - parseWebhook({ rawBody, headers }) => { id, type, paymentId, reference, failureReason, payload }
+ *     verifies the signature (throwing a 400 httpError when it is invalid);
+ *     type is 'payment.succeeded' or 'payment.failed'
+ */
+const PROVIDERS = {
+  [fake.name]: fake
+};
+
+/**
+ * Get a payment provider adapter
+ * @param {string} name - Provider key; defaults to PAYMENT_PROVIDER (or the fake provider outside production)
+ * @returns {object} - Provider adapter
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || fake.name) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw httpError(404, `Unknown payment provider: ${name}`);
+  }
+
+  provider.assertConfigured();
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
@@ -0,0 +1,399 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const { paginate } = require('../utils/pagination');
+const {
+  getContractParties,
+  getContractRole
+} = require('./contracts');
+const { getMilestoneForUpdate } = require('./milestones');
+const { fundEscrow } = require('./escrow');
+const { postTransaction } = require('./ledger');
+const { quoteFee } = require('./fees');
+const { getPaymentProvider } = require('./paymentProviders');
+const { issueInvoice } = require('./invoices');
+
+const PAYMENT_METHODS = ['card', 'bank', 'paypal', 'crypto'];
+const PAYMENT_STATUSES = ['processing', 'paid', 'failed'];
+
+const PAYMENT_SELECT = `
+  SELECT pay.*,
+         m.title AS milestone_title,
+         m.contract_id,
+         proj.title AS project_title,
+         cp.user_id AS payer_user_id,
+         CONCAT_WS(' ', uc.first_name, uc.last_name) AS payer_name,
+         fp.user_id AS payee_user_id,
+         CONCAT_WS(' ', uf.first_name, uf.last_name) AS payee_name
+  FROM payments pay
+  JOIN milestones m ON pay.milestone_id = m.id
+  JOIN contracts c ON m.contract_id = c.id
+  JOIN projects proj ON c.project_id = proj.id
+  JOIN client_profiles cp ON pay.payer_client_id = cp.id
+  JOIN users uc ON cp.user_id = uc.id
+  JOIN freelancer_profiles fp ON pay.payee_freelancer_id = fp.id
+  JOIN users uf ON fp.user_id = uf.id
+`;
+
+/**
+ * List payments visible to the user
+ * Clients see what they paid, freelancers what they were paid, admins everything
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} filters - { milestone_id, contract_id, status }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are payments, newest first
+ */
+const listPayments = async (db, user, { milestone_id, contract_id, status } = {}, page) => {
+  let sql = `${PAYMENT_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (milestone_id) {
+    sql += ' AND pay.milestone_id = ?';
+    params.push(milestone_id);
+  }
+
+  if (contract_id) {
+    sql += ' AND m.contract_id = ?';
+    params.push(contract_id);
+  }
+
+  if (status) {
+    sql += ' AND pay.status = ?';
+    params.push(status);
+  }
+
+  if (user.role === 'client') {
+    sql += ' AND cp.user_id = ?';
+    params.push(user.userId);
+  } else if (user.role === 'freelancer') {
+    sql += ' AND fp.user_id = ?';
+    params.push(user.userId);
+  }
+
+  return paginate(db, { sql, params, keys: ['COALESCE(paid_at, created_at)', 'id'], page });
+};
+
+/**
+ * Get a single payment
+ * Protected: the payer, the payee or an admin
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} paymentId - Payment ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Payment row
+ */
+const getPayment = async (db, paymentId, user) => {
+  const result = await db.query(
+    `${PAYMENT_SELECT} WHERE pay.id = ?`,
+    [paymentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  const payment = result.rows[0];
+
+  if (
+    user.role !== 'admin' &&
+    payment.payer_user_id !== user.userId &&
+    payment.payee_user_id !== user.userId
+  ) {
+    throw httpError(403, 'You do not have permission to view this payment');
+  }
+
+  return payment;
+};
+
+/**
+ * Pay for a milestone through the configured provider
+ * The payment stays 'processing' until the provider confirms it; a successful payment funds the escrow
+ * Protected: only the contract's client (or an admin)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} data - { milestone_id, method, payment_token }
+ * @returns {Promise<object>} - Payment row
+ */
+const createPayment = async (db, user, { milestone_id, method, payment_token }) => {
+  const provider = getPaymentProvider();
+
+  const payment = await db.transaction(async (connection) => {
+    const milestoneResult = await connection.query(
+      'SELECT contract_id FROM milestones WHERE id = ?',
+      [milestone_id]
+    );
+
+    if (milestoneResult.rows.length === 0) {
+      throw httpError(404, 'Milestone not found');
+    }
+
+    const contract = await getContractParties(connection, milestoneResult.rows[0].contract_id, { forUpdate: true });
+    const { isClient, isAdmin } = getContractRole(contract, user);
+
+    if (!isClient && !isAdmin) {
+      throw httpError(403, 'Only the contract client can pay for milestones');
+    }
+
+    if (contract.status !== 'active') {
+      throw httpError(400, 'Milestones can only be paid for while the contract is active');
+    }
+
+    const milestone = await getMilestoneForUpdate(connection, contract.id, milestone_id);
+
+    if (milestone.status !== 'pending') {
+      throw httpError(409, `Cannot pay for a milestone that is ${milestone.status}`);
+    }
+
+    if (!(Number(milestone.amount) > 0)) {
+      throw httpError(400, 'Milestone amount must be greater than zero to pay for it');
+    }
+
+    const existing = await connection.query(
+      `SELECT id FROM payments WHERE milestone_id = ? AND status IN ('processing', 'paid')`,
+      [milestone_id]
+    );
+
+    if (existing.rows.length > 0) {
+      throw httpError(409, 'A payment for this milestone is already in progress');
+    }
+
+    // The client-side fee is fixed when the client is charged and applied as-is when the payment settles
+    const clientFee = await quoteFee(connection, { side: 'client', contract, amount: milestone.amount });
+
+    const result = await connection.query(
+      `INSERT INTO payments (
+         id, milestone_id, payer_client_id, payee_freelancer_id, amount, currency, method, status, provider,
+         client_fee, client_fee_rule_id
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'processing', ?, ?, ?)
+       RETURNING *`,
+      [
+        randomUUID(),
+        milestone_id,
+        contract.client_id,
+        contract.freelancer_id,
+        milestone.amount,
+        contract.currency,
+        method,
+        provider.name,
+        clientFee.fee,
+        clientFee.ruleId
+      ]
+    );
+
+    return result.rows[0];
+  });
+
+  let charge;
+  try {
+    charge = await provider.createCharge({
+      paymentId: payment.id,
+      amount: ((toCents(payment.amount) + toCents(payment.client_fee)) / 100).toFixed(2),
+      currency: payment.currency,
+      method: payment.method,
+      token: payment_token
+    });
+  } catch (error) {
+    await db.query(
+      `UPDATE payments SET status = 'failed', failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error.message, payment.id]
+    );
+    throw error.status ? error : httpError(502, 'Payment provider is unavailable');
+  }
+
+  await db.query(
+    'UPDATE payments SET provider_reference = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [charge.reference, payment.id]
+  );
+
+  // Providers that settle synchronously are handled like an immediate webhook
+  if (charge.status === 'paid' || charge.status === 'failed') {
+    await settlePayment(db, {
+      paymentId: payment.id,
+      succeeded: charge.status === 'paid',
+      failureReason: charge.failureReason
+    });
+  }
+
+  return getPayment(db, payment.id, user);
+};
+
+const getPaymentContractId = async (db, paymentId) => {
+  const result = await db.query(
+    `SELECT m.contract_id
+     FROM payments pay
+     JOIN milestones m ON pay.milestone_id = m.id
+     WHERE pay.id = ?`,
+    [paymentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  return result.rows[0].contract_id;
+};
+
+/**
+ * Apply a provider's final answer to a processing payment
+ * A successful payment is invoiced and funds the milestone's escrow; if the milestone can no longer
+ * be funded the money is kept on the client's ledger account instead
+ * @param {object} connection - Transaction client
+ * @param {object} settlement - { contractId, paymentId, succeeded, failureReason }
+ * @returns {Promise<object|null>} - Updated payment, or null if it was already settled
+ */
+const applySettlement = async (connection, { contractId, paymentId, succeeded, failureReason }) => {
+  // Lock in the same order as the milestone flows: contract, milestone, then payment
+  const contract = await getContractParties(connection, contractId, { forUpdate: true });
+  const paymentResult = await connection.query(
+    'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+    [paymentId]
+  );
+  const payment = paymentResult.rows[0];
+  const milestone = await getMilestoneForUpdate(connection, contract.id, payment.milestone_id);
+
+  if (payment.status !== 'processing') {
+    return null;
+  }
+
+  if (!succeeded) {
+    const failed = await connection.query(
+      `UPDATE payments
+       SET status = 'failed', failure_reason = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *`,
+      [failureReason || 'Payment failed', paymentId]
+    );
+    return failed.rows[0];
+  }
+
+  const paid = await connection.query(
+    `UPDATE payments
+     SET status = 'paid', paid_at = CURRENT_TIMESTAMP, failure_reason = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?
+     RETURNING *`,
+    [paymentId]
+  );
+
+  await issueInvoice(connection, paymentId);
+
+  if (contract.status === 'active' && milestone.status === 'pending') {
+    await fundEscrow(connection, {
+      contract,
+      milestone,
+      user: { userId: contract.client_user_id, role: 'client' },
+      clientFee: { amount: payment.client_fee, ruleId: payment.client_fee_rule_id }
+    });
+  } else {
+    const charged = ((toCents(payment.amount) + toCents(payment.client_fee)) / 100).toFixed(2);
+
+    await postTransaction(connection, {
+      kind: 'payment_unapplied',
+      referenceType: 'payment',
+      referenceId: payment.id,
+      currency: payment.currency,
+      description: `Payment for milestone "${milestone.title}" received after it was ${milestone.status}`,
+      entries: [
+        { account: { type: 'external' }, direction: 'debit', amount: charged },
+        { account: { type: 'client', ownerId: payment.payer_client_id }, direction: 'credit', amount: charged }
+      ]
+    });
+  }
+
+  return paid.rows[0];
+};
+
+/**
+ * Settle a processing payment
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} settlement - { paymentId, succeeded, failureReason }
+ * @returns {Promise<object|null>} - Updated payment, or null if it was already settled
+ */
+const settlePayment = async (db, { paymentId, succeeded, failureReason }) => {
+  const contractId = await getPaymentContractId(db, paymentId);
+
+  return db.transaction((connection) => applySettlement(connection, {
+    contractId,
+    paymentId,
+    succeeded,
+    failureReason
+  }));
+};
+
+/**
+ * Handle a webhook callback from a payment provider
+ * Events are recorded by provider event ID in the same transaction that applies them,
+ * so redelivered webhooks are acknowledged but ignored. An event must carry the provider reference
+ * stored for its payment.
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} providerName - Provider key from the webhook URL
+ * @param {object} request - { rawBody, headers }
+ * @returns {Promise<{duplicate: boolean, payment: object|null}>}
+ */
+const handleWebhook = async (db, providerName, { rawBody, headers }) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook({ rawBody, headers });
+
+  if (!event.id || !event.paymentId) {
+    throw httpError(400, 'Webhook event is missing its ID or payment reference');
+  }
+
+  const paymentResult = await db.query(
+    'SELECT provider, provider_reference FROM payments WHERE id = ?',
+    [event.paymentId]
+  );
+
+  if (paymentResult.rows.length === 0 || paymentResult.rows[0].provider !== provider.name) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  // A validly signed event must still be about this payment's charge
+  const { provider_reference: reference } = paymentResult.rows[0];
+
+  if (!reference) {
+    throw httpError(409, 'Payment has no provider reference yet; retry the webhook later');
+  }
+
+  if (event.reference !== reference) {
+    throw httpError(400, 'Webhook event does not match the payment provider reference');
+  }
+
+  const contractId = await getPaymentContractId(db, event.paymentId);
+
+  return db.transaction(async (connection) => {
+    const recorded = await connection.query(
+      `INSERT INTO payment_webhook_events (id, provider, event_id, event_type, payment_id, payload)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (provider, event_id) DO NOTHING
+       RETURNING id`,
+      [randomUUID(), provider.name, event.id, event.type, event.paymentId, JSON.stringify(event.payload)]
+    );
+
+    if (recorded.rows.length === 0) {
+      return { duplicate: true, payment: null };
+    }
+
+    if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+      return { duplicate: false, payment: null };
+    }
+
+    const payment = await applySettlement(connection, {
+      contractId,
+      paymentId: event.paymentId,
+      succeeded: event.type === 'payment.succeeded',
+      failureReason: event.failureReason
+    });
+
+    return { duplicate: false, payment };
+  });
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  listPayments,
+  getPayment,
+  createPayment,
+  settlePayment,
+  handleWebhook
+};
@@ -0,0 +1,31 @@
+const { escapeHtmlSql } = require('../utils/highlight');
+
+/**
+ * Full-text search over projects (see migration 020_project_search)
+ * Fragments for project listings that alias projects as p.
+ * q uses web search syntax: words, "quoted phrases", OR, -excluded.
+ * Title matches outrank skill-name matches, which outrank description matches.
+ */
+
+// Takes one parameter (the q string); goes after the listing's other joins
+const PROJECT_SEARCH_JOIN = `
+  JOIN project_search search ON search.project_id = p.id
+  CROSS JOIN websearch_to_tsquery('english', ?) search_query
+`;
+
+const PROJECT_SEARCH_CONDITION = 'search.search_vector @@ search_query';
+
+// search_rank, plus title_highlight and snippet (description excerpts) with <mark> highlights
+const PROJECT_SEARCH_COLUMNS = `
+  ts_rank(search.search_vector, search_query) AS search_rank,
+  ts_headline('english', ${escapeHtmlSql('p.title')}, search_query,
+    'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+  ts_headline('english', ${escapeHtmlSql('p.description')}, search_query,
+    'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2') AS snippet
+`;
+
+module.exports = {
+  PROJECT_SEARCH_JOIN,
+  PROJECT_SEARCH_CONDITION,
+  PROJECT_SEARCH_COLUMNS
+};
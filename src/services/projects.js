@@ -0,0 +1,117 @@
+const { paginate } = require('../utils/pagination');
+const {
+  PROJECT_SEARCH_JOIN,
+  PROJECT_SEARCH_CONDITION,
+  PROJECT_SEARCH_COLUMNS
+} = require('./projectSearch');
+
+/**
+ * Add skills and proposal_count to a page of projects
+ * One batched query for the whole page rather than one per project
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {Array} projects - Project rows
+ * @returns {Promise<Array>} - The same rows
+ */
+const attachSkillsAndProposalCounts = async (db, projects) => {
+  if (projects.length === 0) {
+    return projects;
+  }
+
+  const result = await db.query(
+    `WITH page AS (SELECT UNNEST(?::uuid[]) AS id)
+     SELECT page.id,
+            COALESCE(skills.skills, '[]'::json) AS skills,
+            COALESCE(proposals.proposal_count, 0) AS proposal_count
+     FROM page
+     LEFT JOIN (
+       SELECT ps.project_id,
+              json_agg(json_build_object('id', s.id, 'name', s.name, 'category', s.category) ORDER BY s.name) AS skills
+       FROM project_skills ps
+       JOIN skills s ON s.id = ps.skill_id
+       WHERE ps.project_id IN (SELECT id FROM page)
+       GROUP BY ps.project_id
+     ) skills ON skills.project_id = page.id
+     LEFT JOIN (
+       SELECT project_id, COUNT(*)::int AS proposal_count
+       FROM proposals
+       WHERE project_id IN (SELECT id FROM page)
+       GROUP BY project_id
+     ) proposals ON proposals.project_id = page.id`,
+    [projects.map((project) => project.id)]
+  );
+
+  const details = new Map(result.rows.map((row) => [row.id, row]));
+
+  for (const project of projects) {
+    const { skills, proposal_count } = details.get(project.id);
+    project.skills = skills;
+    project.proposal_count = proposal_count;
+  }
+
+  return projects;
+};
+
+/**
+ * One page of the project listing (GET /api/projects), newest first or, with q, best matches first
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} filters - { q, status, project_type, min_budget, max_budget }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows carry skills and proposal_count
+ */
+const listProjects = async (db, { q, status, project_type, min_budget, max_budget } = {}, page) => {
+  const search = typeof q === 'string' ? q.trim() : '';
+
+  let sql = `
+    SELECT p.*,
+           c.company_name,
+           CONCAT_WS(' ', u.first_name, u.last_name) AS client_name${search ? `,${PROJECT_SEARCH_COLUMNS}` : ''}
+    FROM projects p
+    JOIN client_profiles c ON p.client_id = c.id
+    JOIN users u ON c.user_id = u.id
+    ${search ? PROJECT_SEARCH_JOIN : ''}
+    WHERE 1=1
+  `;
+
+  const params = [];
+
+  if (search) {
+    sql += ` AND ${PROJECT_SEARCH_CONDITION}`;
+    params.push(search);
+  }
+
+  if (status) {
+    sql += ' AND p.status = ?';
+    params.push(status);
+  }
+
+  if (project_type) {
+    sql += ' AND p.project_type = ?';
+    params.push(project_type);
+  }
+
+  if (min_budget) {
+    sql += ' AND p.budget_min >= ?';
+    params.push(min_budget);
+  }
+
+  if (max_budget) {
+    sql += ' AND p.budget_max <= ?';
+    params.push(max_budget);
+  }
+
+  const result = await paginate(db, {
+    sql,
+    params,
+    keys: search ? ['search_rank', 'posted_at', 'id'] : ['posted_at', 'id'],
+    page
+  });
+
+  await attachSkillsAndProposalCounts(db, result.rows);
+
+  return result;
+};
+
+module.exports = {
+  attachSkillsAndProposalCounts,
+  listProjects
+};
@@ -0,0 +1,120 @@
+const pool = require('../config/database');
+const { EVENT_CHANNEL } = require('./events');
+
+/**
+ * Real-time delivery hub for this server instance
+ * - keeps the open event streams per user
+ * - holds one dedicated connection LISTENing on the events channel, so events published by
+ *   any instance (pg_notify) reach the users connected to this one
+ */
+
+const RECONNECT_DELAY_MS = 5000;
+
+// userId -> Set of stream writers ({ send(type, data) })
+const subscribers = new Map();
+
+let listener = null;
+let connecting = null;
+
+const dispatch = (payload) => {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    console.error('Ignoring malformed real-time event:', error.message);
+    return;
+  }
+
+  for (const userId of event.user_ids || []) {
+    for (const stream of subscribers.get(userId) || []) {
+      stream.send(event.type, event.data);
+    }
+  }
+};
+
+const scheduleReconnect = () => {
+  setTimeout(() => {
+    if (subscribers.size > 0) {
+      startListener().catch((error) => {
+        console.error('Real-time listener reconnect failed:', error.message);
+        scheduleReconnect();
+      });
+    }
+  }, RECONNECT_DELAY_MS).unref();
+};
+
+/**
+ * Open the LISTEN connection (once per instance)
+ * @returns {Promise<void>}
+ */
+const startListener = async () => {
+  if (listener) {
+    return;
+  }
+
+  if (!connecting) {
+    connecting = (async () => {
+      const client = await pool.connect();
+
+      client.on('notification', (message) => {
+        if (message.channel === EVENT_CHANNEL) {
+          dispatch(message.payload);
+        }
+      });
+
+      client.on('error', (error) => {
+        // Before LISTEN succeeds, the failed query below releases the client
+        if (listener !== client) {
+          return;
+        }
+
+        console.error('Real-time listener connection lost:', error.message);
+        listener = null;
+        client.release(error);
+        scheduleReconnect();
+      });
+
+      try {
+        await client.query(`LISTEN ${EVENT_CHANNEL}`);
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+
+      listener = client;
+    })().finally(() => {
+      connecting = null;
+    });
+  }
+
+  await connecting;
+};
+
+/**
+ * Register a user's stream; events for the user are passed to stream.send(type, data)
+ * @param {string} userId - User ID
+ * @param {object} stream - { send(type, data) }
+ * @returns {Promise<Function>} - Call to unsubscribe
+ */
+const subscribe = async (userId, stream) => {
+  await startListener();
+
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(stream);
+
+  return () => {
+    const streams = subscribers.get(userId);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) {
+        subscribers.delete(userId);
+      }
+    }
+  };
+};
+
+module.exports = {
+  subscribe
+};
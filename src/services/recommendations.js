@@ -0,0 +1,218 @@
+/**
+ * Project recommendations for freelancers
+ * Open public projects sharing at least one skill with the freelancer are scored on:
+ * - skills: project skills the freelancer has, weighted by proficiency (expert = full weight)
+ * - rate: how well the profile hourly_rate fits an hourly project's budget range
+ *   (profile rates are taken to be in BASE_CURRENCY; budgets are converted)
+ * - recency: halves every HALF_LIFE_DAYS (14) days since posting
+ * A component that does not apply (fixed-price project, no rate on the profile, no exchange rate)
+ * is left out and the remaining weights are scaled up.
+ */
+const { httpError } = require('../utils/httpError');
+const { paginateRows } = require('../utils/pagination');
+const { BASE_CURRENCY } = require('./exchangeRates');
+const { PROFICIENCY_LEVELS } = require('./freelancerSkills');
+
+const WEIGHTS = { skills: 0.6, rate: 0.25, recency: 0.15 };
+
+const HALF_LIFE_DAYS = 14;
+
+// Most recent matching projects scored per request
+const CANDIDATE_LIMIT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const formatAmount = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+/**
+ * Fraction of the project's skills the freelancer has, each counted by proficiency / 5
+ */
+const scoreSkills = (projectSkills, freelancerSkills) => {
+  const matched = [];
+  const missing = [];
+
+  for (const skill of projectSkills) {
+    const own = freelancerSkills.get(skill.id);
+    if (own) {
+      matched.push({
+        id: skill.id,
+        name: skill.name,
+        proficiency: own.proficiency,
+        proficiency_label: PROFICIENCY_LEVELS[own.proficiency] || null
+      });
+    } else {
+      missing.push({ id: skill.id, name: skill.name });
+    }
+  }
+
+  const weighted = matched.reduce((total, skill) => total + (skill.proficiency || 1) / 5, 0);
+  const score = projectSkills.length === 0 ? 0 : weighted / projectSkills.length;
+
+  matched.sort((a, b) => (b.proficiency || 0) - (a.proficiency || 0));
+
+  return { score, matched, missing };
+};
+
+/**
+ * 1 inside the budget range (or under it), falling to 0 at twice budget_max
+ * @returns {{score: number, reason: string}|null} - null when the rate cannot be compared
+ */
+const scoreRate = (project, hourlyRate, converter) => {
+  if (project.project_type !== 'hourly' || hourlyRate === null || hourlyRate === undefined) {
+    return null;
+  }
+
+  if (project.budget_min === null && project.budget_max === null) {
+    return null;
+  }
+
+  const rate = Number(hourlyRate);
+  const toBase = converter.rate(project.currency, BASE_CURRENCY);
+  if (toBase === null) {
+    return null;
+  }
+
+  const min = project.budget_min === null ? null : Number(project.budget_min) * toBase;
+  const max = project.budget_max === null ? null : Number(project.budget_max) * toBase;
+  const yourRate = `Your ${formatAmount(rate, BASE_CURRENCY)}/hr rate`;
+  const budget = min !== null && max !== null
+    ? `the ${Number(min).toFixed(2)}-${formatAmount(max, BASE_CURRENCY)}/hr budget`
+    : `the ${formatAmount(min ?? max, BASE_CURRENCY)}/hr budget`;
+
+  if (max === null || rate <= max) {
+    return {
+      score: 1,
+      reason: min !== null && rate < min ? `${yourRate} is under ${budget}` : `${yourRate} is within ${budget}`
+    };
+  }
+
+  return {
+    score: Math.max(0, 1 - (rate - max) / max),
+    reason: `${yourRate} is above ${budget}`
+  };
+};
+
+const scoreRecency = (postedAt, now) => {
+  const ageDays = Math.max(0, (now - new Date(postedAt).getTime()) / DAY_MS);
+  const days = Math.floor(ageDays);
+
+  return {
+    score: 0.5 ** (ageDays / HALF_LIFE_DAYS),
+    reason: days === 0 ? 'Posted today' : `Posted ${days} day${days === 1 ? '' : 's'} ago`
+  };
+};
+
+const skillReason = ({ matched }, total) => {
+  const names = matched
+    .slice(0, 3)
+    .map((skill) => (skill.proficiency_label ? `${skill.name} (${skill.proficiency_label})` : skill.name));
+  const more = matched.length > 3 ? ` and ${matched.length - 3} more` : '';
+
+  return `Matches ${matched.length} of ${total} skill${total === 1 ? '' : 's'}: ${names.join(', ')}${more}`;
+};
+
+/**
+ * Rank open projects for a freelancer
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} userId - The freelancer's user ID
+ * @param {object} converter - From createConverter
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginateRows; each project carries match: { score, skill_score,
+ *   rate_score, recency_score, matched_skills, missing_skills, reasons, explanation }
+ */
+const recommendProjects = async (db, userId, converter, page) => {
+  const profileResult = await db.query(
+    'SELECT id, hourly_rate FROM freelancer_profiles WHERE user_id = ?',
+    [userId]
+  );
+
+  if (profileResult.rows.length === 0) {
+    throw httpError(404, 'Freelancer profile not found');
+  }
+
+  const profile = profileResult.rows[0];
+
+  const skillsResult = await db.query(
+    'SELECT skill_id, proficiency FROM freelancer_skills WHERE freelancer_id = ?',
+    [profile.id]
+  );
+  const freelancerSkills = new Map(skillsResult.rows.map((row) => [row.skill_id, row]));
+
+  if (freelancerSkills.size === 0) {
+    return paginateRows([], page);
+  }
+
+  // Projects already bid on are left out
+  const candidates = await db.query(
+    `SELECT p.*,
+            c.company_name,
+            CONCAT_WS(' ', u.first_name, u.last_name) AS client_name,
+            (SELECT COUNT(*) FROM proposals WHERE project_id = p.id)::int AS proposal_count,
+            (SELECT COALESCE(json_agg(json_build_object('id', s.id, 'name', s.name, 'category', s.category)
+                                      ORDER BY s.name), '[]'::json)
+             FROM project_skills ps
+             JOIN skills s ON s.id = ps.skill_id
+             WHERE ps.project_id = p.id) AS skills
+     FROM projects p
+     JOIN client_profiles c ON p.client_id = c.id
+     JOIN users u ON c.user_id = u.id
+     WHERE p.status = 'open'
+       AND p.visibility = 'public'
+       AND EXISTS (
+         SELECT 1 FROM project_skills ps
+         WHERE ps.project_id = p.id AND ps.skill_id = ANY(?)
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM proposals pr
+         WHERE pr.project_id = p.id AND pr.freelancer_id = ?
+       )
+     ORDER BY p.posted_at DESC
+     LIMIT ?`,
+    [[...freelancerSkills.keys()], profile.id, CANDIDATE_LIMIT]
+  );
+
+  const now = Date.now();
+
+  const scored = candidates.rows.map((project) => {
+    const skills = scoreSkills(project.skills, freelancerSkills);
+    const rate = scoreRate(project, profile.hourly_rate, converter);
+    const recency = scoreRecency(project.posted_at, now);
+
+    const components = [[WEIGHTS.skills, skills.score], [WEIGHTS.recency, recency.score]];
+    if (rate) {
+      components.push([WEIGHTS.rate, rate.score]);
+    }
+    const totalWeight = components.reduce((total, [weight]) => total + weight, 0);
+    const score = components.reduce((total, [weight, value]) => total + weight * value, 0) / totalWeight;
+
+    const reasons = [skillReason(skills, project.skills.length)];
+    if (rate) {
+      reasons.push(rate.reason);
+    }
+    reasons.push(recency.reason);
+
+    return {
+      ...project,
+      match: {
+        score: round(score),
+        skill_score: round(skills.score),
+        rate_score: rate ? round(rate.score) : null,
+        recency_score: round(recency.score),
+        matched_skills: skills.matched,
+        missing_skills: skills.missing,
+        reasons,
+        explanation: reasons.join('. ')
+      }
+    };
+  });
+
+  scored.sort((a, b) => b.match.score - a.match.score || new Date(b.posted_at) - new Date(a.posted_at));
+
+  return paginateRows(scored, page);
+};
+
+module.exports = {
+  recommendProjects
+};
@@ -0,0 +1,241 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const {
+  recordReviewEvent,
+  getReviewForUpdate,
+  refreshRevieweeRating
+} = require('./reviews');
+
+/**
+ * Report a published review as abusive; each user reports a review once
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @param {object} user - req.user
+ * @param {string} reason - Why the review is abusive
+ * @returns {Promise<object>} - review_reports row
+ */
+const reportReview = async (db, reviewId, user, reason) => {
+  return db.transaction(async (connection) => {
+    const reviewResult = await connection.query(
+      'SELECT id, is_revealed, is_hidden FROM reviews WHERE id = ?',
+      [reviewId]
+    );
+    const review = reviewResult.rows[0];
+
+    if (!review || !review.is_revealed) {
+      throw httpError(404, 'Review not found');
+    }
+
+    if (review.is_hidden) {
+      throw httpError(400, 'This review has already been hidden by a moderator');
+    }
+
+    const result = await connection.query(
+      `INSERT INTO review_reports (id, review_id, reporter_user_id, reason)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (review_id, reporter_user_id) DO NOTHING
+       RETURNING *`,
+      [randomUUID(), reviewId, user.userId, reason]
+    );
+
+    if (result.rows.length === 0) {
+      throw httpError(409, 'You have already reported this review');
+    }
+
+    await recordReviewEvent(connection, { reviewId, actorUserId: user.userId, action: 'reported', note: reason });
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * The moderation queue: reviews with open reports, longest-waiting first
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are reviews with report_count, first_reported_at
+ *   and their open reports
+ */
+const listModerationQueue = async (db, page) => paginate(db, {
+  sql: `
+    SELECT r.*,
+           CONCAT_WS(' ', ur.first_name, ur.last_name) AS reviewer_name,
+           CONCAT_WS(' ', ue.first_name, ue.last_name) AS reviewee_name,
+           COUNT(rr.id) AS report_count,
+           MIN(rr.created_at) AS first_reported_at,
+           json_agg(
+             json_build_object(
+               'id', rr.id,
+               'reporter_user_id', rr.reporter_user_id,
+               'reason', rr.reason,
+               'created_at', rr.created_at
+             ) ORDER BY rr.created_at
+           ) AS reports
+    FROM review_reports rr
+    JOIN reviews r ON rr.review_id = r.id
+    JOIN users ur ON r.reviewer_user_id = ur.id
+    JOIN users ue ON r.reviewee_user_id = ue.id
+    WHERE rr.status = 'open'
+    GROUP BY r.id, ur.first_name, ur.last_name, ue.first_name, ue.last_name
+  `,
+  keys: ['first_reported_at', 'id'],
+  order: 'ASC',
+  page
+});
+
+/**
+ * Close a review's open reports
+ */
+const resolveOpenReports = async (connection, reviewId, status, user) => {
+  const result = await connection.query(
+    `UPDATE review_reports
+     SET status = ?, resolved_by_user_id = ?, resolved_at = CURRENT_TIMESTAMP
+     WHERE review_id = ? AND status = 'open'`,
+    [status, user.userId, reviewId]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Hide a review: it leaves public listings and the reviewee's rating, and its open reports are actioned
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @param {object} user - req.user
+ * @param {string} reason - Moderation reason (kept in the audit trail)
+ * @returns {Promise<object>} - { review, reviewee_rating }
+ */
+const hideReview = async (db, reviewId, user, reason) => {
+  return db.transaction(async (connection) => {
+    const { review, contract } = await getReviewForUpdate(connection, reviewId);
+
+    if (review.is_hidden) {
+      throw httpError(409, 'Review is already hidden');
+    }
+
+    const result = await connection.query(
+      `UPDATE reviews
+       SET is_hidden = TRUE, hidden_reason = ?, hidden_by_user_id = ?, hidden_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *`,
+      [reason, user.userId, reviewId]
+    );
+
+    await resolveOpenReports(connection, reviewId, 'actioned', user);
+    await recordReviewEvent(connection, { reviewId, actorUserId: user.userId, action: 'hidden', note: reason });
+
+    const revieweeRating = await refreshRevieweeRating(connection, contract, review);
+
+    return { review: result.rows[0], reviewee_rating: revieweeRating };
+  });
+};
+
+/**
+ * Restore a hidden review to listings and the reviewee's rating
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @param {object} user - req.user
+ * @param {string} [note] - Why it was restored
+ * @returns {Promise<object>} - { review, reviewee_rating }
+ */
+const unhideReview = async (db, reviewId, user, note) => {
+  return db.transaction(async (connection) => {
+    const { review, contract } = await getReviewForUpdate(connection, reviewId);
+
+    if (!review.is_hidden) {
+      throw httpError(409, 'Review is not hidden');
+    }
+
+    const result = await connection.query(
+      `UPDATE reviews
+       SET is_hidden = FALSE, hidden_reason = NULL, hidden_by_user_id = NULL, hidden_at = NULL
+       WHERE id = ?
+       RETURNING *`,
+      [reviewId]
+    );
+
+    await recordReviewEvent(connection, { reviewId, actorUserId: user.userId, action: 'unhidden', note: note ?? null });
+
+    const revieweeRating = await refreshRevieweeRating(connection, contract, review);
+
+    return { review: result.rows[0], reviewee_rating: revieweeRating };
+  });
+};
+
+/**
+ * Dismiss a review's open reports, keeping it published
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @param {object} user - req.user
+ * @param {string} [note] - Moderator note
+ * @returns {Promise<object>} - { review_id, dismissed }
+ */
+const dismissReports = async (db, reviewId, user, note) => {
+  return db.transaction(async (connection) => {
+    await getReviewForUpdate(connection, reviewId);
+
+    const dismissed = await resolveOpenReports(connection, reviewId, 'dismissed', user);
+
+    if (dismissed === 0) {
+      throw httpError(409, 'This review has no open reports');
+    }
+
+    await recordReviewEvent(connection, {
+      reviewId,
+      actorUserId: user.userId,
+      action: 'reports_dismissed',
+      note: note ?? null
+    });
+
+    return { review_id: reviewId, dismissed };
+  });
+};
+
+/**
+ * A review's moderation record: every report and the audit trail of events
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<object>} - { review, reports, events }
+ */
+const getReviewModerationHistory = async (db, reviewId) => {
+  const reviewResult = await db.query('SELECT * FROM reviews WHERE id = ?', [reviewId]);
+
+  if (reviewResult.rows.length === 0) {
+    throw httpError(404, 'Review not found');
+  }
+
+  const reports = await db.query(
+    `SELECT rr.*, CONCAT_WS(' ', u.first_name, u.last_name) AS reporter_name
+     FROM review_reports rr
+     JOIN users u ON rr.reporter_user_id = u.id
+     WHERE rr.review_id = ?
+     ORDER BY rr.created_at ASC`,
+    [reviewId]
+  );
+
+  const events = await db.query(
+    `SELECT e.*,
+            CONCAT_WS(' ', u.first_name, u.last_name) AS actor_name,
+            u.role AS actor_role
+     FROM review_events e
+     LEFT JOIN users u ON e.actor_user_id = u.id
+     WHERE e.review_id = ?
+     ORDER BY e.created_at ASC`,
+    [reviewId]
+  );
+
+  return { review: reviewResult.rows[0], reports: reports.rows, events: events.rows };
+};
+
+module.exports = {
+  reportReview,
+  listModerationQueue,
+  hideReview,
+  unhideReview,
+  dismissReports,
+  getReviewModerationHistory
+};
@@ -0,0 +1,331 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+} = require('./contracts');
+
+// Days after a contract's end_at before hidden reviews are published anyway (and reviewing closes)
+const parsedRevealDays = Number.parseInt(process.env.REVIEW_REVEAL_DAYS, 10);
+const REVIEW_REVEAL_DAYS = Number.isNaN(parsedRevealDays) ? 14 : parsedRevealDays;
+
+// Profile table holding the aggregates for each side of a contract
+const PROFILE_TABLES = {
+  client: 'client_profiles',
+  freelancer: 'freelancer_profiles'
+};
+
+const REVIEW_SELECT = `
+  SELECT r.*,
+         ur.first_name AS reviewer_first_name,
+         ur.last_name AS reviewer_last_name,
+         ur.role AS reviewer_role,
+         c.project_id,
+         p.title AS project_title
+  FROM reviews r
+  JOIN users ur ON r.reviewer_user_id = ur.id
+  JOIN contracts c ON r.contract_id = c.id
+  LEFT JOIN projects p ON c.project_id = p.id
+`;
+
+/**
+ * Lock a reviewee's profile row so concurrent reviews recalculate one after the other
+ * @param {object} connection - Transaction client
+ * @param {string} side - 'client' or 'freelancer'
+ * @param {string} userId - Reviewee user ID
+ */
+const lockProfile = async (connection, side, userId) => {
+  await connection.query(
+    `SELECT id FROM ${PROFILE_TABLES[side]} WHERE user_id = ? FOR UPDATE`,
+    [userId]
+  );
+};
+
+/**
+ * Recalculate a profile's rating_avg / rating_count from its revealed, visible reviews
+ * Call after lockProfile in the same transaction, so the aggregate sees every committed review
+ * @param {object} connection - Transaction client
+ * @param {string} side - 'client' or 'freelancer'
+ * @param {string} userId - Reviewee user ID
+ * @returns {Promise<object|null>} - { rating_avg, rating_count }
+ */
+const recalculateRating = async (connection, side, userId) => {
+  const result = await connection.query(
+    `UPDATE ${PROFILE_TABLES[side]} profile
+     SET rating_avg = stats.rating_avg,
+         rating_count = stats.rating_count
+     FROM (
+       SELECT ROUND(COALESCE(AVG(rating), 0), 2) AS rating_avg, COUNT(*) AS rating_count
+       FROM reviews
+       WHERE reviewee_user_id = ? AND is_revealed = TRUE AND is_hidden = FALSE
+     ) stats
+     WHERE profile.user_id = ?
+     RETURNING profile.rating_avg, profile.rating_count`,
+    [userId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Lock and recalculate the rating of a review's reviewee
+ * @param {object} connection - Transaction client
+ * @param {object} contract - Contract row from getContractParties (gives the reviewee's side)
+ * @param {object} review - reviews row
+ * @returns {Promise<object|null>} - { rating_avg, rating_count }
+ */
+const refreshRevieweeRating = async (connection, contract, review) => {
+  const side = review.reviewee_user_id === contract.freelancer_user_id ? 'freelancer' : 'client';
+  await lockProfile(connection, side, review.reviewee_user_id);
+  return recalculateRating(connection, side, review.reviewee_user_id);
+};
+
+/**
+ * Publish a contract's hidden reviews and recalculate the reviewees' ratings
+ * The caller must hold the contract row lock (getContractParties with forUpdate)
+ * @param {object} connection - Transaction client
+ * @param {object} contract - Contract row from getContractParties
+ * @returns {Promise<Array>} - The reviews that were revealed
+ */
+const revealContractReviews = async (connection, contract) => {
+  const result = await connection.query(
+    `UPDATE reviews
+     SET is_revealed = TRUE, revealed_at = CURRENT_TIMESTAMP
+     WHERE contract_id = ? AND is_revealed = FALSE
+     RETURNING *`,
+    [contract.id]
+  );
+
+  // Lock profiles in a fixed order so concurrent reveals cannot deadlock
+  const byReviewee = [...result.rows].sort((a, b) => a.reviewee_user_id.localeCompare(b.reviewee_user_id));
+
+  for (const review of byReviewee) {
+    await refreshRevieweeRating(connection, contract, review);
+  }
+
+  return result.rows;
+};
+
+/**
+ * Leave a review on a completed contract
+ * Each party reviews the other once. Reviews are double-blind: a review stays hidden until the
+ * other party has reviewed too (both are then revealed and counted) or the reveal window runs out
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {object} data - { rating, comment }
+ * @returns {Promise<object>} - The review (is_revealed tells whether it is public yet)
+ */
+const createReview = async (db, contractId, user, { rating, comment }) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    const { isClient, isFreelancer } = getContractRole(contract, user);
+
+    if (!isClient && !isFreelancer) {
+      throw httpError(403, 'Only the parties to a contract can review it');
+    }
+
+    if (contract.status !== 'completed') {
+      throw httpError(400, 'Reviews can only be left once the contract is completed');
+    }
+
+    const windowClosesAt = contract.end_at
+      ? new Date(new Date(contract.end_at).getTime() + REVIEW_REVEAL_DAYS * 24 * 60 * 60 * 1000)
+      : null;
+    if (windowClosesAt && windowClosesAt <= new Date()) {
+      throw httpError(400, 'The review window for this contract has closed');
+    }
+
+    const existing = await connection.query(
+      'SELECT id FROM reviews WHERE contract_id = ? AND reviewer_user_id = ?',
+      [contractId, user.userId]
+    );
+
+    if (existing.rows.length > 0) {
+      throw httpError(409, 'You have already reviewed this contract');
+    }
+
+    const revieweeUserId = isClient ? contract.freelancer_user_id : contract.client_user_id;
+
+    const result = await connection.query(
+      `INSERT INTO reviews (id, contract_id, reviewer_user_id, reviewee_user_id, rating, comment, reviewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [randomUUID(), contractId, user.userId, revieweeUserId, rating, comment ?? null]
+    );
+    const review = result.rows[0];
+
+    // Both parties have now reviewed: publish both
+    const counterpart = await connection.query(
+      'SELECT id FROM reviews WHERE contract_id = ? AND reviewer_user_id = ?',
+      [contractId, revieweeUserId]
+    );
+
+    if (counterpart.rows.length > 0) {
+      const revealed = await revealContractReviews(connection, contract);
+      return revealed.find((row) => row.id === review.id) || review;
+    }
+
+    return review;
+  });
+};
+
+/**
+ * Publish hidden reviews whose reveal window has run out
+ * The window starts at the contract's end_at (or the first review, for contracts without one)
+ * Run periodically by the review reveal job
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @returns {Promise<{contracts: number, reviews: number}>} - How much was revealed
+ */
+const revealExpiredReviews = async (db) => {
+  const due = await db.query(
+    `SELECT r.contract_id
+     FROM reviews r
+     JOIN contracts c ON r.contract_id = c.id
+     WHERE r.is_revealed = FALSE
+     GROUP BY r.contract_id, c.end_at
+     HAVING COALESCE(c.end_at, MIN(r.reviewed_at)) + make_interval(days => ?) <= NOW()`,
+    [REVIEW_REVEAL_DAYS]
+  );
+
+  let reviews = 0;
+  for (const { contract_id: contractId } of due.rows) {
+    const revealed = await db.transaction(async (connection) => {
+      const contract = await getContractParties(connection, contractId, { forUpdate: true });
+      return revealContractReviews(connection, contract);
+    });
+    reviews += revealed.length;
+  }
+
+  return { contracts: due.rows.length, reviews };
+};
+
+/**
+ * Append to a review's audit trail (review_events)
+ * @param {object} connection - Transaction client
+ * @param {object} event - { reviewId, actorUserId, action, note }
+ */
+const recordReviewEvent = async (connection, { reviewId, actorUserId, action, note = null }) => {
+  await connection.query(
+    `INSERT INTO review_events (id, review_id, actor_user_id, action, note)
+     VALUES (?, ?, ?, ?, ?)`,
+    [randomUUID(), reviewId, actorUserId, action, note]
+  );
+};
+
+/**
+ * Lock a review for a change, taking the contract lock first like every other review write
+ * @param {object} connection - Transaction client
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<{review: object, contract: object}>}
+ */
+const getReviewForUpdate = async (connection, reviewId) => {
+  const found = await connection.query('SELECT contract_id FROM reviews WHERE id = ?', [reviewId]);
+
+  if (found.rows.length === 0) {
+    throw httpError(404, 'Review not found');
+  }
+
+  const contract = await getContractParties(connection, found.rows[0].contract_id, { forUpdate: true });
+  const result = await connection.query('SELECT * FROM reviews WHERE id = ? FOR UPDATE', [reviewId]);
+
+  return { review: result.rows[0], contract };
+};
+
+/**
+ * Publicly reply to a review you received; each review gets one reply
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} reviewId - Review ID
+ * @param {object} user - req.user (the reviewee)
+ * @param {string} reply - Reply text
+ * @returns {Promise<object>} - Updated review
+ */
+const replyToReview = async (db, reviewId, user, reply) => {
+  return db.transaction(async (connection) => {
+    const { review } = await getReviewForUpdate(connection, reviewId);
+
+    if (review.reviewee_user_id !== user.userId) {
+      throw httpError(403, 'Only the reviewed user can reply to a review');
+    }
+
+    if (!review.is_revealed || review.is_hidden) {
+      throw httpError(400, 'Only published reviews can be replied to');
+    }
+
+    if (review.reply !== null) {
+      throw httpError(409, 'You have already replied to this review');
+    }
+
+    const result = await connection.query(
+      `UPDATE reviews SET reply = ?, replied_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`,
+      [reply, reviewId]
+    );
+
+    await recordReviewEvent(connection, { reviewId, actorUserId: user.userId, action: 'replied' });
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * List the reviews left on a contract
+ * Unrevealed reviews are only shown to their author, moderated (hidden) ones only to admins
+ * Protected: contract participants or admin
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @returns {Promise<Array>} - Reviews, oldest first
+ */
+const listContractReviews = async (db, contractId, user) => {
+  const contract = await getContractParties(db, contractId);
+  const { isAdmin } = assertContractParticipant(contract, user);
+
+  const result = await db.query(
+    `${REVIEW_SELECT}
+     WHERE r.contract_id = ?
+       AND ((r.is_revealed = TRUE AND r.is_hidden = FALSE) OR r.reviewer_user_id = ? OR ?)
+     ORDER BY r.reviewed_at ASC`,
+    [contractId, user.userId, isAdmin]
+  );
+
+  return result.rows;
+};
+
+/**
+ * List the published (revealed, not hidden) reviews a user has received, newest first
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} userId - Reviewee user ID
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate
+ */
+const listUserReviews = async (db, userId, page) => {
+  const userResult = await db.query('SELECT id FROM users WHERE id = ?', [userId]);
+
+  if (userResult.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+
+  return paginate(db, {
+    sql: `${REVIEW_SELECT} WHERE r.reviewee_user_id = ? AND r.is_revealed = TRUE AND r.is_hidden = FALSE`,
+    params: [userId],
+    keys: ['revealed_at', 'id'],
+    page
+  });
+};
+
+module.exports = {
+  REVIEW_REVEAL_DAYS,
+  lockProfile,
+  recalculateRating,
+  refreshRevieweeRating,
+  revealContractReviews,
+  revealExpiredReviews,
+  recordReviewEvent,
+  getReviewForUpdate,
+  createReview,
+  replyToReview,
+  listContractReviews,
+  listUserReviews
+};
@@ -0,0 +1,414 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Skills with their synonyms and how many projects / freelancers use them
+ */
+const SKILL_SELECT = `
+  SELECT s.id, s.name, s.category, s.is_deprecated, s.deprecated_at,
+         COALESCE(syn.synonyms, '[]'::json) AS synonyms,
+         (SELECT COUNT(*)::int FROM project_skills ps WHERE ps.skill_id = s.id) AS project_count,
+         (SELECT COUNT(*)::int FROM freelancer_skills fs WHERE fs.skill_id = s.id) AS freelancer_count
+  FROM skills s
+  LEFT JOIN LATERAL (
+    SELECT json_agg(json_build_object('id', ss.id, 'name', ss.name) ORDER BY ss.name) AS synonyms
+    FROM skill_synonyms ss
+    WHERE ss.skill_id = s.id
+  ) syn ON TRUE
+`;
+
+// Escape LIKE wildcards so user input only matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Group skills by category (categories alphabetically, uncategorized last)
+ * @param {Array} skills - Skill rows
+ * @returns {Array<{category: string|null, skills: Array}>}
+ */
+const groupByCategory = (skills) => {
+  const groups = new Map();
+
+  for (const skill of skills) {
+    if (!groups.has(skill.category)) {
+      groups.set(skill.category, []);
+    }
+    groups.get(skill.category).push(skill);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([category, categorySkills]) => ({ category, skills: categorySkills }));
+};
+
+/**
+ * Search the taxonomy (for autocomplete): q matches skill names and synonyms, case-insensitively
+ * Exact matches rank first, then prefix matches, then matches anywhere in the name.
+ * A skill found through a synonym carries matched_synonym (e.g. q=reactjs returns React).
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} filters - { q, category, include_deprecated }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; with q, rows carry matched_synonym and match_rank
+ */
+const listSkills = async (db, { q, category, include_deprecated = false } = {}, page) => {
+  const params = [];
+  let sql;
+
+  if (q) {
+    const term = q.trim().toLowerCase();
+    sql = `
+      SELECT skills.*, match.matched_synonym, match.match_rank
+      FROM (${SKILL_SELECT}) skills
+      JOIN LATERAL (
+        SELECT candidate.synonym AS matched_synonym,
+               CASE
+                 WHEN LOWER(candidate.name) = ? THEN 0
+                 WHEN LOWER(candidate.name) LIKE ? THEN 1
+                 ELSE 2
+               END AS match_rank
+        FROM (
+          SELECT skills.name, NULL::VARCHAR AS synonym
+          UNION ALL
+          SELECT ss.name, ss.name FROM skill_synonyms ss WHERE ss.skill_id = skills.id
+        ) candidate
+        WHERE LOWER(candidate.name) LIKE ?
+        ORDER BY match_rank, candidate.synonym NULLS FIRST
+        LIMIT 1
+      ) match ON TRUE
+      WHERE 1=1
+    `;
+    params.push(term, `${escapeLike(term)}%`, `%${escapeLike(term)}%`);
+  } else {
+    sql = `SELECT skills.* FROM (${SKILL_SELECT}) skills WHERE 1=1`;
+  }
+
+  if (!include_deprecated) {
+    sql += ' AND skills.is_deprecated = FALSE';
+  }
+
+  if (category) {
+    sql += ' AND LOWER(skills.category) = LOWER(?)';
+    params.push(category);
+  }
+
+  return paginate(db, {
+    sql,
+    params,
+    // Uncategorized skills sort last
+    keys: q ? ['match_rank', 'name', 'id'] : ['category IS NULL', "COALESCE(category, '')", 'name', 'id'],
+    order: 'ASC',
+    page
+  });
+};
+
+/**
+ * Get a skill with its synonyms and usage counts
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<object>}
+ */
+const getSkill = async (db, skillId) => {
+  const result = await db.query(`${SKILL_SELECT} WHERE s.id = ?`, [skillId]);
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Skill not found');
+  }
+
+  return result.rows[0];
+};
+
+const getSkillForUpdate = async (connection, skillId) => {
+  const result = await connection.query('SELECT * FROM skills WHERE id = ? FOR UPDATE', [skillId]);
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Skill not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Throw 409 when a name is already taken by a skill or a synonym (case-insensitively)
+ * @param {object} connection - Transaction client
+ * @param {string} name - Name to check
+ * @param {string} ownSkillId - Skill allowed to hold the name already (when renaming it)
+ */
+const assertNameAvailable = async (connection, name, ownSkillId = null) => {
+  const result = await connection.query(
+    `SELECT s.name AS skill_name, NULL AS synonym
+     FROM skills s
+     WHERE LOWER(s.name) = LOWER(?) AND s.id IS DISTINCT FROM ?
+     UNION ALL
+     SELECT s.name, ss.name
+     FROM skill_synonyms ss
+     JOIN skills s ON ss.skill_id = s.id
+     WHERE LOWER(ss.name) = LOWER(?) AND ss.skill_id IS DISTINCT FROM ?
+     LIMIT 1`,
+    [name, ownSkillId, name, ownSkillId]
+  );
+  const taken = result.rows[0];
+
+  if (taken) {
+    throw httpError(409, taken.synonym
+      ? `"${name}" is already a synonym of ${taken.skill_name}`
+      : `A skill named "${taken.skill_name}" already exists`);
+  }
+};
+
+const insertSynonym = async (connection, skillId, name) => {
+  const result = await connection.query(
+    'INSERT INTO skill_synonyms (id, skill_id, name) VALUES (?, ?, ?) RETURNING *',
+    [randomUUID(), skillId, name]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Create a skill, optionally with synonyms
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} data - { name, category, synonyms }
+ * @returns {Promise<object>} - The new skill
+ */
+const createSkill = async (db, { name, category, synonyms = [] }) => {
+  const skillId = randomUUID();
+
+  await db.transaction(async (connection) => {
+    await assertNameAvailable(connection, name);
+
+    await connection.query(
+      'INSERT INTO skills (id, name, category) VALUES (?, ?, ?)',
+      [skillId, name, category ?? null]
+    );
+
+    const seen = new Set([name.toLowerCase()]);
+    for (const synonym of synonyms) {
+      if (!seen.has(synonym.toLowerCase())) {
+        seen.add(synonym.toLowerCase());
+        await assertNameAvailable(connection, synonym);
+        await insertSynonym(connection, skillId, synonym);
+      }
+    }
+  });
+
+  return getSkill(db, skillId);
+};
+
+/**
+ * Rename a skill and/or change its category
+ * The old name is kept as a synonym (unless keep_old_name is false) so searches for it still resolve;
+ * renaming a skill to one of its own synonyms swaps the two.
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} skillId - Skill ID
+ * @param {object} data - { name, category, keep_old_name }
+ * @returns {Promise<object>} - The updated skill
+ */
+const updateSkill = async (db, skillId, { name, category, keep_old_name = true }) => {
+  await db.transaction(async (connection) => {
+    const skill = await getSkillForUpdate(connection, skillId);
+    const renamed = name !== undefined && name !== skill.name;
+
+    if (renamed) {
+      await assertNameAvailable(connection, name, skillId);
+
+      await connection.query(
+        'DELETE FROM skill_synonyms WHERE skill_id = ? AND LOWER(name) = LOWER(?)',
+        [skillId, name]
+      );
+    }
+
+    await connection.query(
+      `UPDATE skills
+       SET name = COALESCE(?, name),
+           category = CASE WHEN ? THEN ? ELSE category END
+       WHERE id = ?`,
+      [renamed ? name : null, category !== undefined, category ?? null, skillId]
+    );
+
+    // A change of case only is not worth a synonym
+    if (renamed && keep_old_name && name.toLowerCase() !== skill.name.toLowerCase()) {
+      await insertSynonym(connection, skillId, skill.name);
+    }
+  });
+
+  return getSkill(db, skillId);
+};
+
+/**
+ * Deprecate a skill (or restore it): deprecated skills stay on existing projects and profiles
+ * but are hidden from the public list and cannot be added to new ones
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} skillId - Skill ID
+ * @param {boolean} deprecated - true to deprecate, false to restore
+ * @returns {Promise<object>} - The updated skill
+ */
+const setSkillDeprecated = async (db, skillId, deprecated) => {
+  const result = await db.query(
+    `UPDATE skills
+     SET is_deprecated = ?,
+         deprecated_at = CASE WHEN ? THEN COALESCE(deprecated_at, CURRENT_TIMESTAMP) END
+     WHERE id = ?`,
+    [deprecated, deprecated, skillId]
+  );
+
+  if (result.rowCount === 0) {
+    throw httpError(404, 'Skill not found');
+  }
+
+  return getSkill(db, skillId);
+};
+
+/**
+ * Add a synonym to a skill
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} skillId - Skill ID
+ * @param {string} name - Synonym
+ * @returns {Promise<object>} - The skill with its synonyms
+ */
+const addSynonym = async (db, skillId, name) => {
+  await db.transaction(async (connection) => {
+    await getSkillForUpdate(connection, skillId);
+    await assertNameAvailable(connection, name);
+    await insertSynonym(connection, skillId, name);
+  });
+
+  return getSkill(db, skillId);
+};
+
+/**
+ * Remove a synonym from a skill
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} skillId - Skill ID
+ * @param {string} synonymId - Synonym ID
+ * @returns {Promise<object>} - The skill with its remaining synonyms
+ */
+const removeSynonym = async (db, skillId, synonymId) => {
+  const result = await db.query(
+    'DELETE FROM skill_synonyms WHERE id = ? AND skill_id = ?',
+    [synonymId, skillId]
+  );
+
+  if (result.rowCount === 0) {
+    throw httpError(404, 'Synonym not found');
+  }
+
+  return getSkill(db, skillId);
+};
+
+/**
+ * Merge a skill into another
+ * - project_skills and freelancer_skills rows move to the target; where a project or freelancer
+ *   already has the target, the duplicate is dropped (freelancers keep the higher proficiency and years)
+ * - the source's name and synonyms become synonyms of the target, and the source is deleted
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} sourceId - Skill being merged away
+ * @param {string} targetId - Skill that remains
+ * @returns {Promise<{skill: object, merged: object}>} - The target skill and the number of references rewritten
+ */
+const mergeSkill = async (db, sourceId, targetId) => {
+  if (sourceId === targetId) {
+    throw httpError(400, 'A skill cannot be merged into itself');
+  }
+
+  const merged = await db.transaction(async (connection) => {
+    // Lock in ID order so two opposite merges cannot deadlock
+    const locked = {};
+    for (const id of [sourceId, targetId].sort()) {
+      locked[id] = await getSkillForUpdate(connection, id);
+    }
+    const source = locked[sourceId];
+    const target = locked[targetId];
+
+    if (target.is_deprecated) {
+      throw httpError(400, `Cannot merge into ${target.name}: it is deprecated`);
+    }
+
+    const projectRefs = await connection.query(
+      'SELECT COUNT(*)::int AS count FROM project_skills WHERE skill_id = ?',
+      [sourceId]
+    );
+    const freelancerRefs = await connection.query(
+      'SELECT COUNT(*)::int AS count FROM freelancer_skills WHERE skill_id = ?',
+      [sourceId]
+    );
+
+    await connection.query(
+      `UPDATE project_skills
+       SET skill_id = ?
+       WHERE skill_id = ?
+         AND project_id NOT IN (SELECT project_id FROM project_skills WHERE skill_id = ?)`,
+      [targetId, sourceId, targetId]
+    );
+    await connection.query('DELETE FROM project_skills WHERE skill_id = ?', [sourceId]);
+
+    await connection.query(
+      `UPDATE freelancer_skills t
+       SET proficiency = GREATEST(t.proficiency, s.proficiency),
+           years = GREATEST(t.years, s.years)
+       FROM freelancer_skills s
+       WHERE s.skill_id = ? AND t.skill_id = ? AND t.freelancer_id = s.freelancer_id`,
+      [sourceId, targetId]
+    );
+    await connection.query(
+      `UPDATE freelancer_skills
+       SET skill_id = ?
+       WHERE skill_id = ?
+         AND freelancer_id NOT IN (SELECT freelancer_id FROM freelancer_skills WHERE skill_id = ?)`,
+      [targetId, sourceId, targetId]
+    );
+    await connection.query('DELETE FROM freelancer_skills WHERE skill_id = ?', [sourceId]);
+
+    await connection.query('UPDATE skill_synonyms SET skill_id = ? WHERE skill_id = ?', [targetId, sourceId]);
+    await connection.query('DELETE FROM skills WHERE id = ?', [sourceId]);
+    await insertSynonym(connection, targetId, source.name);
+
+    return {
+      skill_id: sourceId,
+      name: source.name,
+      project_skills: projectRefs.rows[0].count,
+      freelancer_skills: freelancerRefs.rows[0].count
+    };
+  });
+
+  return { skill: await getSkill(db, targetId), merged };
+};
+
+/**
+ * Throw 400 unless every skill exists and is not deprecated (for assigning skills to projects / profiles)
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {Array<string>} skillIds - Skill IDs
+ * @param {string} field - Request field named in the error
+ */
+const assertAssignableSkills = async (db, skillIds, field = 'skill_ids') => {
+  const ids = [...new Set(skillIds)];
+
+  if (ids.length === 0) {
+    return;
+  }
+
+  const result = await db.query(
+    'SELECT id, name, is_deprecated FROM skills WHERE id = ANY(?)',
+    [ids]
+  );
+
+  if (result.rows.length !== ids.length) {
+    throw httpError(400, `Unknown skill in ${field}`);
+  }
+
+  const deprecated = result.rows.filter((skill) => skill.is_deprecated);
+  if (deprecated.length > 0) {
+    throw httpError(400, `Deprecated skills cannot be added: ${deprecated.map((skill) => skill.name).join(', ')}`);
+  }
+};
+
+module.exports = {
+  groupByCategory,
+  listSkills,
+  getSkill,
+  createSkill,
+  updateSkill,
+  setSkillDeprecated,
+  addSynonym,
+  removeSynonym,
+  mergeSkill,
+  assertAssignableSkills
+};
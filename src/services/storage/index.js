@@ -0,0 +1,33 @@
+const { httpError } = require('../../utils/httpError');
+const local = require('./local');
+
+/**
+ * File storage adapters
+ * Every adapter exposes the same interface so the attachments service never touches a backend directly:
+ * - name: driver key stored in files.storage_driver
+ * - put(key, buffer): write a file
+ * - createReadStream(key) => readable stream of the file
+ * - remove(key): delete a file
+ */
+const DRIVERS = {
+  [local.name]: local
+};
+
+/**
+ * Get a storage adapter
+ * @param {string} name - Driver key; defaults to STORAGE_DRIVER (or local disk)
+ * @returns {object} - Storage adapter
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || local.name) => {
+  const storage = DRIVERS[name];
+
+  if (!storage) {
+    throw httpError(500, `Unknown storage driver: ${name}`);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
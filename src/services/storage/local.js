@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage (the default)
+ * Files live under STORAGE_LOCAL_DIR (default ./uploads), keyed by their checksum.
+ * Mount a persistent volume there in production, or every instance needs to share the directory.
+ */
+const name = 'local';
+
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+const resolveKey = (key) => {
+  const filePath = path.resolve(rootDir(), key);
+
+  if (!filePath.startsWith(rootDir() + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Write a file; writing a key that already exists replaces it
+ * @param {string} key - Storage key
+ * @param {Buffer} buffer - File contents
+ */
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write then rename so a crash never leaves a partial file under the final key
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, filePath);
+};
+
+/**
+ * Open a file for reading
+ * @param {string} key - Storage key
+ * @returns {ReadableStream}
+ */
+const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+/**
+ * Delete a file (missing files are ignored)
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name,
+  put,
+  createReadStream,
+  remove
+};
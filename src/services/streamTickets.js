@@ -0,0 +1,64 @@
+const { randomBytes } = require('crypto');
+
+/**
+ * Event stream tickets (see migration 015_event_stream_tickets)
+ * EventSource cannot send an Authorization header, so a client first exchanges its access token for a
+ * ticket and opens the stream with ?ticket=. A ticket works once and only for a short while, so one
+ * that ends up in a log or proxy is already spent.
+ */
+
+const TICKET_TTL_SECONDS = 30;
+
+/**
+ * Issue a ticket for a user
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} userId - User ID
+ * @param {number} streamExpiresAt - When the stream must end (the access token's exp, in seconds)
+ * @returns {Promise<{ticket: string, expires_in: number}>}
+ */
+const issueStreamTicket = async (db, userId, streamExpiresAt) => {
+  const ticket = randomBytes(32).toString('hex');
+
+  // Unused tickets are cleared out as new ones are issued
+  await db.query('DELETE FROM event_stream_tickets WHERE expires_at <= NOW()');
+
+  await db.query(
+    `INSERT INTO event_stream_tickets (ticket, user_id, expires_at, stream_expires_at)
+     VALUES (?, ?, NOW() + make_interval(secs => ?), to_timestamp(?))`,
+    [ticket, userId, TICKET_TTL_SECONDS, streamExpiresAt]
+  );
+
+  return { ticket, expires_in: TICKET_TTL_SECONDS };
+};
+
+/**
+ * Use up a ticket
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} ticket - The ticket
+ * @returns {Promise<{userId: string, streamMs: number}|null>} - null if unknown, used or expired;
+ *   streamMs is how long the stream may stay open
+ */
+const redeemStreamTicket = async (db, ticket) => {
+  const result = await db.query(
+    `DELETE FROM event_stream_tickets
+     WHERE ticket = ? AND expires_at > NOW()
+     RETURNING user_id,
+               GREATEST(EXTRACT(EPOCH FROM (stream_expires_at - NOW())) * 1000, 0)::bigint AS stream_ms`,
+    [ticket]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    userId: result.rows[0].user_id,
+    streamMs: Number(result.rows[0].stream_ms)
+  };
+};
+
+module.exports = {
+  TICKET_TTL_SECONDS,
+  issueStreamTicket,
+  redeemStreamTicket
+};
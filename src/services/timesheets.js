@@ -0,0 +1,498 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const {
+  getContractParties,
+  getContractRole,
+  assertContractParticipant
+} = require('./contracts');
+const { insertMilestone } = require('./milestones');
+
+// Entries can only be changed while the freelancer still owns the timesheet
+const EDITABLE_STATUSES = ['open', 'disputed'];
+const TIMESHEET_STATUSES = ['open', 'submitted', 'approved', 'disputed'];
+const MAX_HOURS_PER_DAY = 24;
+
+// Work dates are the freelancer's local dates, which can be a day ahead of UTC (up to UTC+14)
+const latestWorkDate = () => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+const weekStartOf = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const TIMESHEET_SELECT = `
+  SELECT t.*, to_char(t.week_start, 'YYYY-MM-DD') AS week_label
+  FROM timesheets t
+`;
+
+const ENTRY_SELECT = `
+  SELECT e.*, to_char(e.work_date, 'YYYY-MM-DD') AS work_day
+  FROM time_entries e
+`;
+
+/**
+ * Only the freelancer (or an admin) logs time, and only on active hourly contracts
+ */
+const assertCanLogTime = (contract, user) => {
+  const { isFreelancer, isAdmin } = getContractRole(contract, user);
+
+  if (!isFreelancer && !isAdmin) {
+    throw httpError(403, 'Only the contract freelancer can log time');
+  }
+
+  if (contract.contract_type !== 'hourly') {
+    throw httpError(400, 'Time can only be logged on hourly contracts');
+  }
+
+  if (contract.status !== 'active') {
+    throw httpError(400, 'Time can only be logged while the contract is active');
+  }
+};
+
+/**
+ * Only the client (or an admin) reviews timesheets
+ */
+const assertCanReview = (contract, user) => {
+  const { isClient, isAdmin } = getContractRole(contract, user);
+
+  if (!isClient && !isAdmin) {
+    throw httpError(403, 'Only the contract client can review timesheets');
+  }
+};
+
+const assertEditable = (timesheet) => {
+  if (!EDITABLE_STATUSES.includes(timesheet.status)) {
+    throw httpError(409, `Time cannot be changed once the week's timesheet is ${timesheet.status}`);
+  }
+};
+
+const assertWorkDate = (workDate) => {
+  if (workDate > latestWorkDate()) {
+    throw httpError(400, 'Time cannot be logged for future dates');
+  }
+};
+
+/**
+ * Get (creating if needed) and lock the timesheet for a contract's week
+ */
+const getOrCreateTimesheet = async (connection, contractId, weekStart) => {
+  await connection.query(
+    `INSERT INTO timesheets (id, contract_id, week_start)
+     VALUES (?, ?, ?)
+     ON CONFLICT (contract_id, week_start) DO NOTHING`,
+    [randomUUID(), contractId, weekStart]
+  );
+
+  const result = await connection.query(
+    `${TIMESHEET_SELECT} WHERE t.contract_id = ? AND t.week_start = ? FOR UPDATE`,
+    [contractId, weekStart]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Lock a timesheet that belongs to the given contract
+ */
+const getTimesheetForUpdate = async (connection, contractId, timesheetId) => {
+  const result = await connection.query(
+    `${TIMESHEET_SELECT} WHERE t.id = ? AND t.contract_id = ? FOR UPDATE`,
+    [timesheetId, contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Timesheet not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Lock a time entry that belongs to the given contract
+ */
+const getEntryForUpdate = async (connection, contractId, entryId) => {
+  const result = await connection.query(
+    `${ENTRY_SELECT} WHERE e.id = ? AND e.contract_id = ? FOR UPDATE`,
+    [entryId, contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Time entry not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Reject hours that would exceed 24 hours in a day or the contract's weekly hour cap
+ */
+const assertWithinLimits = async (connection, contract, { timesheet, workDate, hours, excludeEntryId = null }) => {
+  const exclude = excludeEntryId ? ' AND id <> ?' : '';
+  const excludeParams = excludeEntryId ? [excludeEntryId] : [];
+
+  const dayResult = await connection.query(
+    `SELECT COALESCE(SUM(hours), 0) AS total
+     FROM time_entries
+     WHERE contract_id = ? AND work_date = ?${exclude}`,
+    [contract.id, workDate, ...excludeParams]
+  );
+
+  if (toCents(dayResult.rows[0].total) + toCents(hours) > MAX_HOURS_PER_DAY * 100) {
+    throw httpError(400, `No more than ${MAX_HOURS_PER_DAY} hours can be logged for a single day`);
+  }
+
+  if (contract.weekly_hour_cap === null || contract.weekly_hour_cap === undefined) {
+    return;
+  }
+
+  const weekResult = await connection.query(
+    `SELECT COALESCE(SUM(hours), 0) AS total
+     FROM time_entries
+     WHERE timesheet_id = ?${exclude}`,
+    [timesheet.id, ...excludeParams]
+  );
+
+  const total = toCents(weekResult.rows[0].total) + toCents(hours);
+
+  if (total > toCents(contract.weekly_hour_cap)) {
+    const remaining = (toCents(contract.weekly_hour_cap) - toCents(weekResult.rows[0].total)) / 100;
+    throw httpError(
+      400,
+      `This would exceed the contract's weekly cap of ${Number(contract.weekly_hour_cap)} hours (${remaining.toFixed(2)} hours remaining this week)`
+    );
+  }
+};
+
+const refreshTotal = (connection, timesheetId) => connection.query(
+  `UPDATE timesheets
+   SET total_hours = (SELECT COALESCE(SUM(hours), 0) FROM time_entries WHERE timesheet_id = ?),
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`,
+  [timesheetId, timesheetId]
+);
+
+/**
+ * List a contract's time entries, optionally for a single week
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {object} filters - { week_start: any date in the week }
+ * @returns {Promise<Array>} - Time entries, oldest first
+ */
+const listTimeEntries = async (db, contractId, user, { week_start } = {}) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  let sql = `${ENTRY_SELECT} WHERE e.contract_id = ?`;
+  const params = [contractId];
+
+  if (week_start) {
+    sql += ` AND e.work_date >= ? AND e.work_date < ?::date + 7`;
+    params.push(weekStartOf(week_start), weekStartOf(week_start));
+  }
+
+  sql += ' ORDER BY e.work_date ASC, e.created_at ASC';
+
+  const result = await db.query(sql, params);
+  return result.rows;
+};
+
+/**
+ * Log hours worked on a day
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {object} data - { work_date, hours, description }
+ * @returns {Promise<object>} - Created time entry
+ */
+const logTime = async (db, contractId, user, { work_date, hours, description }) => {
+  assertWorkDate(work_date);
+
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanLogTime(contract, user);
+
+    const timesheet = await getOrCreateTimesheet(connection, contractId, weekStartOf(work_date));
+    assertEditable(timesheet);
+    await assertWithinLimits(connection, contract, { timesheet, workDate: work_date, hours });
+
+    const result = await connection.query(
+      `INSERT INTO time_entries (id, contract_id, timesheet_id, work_date, hours, description)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING *, to_char(work_date, 'YYYY-MM-DD') AS work_day`,
+      [randomUUID(), contractId, timesheet.id, work_date, hours, description ?? null]
+    );
+
+    await refreshTotal(connection, timesheet.id);
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Edit a time entry; moving it to another day may move it to another week's timesheet
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} entryId - Time entry ID
+ * @param {object} user - req.user
+ * @param {object} data - { work_date, hours, description }
+ * @returns {Promise<object>} - Updated time entry
+ */
+const updateTimeEntry = async (db, contractId, entryId, user, { work_date, hours, description }) => {
+  if (work_date) {
+    assertWorkDate(work_date);
+  }
+
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanLogTime(contract, user);
+
+    const entry = await getEntryForUpdate(connection, contractId, entryId);
+    const current = await getTimesheetForUpdate(connection, contractId, entry.timesheet_id);
+    assertEditable(current);
+
+    const workDate = work_date || entry.work_day;
+    const weekStart = weekStartOf(workDate);
+    const timesheet = weekStart === current.week_label
+      ? current
+      : await getOrCreateTimesheet(connection, contractId, weekStart);
+    assertEditable(timesheet);
+
+    await assertWithinLimits(connection, contract, {
+      timesheet,
+      workDate,
+      hours: hours ?? entry.hours,
+      excludeEntryId: entryId
+    });
+
+    const result = await connection.query(
+      `UPDATE time_entries
+       SET timesheet_id = ?,
+           work_date = ?,
+           hours = COALESCE(?, hours),
+           description = COALESCE(?, description),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *, to_char(work_date, 'YYYY-MM-DD') AS work_day`,
+      [timesheet.id, workDate, hours ?? null, description ?? null, entryId]
+    );
+
+    await refreshTotal(connection, current.id);
+    if (timesheet.id !== current.id) {
+      await refreshTotal(connection, timesheet.id);
+    }
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Delete a time entry from an open or disputed timesheet
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} entryId - Time entry ID
+ * @param {object} user - req.user
+ */
+const deleteTimeEntry = async (db, contractId, entryId, user) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanLogTime(contract, user);
+
+    const entry = await getEntryForUpdate(connection, contractId, entryId);
+    const timesheet = await getTimesheetForUpdate(connection, contractId, entry.timesheet_id);
+    assertEditable(timesheet);
+
+    await connection.query('DELETE FROM time_entries WHERE id = ?', [entryId]);
+    await refreshTotal(connection, timesheet.id);
+  });
+};
+
+/**
+ * List a contract's weekly timesheets, newest week first
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {object} user - req.user
+ * @param {object} filters - { status }
+ * @returns {Promise<Array>} - Timesheet rows
+ */
+const listTimesheets = async (db, contractId, user, { status } = {}) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  let sql = `${TIMESHEET_SELECT} WHERE t.contract_id = ?`;
+  const params = [contractId];
+
+  if (status) {
+    sql += ' AND t.status = ?';
+    params.push(status);
+  }
+
+  sql += ' ORDER BY t.week_start DESC';
+
+  const result = await db.query(sql, params);
+  return result.rows;
+};
+
+/**
+ * Get a timesheet with its entries
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} contractId - Contract ID
+ * @param {string} timesheetId - Timesheet ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Timesheet row with an entries array
+ */
+const getTimesheet = async (db, contractId, timesheetId, user) => {
+  const contract = await getContractParties(db, contractId);
+  assertContractParticipant(contract, user);
+
+  const result = await db.query(
+    `${TIMESHEET_SELECT} WHERE t.id = ? AND t.contract_id = ?`,
+    [timesheetId, contractId]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Timesheet not found');
+  }
+
+  const entries = await db.query(
+    `${ENTRY_SELECT} WHERE e.timesheet_id = ? ORDER BY e.work_date ASC, e.created_at ASC`,
+    [timesheetId]
+  );
+
+  return { ...result.rows[0], entries: entries.rows };
+};
+
+/**
+ * Submit a week's hours for the client's review
+ * Protected: only the contract's freelancer (or an admin)
+ */
+const submitTimesheet = async (db, contractId, timesheetId, user) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanLogTime(contract, user);
+
+    const timesheet = await getTimesheetForUpdate(connection, contractId, timesheetId);
+
+    if (!EDITABLE_STATUSES.includes(timesheet.status)) {
+      throw httpError(409, `Cannot submit a timesheet that is ${timesheet.status}`);
+    }
+
+    if (!(Number(timesheet.total_hours) > 0)) {
+      throw httpError(400, 'Cannot submit a timesheet without any hours');
+    }
+
+    const result = await connection.query(
+      `UPDATE timesheets
+       SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *, to_char(week_start, 'YYYY-MM-DD') AS week_label`,
+      [timesheetId]
+    );
+
+    return result.rows[0];
+  });
+};
+
+/**
+ * Approve a submitted timesheet
+ * The approved hours become a pending milestone worth total_hours x the contract's hourly_rate.
+ * The client pays it like any other milestone, but the work is already accepted: the escrow is
+ * released to the freelancer as soon as it is funded (see fundEscrow)
+ * Protected: only the contract's client (or an admin)
+ */
+const approveTimesheet = async (db, contractId, timesheetId, user) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanReview(contract, user);
+
+    const timesheet = await getTimesheetForUpdate(connection, contractId, timesheetId);
+
+    if (timesheet.status !== 'submitted') {
+      throw httpError(409, `Cannot approve a timesheet that is ${timesheet.status}`);
+    }
+
+    if (!(Number(contract.hourly_rate) > 0)) {
+      throw httpError(400, 'The contract has no hourly rate to bill the approved hours at');
+    }
+
+    const amount = (Math.round(toCents(timesheet.total_hours) * toCents(contract.hourly_rate) / 100) / 100).toFixed(2);
+    const hours = Number(timesheet.total_hours);
+
+    const milestone = await insertMilestone(connection, contractId, {
+      title: `Hours for week of ${timesheet.week_label}`,
+      scope: `${hours} hours at ${Number(contract.hourly_rate).toFixed(2)} ${contract.currency}/hour`,
+      amount
+    });
+
+    const result = await connection.query(
+      `UPDATE timesheets
+       SET status = 'approved',
+           hourly_rate = ?,
+           amount = ?,
+           milestone_id = ?,
+           reviewed_at = CURRENT_TIMESTAMP,
+           reviewed_by_user_id = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *, to_char(week_start, 'YYYY-MM-DD') AS week_label`,
+      [contract.hourly_rate, amount, milestone.id, user.userId, timesheetId]
+    );
+
+    return { timesheet: result.rows[0], milestone };
+  });
+};
+
+/**
+ * Dispute a submitted timesheet; the freelancer can then correct the entries and resubmit
+ * Protected: only the contract's client (or an admin)
+ */
+const disputeTimesheet = async (db, contractId, timesheetId, user, reason) => {
+  return db.transaction(async (connection) => {
+    const contract = await getContractParties(connection, contractId, { forUpdate: true });
+    assertCanReview(contract, user);
+
+    const timesheet = await getTimesheetForUpdate(connection, contractId, timesheetId);
+
+    if (timesheet.status !== 'submitted') {
+      throw httpError(409, `Cannot dispute a timesheet that is ${timesheet.status}`);
+    }
+
+    const result = await connection.query(
+      `UPDATE timesheets
+       SET status = 'disputed',
+           dispute_reason = ?,
+           reviewed_at = CURRENT_TIMESTAMP,
+           reviewed_by_user_id = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+       RETURNING *, to_char(week_start, 'YYYY-MM-DD') AS week_label`,
+      [reason, user.userId, timesheetId]
+    );
+
+    return result.rows[0];
+  });
+};
+
+module.exports = {
+  TIMESHEET_STATUSES,
+  listTimeEntries,
+  logTime,
+  updateTimeEntry,
+  deleteTimeEntry,
+  listTimesheets,
+  getTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  disputeTimesheet
+};
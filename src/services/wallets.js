@@ -0,0 +1,427 @@
+const { randomUUID } = require('crypto');
+const { httpError } = require('../utils/httpError');
+const { toCents } = require('../utils/money');
+const { paginate } = require('../utils/pagination');
+const { postTransaction } = require('./ledger');
+
+/**
+ * Freelancer wallets
+ * A wallet's money lives in the profile's freelancer ledger accounts (one per currency):
+ * - pending: released escrow credited within the hold period, not yet withdrawable
+ * - reserved: amounts on pending payout requests
+ * - available: balance - pending - reserved
+ */
+const PAYOUT_METHODS = ['bank', 'paypal', 'crypto'];
+const PAYOUT_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Days a release stays pending before it can be paid out, unless the wallet overrides it
+const parsedHoldDays = Number.parseInt(process.env.WALLET_HOLD_DAYS, 10);
+const DEFAULT_HOLD_DAYS = Number.isNaN(parsedHoldDays) ? 7 : parsedHoldDays;
+
+const PAYOUT_SELECT = `
+  SELECT pr.*, w.freelancer_id
+  FROM payout_requests pr
+  JOIN wallets w ON pr.wallet_id = w.id
+`;
+
+/**
+ * Work out whose wallet a request is about
+ * Freelancers always get their own profile; admins pass a freelancer profile ID
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} user - req.user
+ * @param {string} [freelancerId] - Freelancer profile ID (admins only)
+ * @returns {Promise<string>} - Freelancer profile ID
+ */
+const resolveFreelancerId = async (db, user, freelancerId) => {
+  if (user.role === 'admin') {
+    if (!freelancerId) {
+      throw httpError(400, 'freelancer_id is required');
+    }
+
+    const result = await db.query('SELECT id FROM freelancer_profiles WHERE id = ?', [freelancerId]);
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Freelancer profile not found');
+    }
+    return freelancerId;
+  }
+
+  if (user.role !== 'freelancer') {
+    throw httpError(403, 'Only freelancers have a wallet');
+  }
+
+  const result = await db.query('SELECT id FROM freelancer_profiles WHERE user_id = ?', [user.userId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Freelancer profile not found');
+  }
+  return result.rows[0].id;
+};
+
+/**
+ * Get a freelancer's wallet, creating it on first use
+ * @param {object} connection - Transaction client
+ * @param {string} freelancerId - Freelancer profile ID
+ * @param {object} options - { forUpdate } locks the wallet row
+ * @returns {Promise<object>} - wallets row
+ */
+const getOrCreateWallet = async (connection, freelancerId, { forUpdate = false } = {}) => {
+  await connection.query(
+    `INSERT INTO wallets (id, freelancer_id)
+     VALUES (?, ?)
+     ON CONFLICT (freelancer_id) DO NOTHING`,
+    [randomUUID(), freelancerId]
+  );
+
+  const result = await connection.query(
+    `SELECT * FROM wallets WHERE freelancer_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [freelancerId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Compute a wallet's balances per currency
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {string} freelancerId - Freelancer profile ID
+ * @param {number} holdDays - Hold period in days
+ * @returns {Promise<Array>} - [{ currency, balance, pending, reserved, available }]
+ */
+const getBalances = async (db, freelancerId, holdDays) => {
+  const ledger = await db.query(
+    `SELECT a.currency,
+            COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS balance,
+            COALESCE(SUM(e.amount) FILTER (
+              WHERE e.direction = 'credit' AND e.created_at > NOW() - make_interval(days => ?)
+            ), 0) AS pending
+     FROM ledger_accounts a
+     LEFT JOIN ledger_entries e ON e.account_id = a.id
+     WHERE a.account_type = 'freelancer' AND a.owner_id = ?
+     GROUP BY a.currency`,
+    [holdDays, freelancerId]
+  );
+
+  const reservations = await db.query(
+    `SELECT pr.currency, SUM(pr.amount) AS reserved
+     FROM payout_requests pr
+     JOIN wallets w ON pr.wallet_id = w.id
+     WHERE w.freelancer_id = ? AND pr.status = 'pending'
+     GROUP BY pr.currency`,
+    [freelancerId]
+  );
+
+  const reserved = new Map(reservations.rows.map((row) => [row.currency, toCents(row.reserved)]));
+
+  return ledger.rows
+    .map((row) => {
+      const balance = toCents(row.balance);
+      const pending = Math.min(toCents(row.pending), Math.max(balance, 0));
+      const held = reserved.get(row.currency) || 0;
+
+      return {
+        currency: row.currency,
+        balance: (balance / 100).toFixed(2),
+        pending: (pending / 100).toFixed(2),
+        reserved: (held / 100).toFixed(2),
+        available: (Math.max(balance - pending - held, 0) / 100).toFixed(2)
+      };
+    })
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+const effectiveHoldDays = (wallet) => (
+  wallet && wallet.hold_days !== null && wallet.hold_days !== undefined ? wallet.hold_days : DEFAULT_HOLD_DAYS
+);
+
+/**
+ * Get a wallet with its balances
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} filters - { freelancer_id } (admins only)
+ * @returns {Promise<object>} - { id, freelancer_id, hold_days, hold_days_override, balances }
+ */
+const getWallet = async (db, user, { freelancer_id } = {}) => {
+  const freelancerId = await resolveFreelancerId(db, user, freelancer_id);
+
+  const result = await db.query('SELECT * FROM wallets WHERE freelancer_id = ?', [freelancerId]);
+  const wallet = result.rows[0] || null;
+  const holdDays = effectiveHoldDays(wallet);
+
+  return {
+    id: wallet ? wallet.id : null,
+    freelancer_id: freelancerId,
+    hold_days: holdDays,
+    hold_days_override: wallet ? wallet.hold_days : null,
+    balances: await getBalances(db, freelancerId, holdDays)
+  };
+};
+
+/**
+ * Set or clear a wallet's hold period override
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} freelancerId - Freelancer profile ID
+ * @param {number|null} holdDays - Days, or null to use the platform default
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Wallet with balances
+ */
+const updateWalletSettings = async (db, freelancerId, holdDays, user) => {
+  await db.transaction(async (connection) => {
+    await resolveFreelancerId(connection, user, freelancerId);
+    const wallet = await getOrCreateWallet(connection, freelancerId, { forUpdate: true });
+
+    await connection.query(
+      'UPDATE wallets SET hold_days = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [holdDays, wallet.id]
+    );
+  });
+
+  return getWallet(db, user, { freelancer_id: freelancerId });
+};
+
+/**
+ * Wallet transaction history: the freelancer ledger entries, newest first
+ * Credits carry the date they clear (become available) after the hold period
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} filters - { freelancer_id (admins), currency }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are history lines with running balance per currency
+ */
+const listWalletTransactions = async (db, user, { freelancer_id, currency } = {}, page) => {
+  const freelancerId = await resolveFreelancerId(db, user, freelancer_id);
+
+  const walletResult = await db.query('SELECT * FROM wallets WHERE freelancer_id = ?', [freelancerId]);
+  const holdDays = effectiveHoldDays(walletResult.rows[0]);
+
+  let sql = `
+    SELECT * FROM (
+      SELECT e.id,
+             e.transaction_id,
+             t.kind,
+             t.reference_type,
+             t.reference_id,
+             t.description,
+             a.currency,
+             e.direction,
+             e.amount,
+             e.created_at,
+             CASE WHEN e.direction = 'credit' THEN e.created_at + make_interval(days => ?) END AS clears_at,
+             e.direction = 'debit' OR e.created_at <= NOW() - make_interval(days => ?) AS cleared,
+             SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END)
+               OVER (PARTITION BY a.id ORDER BY e.created_at, e.id) AS running_balance
+      FROM ledger_entries e
+      JOIN ledger_transactions t ON e.transaction_id = t.id
+      JOIN ledger_accounts a ON e.account_id = a.id
+      WHERE a.account_type = 'freelancer' AND a.owner_id = ?
+    ) history
+    WHERE 1=1
+  `;
+  const params = [holdDays, holdDays, freelancerId];
+
+  if (currency) {
+    sql += ' AND currency = ?';
+    params.push(currency);
+  }
+
+  return paginate(db, { sql, params, keys: ['created_at', 'id'], page });
+};
+
+/**
+ * List payout requests
+ * Freelancers see their own; admins see all (optionally one freelancer's)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user
+ * @param {object} filters - { status, freelancer_id }
+ * @param {object} page - From parsePageParams
+ * @returns {Promise<object>} - From paginate; rows are payout_requests rows
+ */
+const listPayoutRequests = async (db, user, { status, freelancer_id } = {}, page) => {
+  let sql = `${PAYOUT_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (user.role !== 'admin' || freelancer_id) {
+    sql += ' AND w.freelancer_id = ?';
+    params.push(await resolveFreelancerId(db, user, freelancer_id));
+  }
+
+  if (status) {
+    sql += ' AND pr.status = ?';
+    params.push(status);
+  }
+
+  return paginate(db, { sql, params, keys: ['created_at', 'id'], page });
+};
+
+/**
+ * Request a payout of available balance
+ * The wallet row lock serializes requests so two of them cannot both spend the same balance
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {object} user - req.user (freelancer)
+ * @param {object} data - { amount, currency, method, note }
+ * @returns {Promise<object>} - payout_requests row
+ */
+const requestPayout = async (db, user, { amount, currency, method, note }) => {
+  if (user.role !== 'freelancer') {
+    throw httpError(403, 'Only freelancers can request payouts');
+  }
+
+  return db.transaction(async (connection) => {
+    const freelancerId = await resolveFreelancerId(connection, user);
+    const wallet = await getOrCreateWallet(connection, freelancerId, { forUpdate: true });
+
+    const balances = await getBalances(connection, freelancerId, effectiveHoldDays(wallet));
+    const balance = balances.find((row) => row.currency === currency);
+    const available = balance ? toCents(balance.available) : 0;
+
+    if (toCents(amount) > available) {
+      throw httpError(400, `Amount exceeds the available balance of ${(available / 100).toFixed(2)} ${currency}`);
+    }
+
+    const result = await connection.query(
+      `INSERT INTO payout_requests (id, wallet_id, amount, currency, method, note)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [randomUUID(), wallet.id, (toCents(amount) / 100).toFixed(2), currency, method, note ?? null]
+    );
+
+    return { ...result.rows[0], freelancer_id: freelancerId };
+  });
+};
+
+/**
+ * Lock a payout request together with its wallet (wallet first, like requestPayout)
+ */
+const getPayoutForUpdate = async (connection, payoutId) => {
+  const found = await connection.query('SELECT wallet_id FROM payout_requests WHERE id = ?', [payoutId]);
+
+  if (found.rows.length === 0) {
+    throw httpError(404, 'Payout request not found');
+  }
+
+  await connection.query('SELECT id FROM wallets WHERE id = ? FOR UPDATE', [found.rows[0].wallet_id]);
+
+  const result = await connection.query(
+    `${PAYOUT_SELECT} WHERE pr.id = ? FOR UPDATE OF pr`,
+    [payoutId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Move a pending payout request to its final status
+ * reviewer is the admin who approved or rejected it (null when the freelancer cancels)
+ */
+const closePayout = async (connection, payoutId, { status, reason = null, reviewer = null }) => {
+  const result = await connection.query(
+    `UPDATE payout_requests
+     SET status = ?,
+         rejection_reason = ?,
+         reviewed_by_user_id = ?,
+         reviewed_at = CASE WHEN ?::uuid IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?
+     RETURNING *`,
+    [status, reason, reviewer, reviewer, payoutId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Approve a payout request; the amount leaves the freelancer's ledger account
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} payoutId - Payout request ID
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - Updated payout request
+ */
+const approvePayout = async (db, payoutId, user) => {
+  return db.transaction(async (connection) => {
+    const payout = await getPayoutForUpdate(connection, payoutId);
+
+    if (payout.status !== 'pending') {
+      throw httpError(409, `Cannot approve a payout request that is ${payout.status}`);
+    }
+
+    const updated = await closePayout(connection, payoutId, { status: 'approved', reviewer: user.userId });
+
+    await postTransaction(connection, {
+      kind: 'payout',
+      referenceType: 'payout_request',
+      referenceId: payout.id,
+      currency: payout.currency,
+      description: `Payout via ${payout.method}`,
+      entries: [
+        { account: { type: 'freelancer', ownerId: payout.freelancer_id }, direction: 'debit', amount: payout.amount },
+        { account: { type: 'external' }, direction: 'credit', amount: payout.amount }
+      ]
+    });
+
+    return { ...updated, freelancer_id: payout.freelancer_id };
+  });
+};
+
+/**
+ * Reject a payout request, releasing the reserved amount
+ * Protected: admin only (checked by the route)
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} payoutId - Payout request ID
+ * @param {object} user - req.user
+ * @param {string} reason - Shown to the freelancer
+ * @returns {Promise<object>} - Updated payout request
+ */
+const rejectPayout = async (db, payoutId, user, reason) => {
+  return db.transaction(async (connection) => {
+    const payout = await getPayoutForUpdate(connection, payoutId);
+
+    if (payout.status !== 'pending') {
+      throw httpError(409, `Cannot reject a payout request that is ${payout.status}`);
+    }
+
+    const updated = await closePayout(connection, payoutId, { status: 'rejected', reason, reviewer: user.userId });
+    return { ...updated, freelancer_id: payout.freelancer_id };
+  });
+};
+
+/**
+ * Cancel one of your own pending payout requests
+ * @param {object} db - Query helpers ({ query, transaction })
+ * @param {string} payoutId - Payout request ID
+ * @param {object} user - req.user (freelancer)
+ * @returns {Promise<object>} - Updated payout request
+ */
+const cancelPayout = async (db, payoutId, user) => {
+  return db.transaction(async (connection) => {
+    const payout = await getPayoutForUpdate(connection, payoutId);
+
+    const owner = await connection.query(
+      'SELECT 1 FROM freelancer_profiles WHERE id = ? AND user_id = ?',
+      [payout.freelancer_id, user.userId]
+    );
+    if (owner.rows.length === 0) {
+      throw httpError(403, 'You can only cancel your own payout requests');
+    }
+
+    if (payout.status !== 'pending') {
+      throw httpError(409, `Cannot cancel a payout request that is ${payout.status}`);
+    }
+
+    const updated = await closePayout(connection, payoutId, { status: 'cancelled' });
+    return { ...updated, freelancer_id: payout.freelancer_id };
+  });
+};
+
+module.exports = {
+  PAYOUT_METHODS,
+  PAYOUT_STATUSES,
+  DEFAULT_HOLD_DAYS,
+  getWallet,
+  updateWalletSettings,
+  listWalletTransactions,
+  listPayoutRequests,
+  requestPayout,
+  approvePayout,
+  rejectPayout,
+  cancelPayout
+};
@@ -0,0 +1,14 @@
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * SQL condition for an inclusive `to` filter on a timestamp column
+ * A date on its own (YYYY-MM-DD) includes that whole day
+ * @param {string} column - Timestamp column
+ * @param {string} to - ISO 8601 date or timestamp (passed as the condition's one parameter)
+ * @returns {string} - SQL condition
+ */
+const untilCondition = (column, to) => (
+  DATE_ONLY.test(to) ? `${column} < ?::date + 1` : `${column} <= ?`
+);
+
+module.exports = { untilCondition };
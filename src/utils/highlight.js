@@ -0,0 +1,15 @@
+/**
+ * SQL helpers for search result highlighting (ts_headline)
+ */
+
+/**
+ * Escape a text expression as HTML in SQL
+ * Highlight from the escaped text so the output is safe HTML apart from the <mark> tags ts_headline adds
+ * @param {string} expression - SQL text expression, e.g. a column; NULL becomes ''
+ * @returns {string} - SQL expression
+ */
+const escapeHtmlSql = (expression) => (
+  `replace(replace(replace(COALESCE(${expression}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`
+);
+
+module.exports = { escapeHtmlSql };
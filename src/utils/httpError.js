@@ -0,0 +1,13 @@
+/**
+ * Create an Error that the global error handler turns into an HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @returns {Error} - Error with a status property
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,19 @@
+/**
+ * Money helpers: amounts are DECIMAL(…, 2) in the database and arithmetic on them is done in integer cents
+ */
+
+/**
+ * Convert an amount (number or numeric string) to integer cents
+ * @param {number|string|null} value - Amount; null and undefined count as 0
+ * @returns {number} - Cents
+ */
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Convert integer cents back to an amount string with two decimals
+ * @param {number} cents - Cents
+ * @returns {string} - Amount, e.g. '12.50'
+ */
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { toCents, fromCents };
@@ -0,0 +1,204 @@
+const { httpError } = require('./httpError');
+
+/**
+ * Keyset (cursor) pagination for list endpoints, shared by the Express routes and the api/ handlers
+ * A list query is run as a subquery and paged on its sort keys, so a page costs the same however deep
+ * it is and rows inserted meanwhile do not shift later pages. Cursors are opaque to clients.
+ *
+ * Query parameters: limit (default 50, max 100), cursor (from a previous response),
+ * include_total=true (adds the real total), offset (first page only, for older clients)
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (direction, values) => Buffer.from(JSON.stringify({ d: direction, k: values })).toString('base64url');
+
+const decodeCursor = (cursor, keyCount) => {
+  try {
+    const { d: direction, k: values } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (
+      (direction === 'next' || direction === 'prev')
+      && Array.isArray(values)
+      && values.length === keyCount
+      && values.every((value) => typeof value === 'string')
+    ) {
+      return { direction, values };
+    }
+  } catch {
+    // Fall through to the 400 below
+  }
+
+  throw httpError(400, 'Invalid cursor');
+};
+
+const parseIntInRange = (value, name, min, max = Infinity) => {
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw httpError(400, max === Infinity
+      ? `${name} must be an integer of at least ${min}`
+      : `${name} must be between ${min} and ${max}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Read the paging parameters from a query string
+ * @param {object} query - req.query
+ * @returns {{limit: number, cursor: string|null, offset: number, includeTotal: boolean}}
+ */
+const parsePageParams = (query = {}) => ({
+  limit: query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_SIZE : parseIntInRange(query.limit, 'Limit', 1, MAX_PAGE_SIZE),
+  cursor: query.cursor || null,
+  offset: query.offset === undefined || query.offset === '' ? 0 : parseIntInRange(query.offset, 'Offset', 0),
+  includeTotal: query.include_total === 'true'
+});
+
+/**
+ * Fetch one page of a list query
+ * @param {object} db - Anything with a query(text, params) method
+ * @param {object} options
+ *   sql, params - The filtered list query, without ORDER BY / LIMIT
+ *   keys - Sort key expressions over its output columns, all sorted in `order`; together they must be
+ *     unique and non-null (end with id; COALESCE nullable columns)
+ *   order - 'DESC' (default) or 'ASC'
+ *   page - From parsePageParams
+ * @returns {Promise<{rows: Array, total: number|null, nextCursor: string|null, prevCursor: string|null}>}
+ */
+const paginate = async (db, { sql, params = [], keys, order = 'DESC', page }) => {
+  const cursor = page.cursor ? decodeCursor(page.cursor, keys.length) : null;
+  const backwards = cursor !== null && cursor.direction === 'prev';
+  // Walking back to the previous page scans in the opposite order, then flips the rows
+  const descending = (order === 'DESC') !== backwards;
+
+  // Cursor values are read back as text so timestamps keep their microseconds
+  let pageSql = `
+    SELECT page_rows.*, ARRAY[${keys.map((key) => `(${key})::text`).join(', ')}] AS page_cursor
+    FROM (${sql}) page_rows
+  `;
+  const pageParams = [...params];
+
+  if (cursor) {
+    pageSql += ` WHERE (${keys.join(', ')}) ${descending ? '<' : '>'} (${keys.map(() => '?').join(', ')})`;
+    pageParams.push(...cursor.values);
+  }
+
+  pageSql += ` ORDER BY ${keys.map((key) => `${key} ${descending ? 'DESC' : 'ASC'}`).join(', ')} LIMIT ?`;
+  pageParams.push(page.limit + 1);
+
+  if (!cursor && page.offset > 0) {
+    pageSql += ' OFFSET ?';
+    pageParams.push(page.offset);
+  }
+
+  const result = await db.query(pageSql, pageParams);
+
+  const hasMore = result.rows.length > page.limit;
+  const pageRows = result.rows.slice(0, page.limit);
+  if (backwards) {
+    pageRows.reverse();
+  }
+
+  const rows = pageRows.map(({ page_cursor, ...row }) => row);
+  const first = pageRows.length > 0 ? pageRows[0].page_cursor : null;
+  const last = pageRows.length > 0 ? pageRows[pageRows.length - 1].page_cursor : null;
+
+  let nextCursor = null;
+  let prevCursor = null;
+
+  if (pageRows.length > 0) {
+    if (backwards) {
+      nextCursor = encodeCursor('next', last);
+      prevCursor = hasMore ? encodeCursor('prev', first) : null;
+    } else {
+      nextCursor = hasMore ? encodeCursor('next', last) : null;
+      prevCursor = cursor || page.offset > 0 ? encodeCursor('prev', first) : null;
+    }
+  }
+
+  let total = null;
+  if (page.includeTotal) {
+    const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM (${sql}) page_rows`, params);
+    total = countResult.rows[0].total;
+  }
+
+  return { rows, total, nextCursor, prevCursor };
+};
+
+/**
+ * Fetch one page of a list ranked in JS rather than SQL (e.g. scored recommendations)
+ * Its cursors carry a position in the list, so the list must be ranked the same way on each request
+ * @param {Array} rows - The whole list, in order
+ * @param {object} page - From parsePageParams
+ * @returns {{rows: Array, total: number|null, nextCursor: string|null, prevCursor: string|null}} - As from paginate
+ */
+const paginateRows = (rows, page) => {
+  let start = page.offset;
+
+  if (page.cursor) {
+    const cursor = decodeCursor(page.cursor, 1);
+    const position = Number(cursor.values[0]);
+
+    if (!Number.isInteger(position) || position < 0) {
+      throw httpError(400, 'Invalid cursor');
+    }
+
+    // A prev cursor holds the start of the page after the one it leads to
+    start = cursor.direction === 'prev' ? Math.max(position - page.limit, 0) : position;
+  }
+
+  const end = start + page.limit;
+
+  return {
+    rows: rows.slice(start, end),
+    total: page.includeTotal ? rows.length : null,
+    nextCursor: end < rows.length ? encodeCursor('next', [String(end)]) : null,
+    prevCursor: start > 0 && start < rows.length ? encodeCursor('prev', [String(start)]) : null
+  };
+};
+
+// The same request with another cursor, as a relative URL
+const pageLink = (req, cursor) => {
+  if (!cursor) {
+    return null;
+  }
+
+  const url = new URL(req.originalUrl || req.url, 'http://localhost');
+  url.searchParams.set('cursor', cursor);
+  url.searchParams.delete('offset');
+
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * The list response envelope
+ * @param {object} req - The request (for next/prev links)
+ * @param {object} page - From parsePageParams
+ * @param {object} result - From paginate
+ * @returns {object} - { success, data, count (rows on this page), total (with include_total=true),
+ *   pagination: { limit, next_cursor, prev_cursor, next, prev } }
+ */
+const paginatedResponse = (req, page, { rows, total, nextCursor, prevCursor }) => ({
+  success: true,
+  data: rows,
+  count: rows.length,
+  ...(total !== null && { total }),
+  pagination: {
+    limit: page.limit,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    next: pageLink(req, nextCursor),
+    prev: pageLink(req, prevCursor)
+  }
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageParams,
+  paginate,
+  paginateRows,
+  paginatedResponse
+};